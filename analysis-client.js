@@ -0,0 +1,142 @@
+/**
+ * Analysis Client Module
+ * Main-thread side of the analysis worker.
+ * Starts a worker per analysis, relays progress and debug events, and
+ * terminates the worker when the analysis is cancelled.
+ */
+
+import { analyzeImageData } from './pipeline.js';
+import { autoTuneGrid } from './auto-tune.js';
+import { createImageData } from './image-data.js';
+
+/**
+ * Analyze image data in a Web Worker.
+ * The image buffer is transferred to the worker, so the caller's ImageData
+ * is detached afterwards. Falls back to running inline where module workers
+ * are unavailable.
+ *
+ * @param {ImageData} imageData - Image to analyze
+ * @param {Object} options - Analysis options
+ * @param {Object} context - {onProgress, onEvent, signal, gridConfig, overrides}
+ * @returns {Promise<Object>} - Analysis results {gridConfig, components, gridLineComponents, options}
+ */
+export function analyzeInWorker(imageData, options = {}, context = {}) {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve().then(() => analyzeImageData(imageData, options, context));
+  }
+
+  const { gridConfig, overrides } = context;
+  return runWorker({ task: 'analyze', imageData, options, gridConfig, overrides }, context)
+    .then(unpackResults);
+}
+
+/**
+ * Sweep grid detection settings in a Web Worker (see autoTuneGrid).
+ * The image buffer is transferred to the worker, like analyzeInWorker.
+ *
+ * @param {ImageData} imageData - Image to detect the grid in
+ * @param {Object} options - Analysis options
+ * @param {Object} context - {onProgress, onEvent, signal, ranges, limit}
+ * @returns {Promise<Object>} - {best, alternatives, runs}
+ */
+export function autoTuneInWorker(imageData, options = {}, context = {}) {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve().then(() => autoTuneGrid(imageData, options, context));
+  }
+
+  const { ranges, limit } = context;
+  return runWorker({ task: 'auto-tune', imageData, options, ranges, limit }, context);
+}
+
+/**
+ * Run one task in a fresh worker and settle with its results.
+ *
+ * @param {Object} message - Task message; its imageData buffer is transferred
+ * @param {Object} context - {onProgress, onEvent, signal}
+ * @returns {Promise<Object>} - Results posted by the worker
+ */
+function runWorker(message, context) {
+  const { onProgress, onEvent, signal } = context;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const worker = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', abort);
+    };
+
+    const abort = () => {
+      finish();
+      reject(signal.reason);
+    };
+
+    signal?.addEventListener('abort', abort, { once: true });
+
+    worker.onmessage = (event) => {
+      const reply = event.data;
+
+      switch (reply.type) {
+        case 'progress':
+          if (onProgress) onProgress(reply.progress);
+          break;
+
+        case 'event':
+          if (onEvent) onEvent(reply.event);
+          break;
+
+        case 'result':
+          finish();
+          resolve(reply.results);
+          break;
+
+        case 'error': {
+          finish();
+          const error = new Error(reply.message);
+          error.stack = reply.stack;
+          reject(error);
+          break;
+        }
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Analysis worker failed to start'));
+    };
+
+    const { width, height, data } = message.imageData;
+    worker.postMessage({
+      ...message,
+      imageData: { width, height, data },
+      debug: Boolean(globalThis.debug)
+    }, [data.buffer]);
+  });
+}
+
+/**
+ * Rebuild real ImageData objects from the worker's plain results.
+ *
+ * @param {Object} results - Results posted by the worker
+ * @returns {Object} - Results with ImageData components
+ */
+function unpackResults(results) {
+  const unpack = (component) => ({
+    ...component,
+    imageData: createImageData(component.imageData.data, component.imageData.width, component.imageData.height),
+    originalImageData: component.originalImageData
+      ? createImageData(component.originalImageData.data, component.originalImageData.width, component.originalImageData.height)
+      : undefined
+  });
+
+  return {
+    ...results,
+    components: results.components.map(unpack),
+    gridLineComponents: results.gridLineComponents.map(unpack)
+  };
+}
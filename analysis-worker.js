@@ -0,0 +1,76 @@
+/**
+ * Analysis Worker
+ * Runs the analysis pipeline off the main thread.
+ * Receives {task, imageData, options, gridConfig, overrides, ranges, debug}, posts 'progress',
+ * 'event', 'result' and 'error' messages. Pixel buffers travel as transferables
+ * both ways. The task is 'analyze' (default) or 'auto-tune'.
+ */
+
+import { analyzeImageData } from './pipeline.js';
+import { autoTuneGrid } from './auto-tune.js';
+
+self.onmessage = (event) => {
+  const { task = 'analyze', imageData, options, gridConfig, overrides, ranges, limit, debug } = event.data;
+
+  // Stage modules log through globalThis.debug; forward those logs when the
+  // page has a debug connection. Structured events arrive via onEvent instead.
+  if (debug) {
+    globalThis.debug = {
+      send: () => {},
+      log: (message, data) => self.postMessage({ type: 'event', event: { type: 'log', message, data } })
+    };
+  }
+
+  try {
+    if (task === 'auto-tune') {
+      const results = autoTuneGrid(imageData, options, {
+        ranges,
+        limit,
+        onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+      });
+
+      self.postMessage({ type: 'result', results });
+      return;
+    }
+
+    const results = analyzeImageData(imageData, options, {
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+      onEvent: (analysisEvent) => self.postMessage({ type: 'event', event: analysisEvent }),
+      gridConfig,
+      overrides
+    });
+
+    const transfer = new Set();
+    const pack = (component) => ({
+      ...component,
+      imageData: packImageData(component.imageData, transfer),
+      originalImageData: component.originalImageData
+        ? packImageData(component.originalImageData, transfer)
+        : undefined
+    });
+
+    self.postMessage({
+      type: 'result',
+      results: {
+        gridConfig: results.gridConfig,
+        components: results.components.map(pack),
+        gridLineComponents: results.gridLineComponents.map(pack),
+        options: results.options
+      }
+    }, [...transfer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message, stack: error.stack });
+  }
+};
+
+/**
+ * Convert ImageData to a plain object and queue its buffer for transfer.
+ *
+ * @param {ImageData} imageData - Image data
+ * @param {Set<ArrayBuffer>} transfer - Buffers to transfer
+ * @returns {Object} - {width, height, data}
+ */
+function packImageData(imageData, transfer) {
+  transfer.add(imageData.data.buffer);
+  return { width: imageData.width, height: imageData.height, data: imageData.data };
+}
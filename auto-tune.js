@@ -0,0 +1,301 @@
+/**
+ * Auto-Tune Module
+ * Sweep grid detection settings and rank the resulting grids, so tolerance
+ * and line spacing do not have to be found by trial and error.
+ */
+
+import { detectGrid, detectBackgroundColor } from './grid-detector.js';
+import { deskewImage } from './deskew.js';
+import { clearTransparentPixels } from './image-data.js';
+import { measureLineDeviations } from './line-deviations.js';
+import { resolveOptions } from './options.js';
+
+/**
+ * Settings tried by default. Every combination is run.
+ */
+export const DEFAULT_SWEEP = {
+  tolerance: [2, 5, 10, 20, 35],
+  minXGap: [12, 25, 50, 100],
+  minYGap: [12, 25, 50, 100]
+};
+
+// Weights of the score components (they sum to 1)
+const SCORE_WEIGHTS = {
+  regularity: 0.3,
+  filled: 0.25,
+  coverage: 0.25,
+  stability: 0.1,
+  confidence: 0.1
+};
+
+// Pixels sampled per cell when checking whether it is empty
+const CELL_SAMPLES = 400;
+
+/**
+ * Run grid detection across a range of settings and rank the results.
+ *
+ * Each distinct grid is scored from 0 to 1 by:
+ * - regularity: how evenly sized its rows and columns are
+ * - filled: the share of cells that hold more than background (spurious
+ *   splits leave empty slivers between doubled lines)
+ * - coverage: how many of the dividers found across the sweep it keeps,
+ *   weighted by how many runs found each (large gaps drop real dividers)
+ * - stability: the share of all runs that found the same dividers
+ * - confidence: the mean confidence of its line groups
+ * Grids with a single cell score 0. Settings that produce the same grid are
+ * merged; the middle one of them is reported.
+ *
+ * @param {ImageData} imageData - Image to detect the grid in
+ * @param {Object} options - Analysis options; swept settings are overridden per run
+ * @param {Object} context - Optional {ranges, limit, onProgress, signal}; ranges override DEFAULT_SWEEP per setting
+ * @returns {Object} - {best, alternatives, runs}; candidates are {settings, score, metrics, gridConfig}
+ */
+export function autoTuneGrid(imageData, options = {}, context = {}) {
+  const resolvedOptions = resolveOptions(options);
+  const { onProgress, signal, limit = 5 } = context;
+  const ranges = { ...DEFAULT_SWEEP, ...context.ranges };
+
+  if (resolvedOptions.detectionMode === 'regions') {
+    throw new Error('Auto-tune only applies to grid detection');
+  }
+
+  // Step 1: Clear transparent pixels and straighten once, so every run sees the same image
+  let image = clearTransparentPixels(imageData);
+  let deskew = null;
+  if (resolvedOptions.deskew === 'auto') {
+    ({ imageData: image, deskew } = deskewImage(image, {
+      maxAngle: resolvedOptions.maxSkewAngle,
+      tolerance: resolvedOptions.tolerance
+    }));
+  }
+
+  // Step 2: Detect with every combination of settings
+  const combinations = [];
+  for (const tolerance of ranges.tolerance) {
+    for (const minXGap of ranges.minXGap) {
+      for (const minYGap of ranges.minYGap) {
+        combinations.push({ tolerance, minXGap, minYGap });
+      }
+    }
+  }
+
+  const runs = [];
+  for (const settings of combinations) {
+    signal?.throwIfAborted();
+
+    const gridConfig = detectGrid(image, { ...resolvedOptions, ...settings }, { resampled: deskew !== null });
+    if (deskew) {
+      gridConfig.deskew = deskew;
+    }
+
+    runs.push({ settings, gridConfig, signature: gridSignature(gridConfig) });
+
+    if (onProgress) {
+      onProgress({
+        stage: 'tune',
+        completed: runs.length,
+        total: combinations.length,
+        fraction: runs.length / combinations.length
+      });
+    }
+  }
+
+  // Step 3: Merge runs that found the same grid, then score each grid
+  const groups = new Map();
+  for (const run of runs) {
+    if (!groups.has(run.signature)) groups.set(run.signature, []);
+    groups.get(run.signature).push(run);
+  }
+
+  const votes = countDividerVotes(runs);
+  const deviations = measureLineDeviations(image.data, image.width, image.height);
+
+  const candidates = [...groups.values()].map(group => {
+    const { settings, gridConfig } = group[Math.floor(group.length / 2)];
+    const metrics = {
+      regularity: gridRegularity(gridConfig),
+      filled: 1 - emptyCellShare(image, gridConfig, settings.tolerance, deviations),
+      coverage: dividerCoverage(gridConfig, votes),
+      stability: group.length / runs.length,
+      confidence: meanConfidence(gridConfig),
+      cells: gridConfig.cells.length
+    };
+
+    const score = metrics.cells < 2 ? 0 : Object.entries(SCORE_WEIGHTS)
+      .reduce((sum, [name, weight]) => sum + weight * metrics[name], 0);
+
+    return {
+      settings,
+      score: round(score),
+      metrics: {
+        ...metrics,
+        regularity: round(metrics.regularity),
+        filled: round(metrics.filled),
+        coverage: round(metrics.coverage),
+        stability: round(metrics.stability),
+        confidence: round(metrics.confidence)
+      },
+      gridConfig
+    };
+  });
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  if (globalThis.debug) {
+    globalThis.debug.log('Auto-tune results', {
+      runs: runs.length,
+      distinctGrids: candidates.length,
+      ranking: candidates.slice(0, limit + 1).map(candidate =>
+        `${candidate.gridConfig.columns}×${candidate.gridConfig.rows} score ${candidate.score} ` +
+        `(tolerance ${candidate.settings.tolerance}, gaps ${candidate.settings.minXGap}/${candidate.settings.minYGap})`
+      )
+    });
+  }
+
+  return {
+    best: candidates[0],
+    alternatives: candidates.slice(1, limit + 1),
+    runs: runs.length
+  };
+}
+
+/**
+ * Describe a grid by its slice positions, so equal grids compare equal.
+ *
+ * @param {GridConfig} gridConfig - Grid configuration
+ * @returns {string} - Signature
+ */
+function gridSignature(gridConfig) {
+  return `${gridConfig.horizontalSlices.join(',')}|${gridConfig.verticalSlices.join(',')}`;
+}
+
+/**
+ * Measure how evenly sized the rows and columns of a grid are.
+ * Each axis scores 1 minus the coefficient of variation of its cell sizes;
+ * an axis with a single cell counts as regular.
+ *
+ * @param {GridConfig} gridConfig - Grid configuration
+ * @returns {number} - Regularity between 0 and 1
+ */
+function gridRegularity(gridConfig) {
+  const axisRegularity = (slices) => {
+    if (slices.length < 3) return 1;
+
+    const sizes = slices.slice(1).map((slice, index) => slice - slices[index]);
+    const mean = sizes.reduce((sum, size) => sum + size, 0) / sizes.length;
+    const variance = sizes.reduce((sum, size) => sum + (size - mean) ** 2, 0) / sizes.length;
+
+    return Math.max(0, 1 - Math.sqrt(variance) / mean);
+  };
+
+  return (axisRegularity(gridConfig.horizontalSlices) + axisRegularity(gridConfig.verticalSlices)) / 2;
+}
+
+/**
+ * Count how many runs found a divider at each slice position.
+ *
+ * @param {Object[]} runs - Runs with their gridConfig
+ * @returns {Object} - {horizontal, vertical} maps from position to run count
+ */
+function countDividerVotes(runs) {
+  const votes = { horizontal: new Map(), vertical: new Map() };
+
+  for (const { gridConfig } of runs) {
+    for (const position of gridConfig.horizontalSlices) {
+      votes.horizontal.set(position, (votes.horizontal.get(position) ?? 0) + 1);
+    }
+    for (const position of gridConfig.verticalSlices) {
+      votes.vertical.set(position, (votes.vertical.get(position) ?? 0) + 1);
+    }
+  }
+
+  return votes;
+}
+
+/**
+ * Get the share of divider votes a grid keeps.
+ *
+ * @param {GridConfig} gridConfig - Grid configuration
+ * @param {Object} votes - Votes from countDividerVotes
+ * @returns {number} - Coverage between 0 and 1
+ */
+function dividerCoverage(gridConfig, votes) {
+  const axisCoverage = (slices, axisVotes) => {
+    let total = 0;
+    for (const count of axisVotes.values()) total += count;
+    if (total === 0) return 1;
+
+    const kept = slices.reduce((sum, position) => sum + (axisVotes.get(position) ?? 0), 0);
+    return kept / total;
+  };
+
+  return (axisCoverage(gridConfig.horizontalSlices, votes.horizontal) +
+          axisCoverage(gridConfig.verticalSlices, votes.vertical)) / 2;
+}
+
+/**
+ * Get the share of cells that hold nothing but background.
+ * The middle half of each cell is sampled, which leaves out the dividers
+ * around it.
+ *
+ * @param {ImageData} imageData - Image the grid was detected in
+ * @param {GridConfig} gridConfig - Grid configuration
+ * @param {number} tolerance - Color tolerance per channel
+ * @param {Object} deviations - Whole-image line measurements (see measureLineDeviations)
+ * @returns {number} - Share between 0 and 1
+ */
+function emptyCellShare(imageData, gridConfig, tolerance, deviations) {
+  const { width, height, data } = imageData;
+  const { cells } = gridConfig;
+  if (cells.length === 0) return 0;
+
+  const background = detectBackgroundColor(data, width, height, tolerance, deviations);
+  const color = [background.r, background.g, background.b, background.a];
+
+  let empty = 0;
+  for (const cell of cells) {
+    const left = cell.x + Math.floor(cell.width / 4);
+    const top = cell.y + Math.floor(cell.height / 4);
+    const right = Math.max(left + 1, cell.x + Math.ceil(cell.width * 3 / 4));
+    const bottom = Math.max(top + 1, cell.y + Math.ceil(cell.height * 3 / 4));
+    const step = Math.max(1, Math.floor(Math.sqrt(((right - left) * (bottom - top)) / CELL_SAMPLES)));
+    let isEmpty = true;
+
+    for (let y = top; y < bottom && isEmpty; y += step) {
+      for (let x = left; x < right; x += step) {
+        const index = (y * width + x) * 4;
+        if (color.some((value, channel) => Math.abs(data[index + channel] - value) > tolerance)) {
+          isEmpty = false;
+          break;
+        }
+      }
+    }
+
+    if (isEmpty) empty++;
+  }
+
+  return empty / cells.length;
+}
+
+/**
+ * Get the mean confidence of a grid's line groups.
+ *
+ * @param {GridConfig} gridConfig - Grid configuration
+ * @returns {number} - Mean confidence (1 when there are no lines)
+ */
+function meanConfidence(gridConfig) {
+  const groups = [...gridConfig.horizontalLineGroups, ...gridConfig.verticalLineGroups];
+  if (groups.length === 0) return 1;
+
+  return groups.reduce((sum, group) => sum + (group.confidence ?? 1), 0) / groups.length;
+}
+
+/**
+ * Round a score for reporting.
+ *
+ * @param {number} value - Value between 0 and 1
+ * @returns {number} - Value rounded to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,587 @@
+/**
+ * Background Model Module
+ * Describe the background behind a widget so it can be removed even when it
+ * is not one flat color: a solid color, a linear or radial gradient, or a
+ * two-color checkerboard (the usual transparency pattern of mockups).
+ * Models are fitted to the pixels along the image border, where background
+ * is most likely.
+ */
+
+// Largest color distance at which a border pixel counts as explained by a model
+const FIT_TOLERANCE = 20;
+
+// Share of border pixels a richer model must explain beyond the solid color
+const MIN_IMPROVEMENT = 0.1;
+
+// Smallest share of border pixels each checker color must cover
+const MIN_CHECKER_SHARE = 0.25;
+
+// Most border pixels used for fitting
+const MAX_BORDER_SAMPLES = 2048;
+
+/**
+ * Fit a background model to an image.
+ * With kind 'auto', the solid color is kept unless a gradient or checkerboard
+ * explains clearly more of the border.
+ * A known background color (e.g. picked by the user) skips fitting and gives
+ * a solid model of that color.
+ *
+ * @param {ImageData} imageData - Image data
+ * @param {string} kind - 'auto', 'solid', 'gradient' or 'checker'
+ * @param {Object|null} color - Known background color {r, g, b, a}, or null to fit one
+ * @returns {Object} - Model {type, fit, ...}; type is 'solid', 'linear', 'radial' or 'checker' and fit is the share of border pixels it explains
+ */
+export function fitBackgroundModel(imageData, kind = 'auto', color = null) {
+  const samples = sampleBorder(imageData);
+
+  // Step 1: Dominant color from the corners
+  const solid = scoreModel(
+    { type: 'solid', color: color || findMostCommonColor(sampleBackgroundPoints(imageData)) },
+    samples
+  );
+  if (kind === 'solid' || color || samples.length === 0) {
+    return solid;
+  }
+
+  // Step 2: Richer models that apply
+  const candidates = [];
+  if (kind === 'auto' || kind === 'gradient') {
+    candidates.push(fitLinearGradient(samples), fitRadialGradient(samples, imageData));
+  }
+  if (kind === 'auto' || kind === 'checker') {
+    const checker = fitChecker(samples, imageData);
+    if (checker) candidates.push(checker);
+  }
+
+  // Step 3: Keep the best one if it explains clearly more than the solid color
+  const best = candidates
+    .map(model => scoreModel(model, samples))
+    .reduce((a, b) => (b.fit > a.fit ? b : a), solid);
+
+  if (kind === 'auto' && best.fit - solid.fit < MIN_IMPROVEMENT) {
+    return solid;
+  }
+
+  return best;
+}
+
+/**
+ * Get the background color known without fitting: a per-component
+ * background color, else the key color when the background is keyed.
+ *
+ * @param {Object} options - Resolved analysis options (backgroundSource, keyColor)
+ * @param {Object} context - Optional {backgroundColor} {r, g, b, a}
+ * @returns {Object|null} - Color {r, g, b, a}, or null when the background must be fitted
+ */
+export function knownBackgroundColor(options, context = {}) {
+  if (context.backgroundColor) {
+    return context.backgroundColor;
+  }
+  if (options.backgroundSource !== 'key') {
+    return null;
+  }
+
+  const hex = parseInt(options.keyColor.slice(1), 16);
+  return { r: (hex >> 16) & 255, g: (hex >> 8) & 255, b: hex & 255, a: 255 };
+}
+
+/**
+ * Get the background color a model expects at a pixel.
+ *
+ * @param {Object} model - Model from fitBackgroundModel
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Object} - Color {r, g, b, a}
+ */
+export function backgroundColorAt(model, x, y) {
+  switch (model.type) {
+    case 'linear':
+      return mixColor(model.origin, model.stepX, x, model.stepY, y);
+
+    case 'radial':
+      return mixColor(model.inner, model.step, Math.hypot(x - model.centerX, y - model.centerY));
+
+    case 'checker': {
+      const tileX = Math.floor((x - model.offsetX) / model.period);
+      const tileY = Math.floor((y - model.offsetY) / model.period);
+      return model.colors[(tileX + tileY) & 1];
+    }
+
+    default:
+      return model.color;
+  }
+}
+
+/**
+ * Describe a model in one line for logs.
+ *
+ * @param {Object} model - Model from fitBackgroundModel
+ * @returns {string} - Description
+ */
+export function describeBackgroundModel(model) {
+  const rgba = (color) => `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a})`;
+
+  switch (model.type) {
+    case 'linear':
+      return `linear gradient from ${rgba(model.origin)} ` +
+        `(per px: x ${formatStep(model.stepX)}, y ${formatStep(model.stepY)})`;
+
+    case 'radial':
+      return `radial gradient from ${rgba(model.inner)} at ${model.centerX},${model.centerY} ` +
+        `(per px: ${formatStep(model.step)})`;
+
+    case 'checker':
+      return `checkerboard ${rgba(model.colors[0])} / ${rgba(model.colors[1])}, ` +
+        `period ${model.period} at ${model.offsetX},${model.offsetY}`;
+
+    default:
+      return rgba(model.color);
+  }
+}
+
+/**
+ * Sample colors from multiple edge points to identify background.
+ * Samples from actual corners AND a few pixels inward to avoid widget content.
+ *
+ * @param {ImageData} imageData - Image data
+ * @returns {Array} - Array of sampled colors
+ */
+function sampleBackgroundPoints(imageData) {
+  const { width, height, data } = imageData;
+  const samples = [];
+
+  // Sample from the 4 corners - these are most likely to be background
+  const cornerPoints = [
+    { x: 0, y: 0 },                     // Top-left corner
+    { x: width - 1, y: 0 },             // Top-right corner
+    { x: 0, y: height - 1 },            // Bottom-left corner
+    { x: width - 1, y: height - 1 }     // Bottom-right corner
+  ];
+
+  // Also sample a few pixels inward from corners to get more samples
+  // but avoid sampling from the center where widget content is likely
+  const inset = Math.min(3, Math.floor(Math.min(width, height) / 4));
+  if (width > inset * 2 && height > inset * 2) {
+    cornerPoints.push(
+      { x: inset, y: inset },                       // Top-left inset
+      { x: width - 1 - inset, y: inset },           // Top-right inset
+      { x: inset, y: height - 1 - inset },          // Bottom-left inset
+      { x: width - 1 - inset, y: height - 1 - inset } // Bottom-right inset
+    );
+  }
+
+  for (const { x, y } of cornerPoints) {
+    const index = (y * width + x) * 4;
+    samples.push({
+      r: data[index],
+      g: data[index + 1],
+      b: data[index + 2],
+      a: data[index + 3]
+    });
+  }
+
+  return samples;
+}
+
+/**
+ * Sample pixels all around the image border.
+ *
+ * @param {ImageData} imageData - Image data
+ * @returns {Array} - Samples {x, y, color}
+ */
+function sampleBorder(imageData) {
+  const { width, height, data } = imageData;
+  if (width === 0 || height === 0) return [];
+
+  const perimeter = 2 * (width + height);
+  const step = Math.max(1, Math.ceil(perimeter / MAX_BORDER_SAMPLES));
+  const samples = [];
+
+  const add = (x, y) => {
+    const index = (y * width + x) * 4;
+    samples.push({
+      x,
+      y,
+      color: { r: data[index], g: data[index + 1], b: data[index + 2], a: data[index + 3] }
+    });
+  };
+
+  for (let x = 0; x < width; x += step) {
+    add(x, 0);
+    if (height > 1) add(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y += step) {
+    add(0, y);
+    if (width > 1) add(width - 1, y);
+  }
+
+  return samples;
+}
+
+/**
+ * Find the most common color among samples using color clustering.
+ *
+ * @param {Array} colors - Array of color objects
+ * @returns {Object} - Most common color
+ */
+function findMostCommonColor(colors) {
+  if (colors.length === 0) return { r: 255, g: 255, b: 255, a: 255 };
+
+  return averageColor(clusterColors(colors)[0]);
+}
+
+/**
+ * Group similar colors (within FIT_TOLERANCE of each group's first color).
+ *
+ * @param {Array} colors - Array of color objects
+ * @returns {Array[]} - Groups of colors, largest first
+ */
+function clusterColors(colors) {
+  const colorGroups = [];
+
+  for (const color of colors) {
+    const group = colorGroups.find(group => colorDistance(color, group[0]) <= FIT_TOLERANCE);
+
+    if (group) {
+      group.push(color);
+    } else {
+      colorGroups.push([color]);
+    }
+  }
+
+  // Stable sort keeps the first-seen group ahead on ties
+  return colorGroups.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Fit a linear gradient: each channel changes at a constant rate along x and y.
+ *
+ * @param {Array} samples - Border samples
+ * @returns {Object} - Linear model {type, origin, stepX, stepY}
+ */
+function fitLinearGradient(samples) {
+  const solve = (fitting) => {
+    const channels = fitChannels(fitting, sample => [1, sample.x, sample.y]);
+    return {
+      type: 'linear',
+      origin: channelColor(channels, 0),
+      stepX: channelColor(channels, 1, false),
+      stepY: channelColor(channels, 2, false)
+    };
+  };
+
+  return refit(solve, samples);
+}
+
+/**
+ * Fit a radial gradient around the image center: each channel changes at a
+ * constant rate with the distance from the center.
+ *
+ * @param {Array} samples - Border samples
+ * @param {ImageData} imageData - Image data
+ * @returns {Object} - Radial model {type, centerX, centerY, inner, step}
+ */
+function fitRadialGradient(samples, imageData) {
+  const centerX = (imageData.width - 1) / 2;
+  const centerY = (imageData.height - 1) / 2;
+
+  const solve = (fitting) => {
+    const channels = fitChannels(fitting, sample => [1, Math.hypot(sample.x - centerX, sample.y - centerY)]);
+    return {
+      type: 'radial',
+      centerX,
+      centerY,
+      inner: channelColor(channels, 0),
+      step: channelColor(channels, 1, false)
+    };
+  };
+
+  return refit(solve, samples);
+}
+
+/**
+ * Fit a two-color checkerboard: the two most common border colors, the tile
+ * size from the runs between color changes along the edges, and the tile
+ * offset from where those changes fall.
+ *
+ * @param {Array} samples - Border samples
+ * @param {ImageData} imageData - Image data
+ * @returns {Object|null} - Checker model {type, colors, period, offsetX, offsetY}, or null when the border is not two-colored
+ */
+function fitChecker(samples, imageData) {
+  const { width, height, data } = imageData;
+
+  // Step 1: Two colors covering the border between them
+  const groups = clusterColors(samples.map(sample => sample.color));
+  if (groups.length < 2 || groups[1].length < samples.length * MIN_CHECKER_SHARE) {
+    return null;
+  }
+  const colors = [averageColor(groups[0]), averageColor(groups[1])];
+
+  // Step 2: Color changes along each edge (0/1 per pixel, -1 for neither color)
+  const classify = (index) => {
+    const color = { r: data[index], g: data[index + 1], b: data[index + 2] };
+    const distances = colors.map(candidate => colorDistance(color, candidate));
+    const nearest = distances[0] <= distances[1] ? 0 : 1;
+    return distances[nearest] <= FIT_TOLERANCE ? nearest : -1;
+  };
+
+  const edgeChanges = (length, indexAt) => {
+    const changes = [];
+    let previous = classify(indexAt(0));
+    for (let i = 1; i < length; i++) {
+      const current = classify(indexAt(i));
+      if (current !== -1 && previous !== -1 && current !== previous) changes.push(i);
+      previous = current;
+    }
+    return changes;
+  };
+
+  const horizontal = [
+    edgeChanges(width, x => x * 4),
+    edgeChanges(width, x => ((height - 1) * width + x) * 4)
+  ];
+  const vertical = [
+    edgeChanges(height, y => y * width * 4),
+    edgeChanges(height, y => (y * width + width - 1) * 4)
+  ];
+
+  // Step 3: Tile size from the most common distance between changes
+  const runs = [...horizontal, ...vertical].flatMap(changes =>
+    changes.slice(1).map((change, index) => change - changes[index])
+  );
+  const period = mostCommon(runs);
+  if (!period || period < 2) {
+    return null;
+  }
+
+  // Step 4: Tile offsets from where the changes fall
+  const offsetX = mostCommon(horizontal.flat().map(x => x % period)) ?? 0;
+  const offsetY = mostCommon(vertical.flat().map(y => y % period)) ?? 0;
+
+  // Step 5: Which color sits on even tiles, by vote of the border
+  const model = { type: 'checker', colors, period, offsetX, offsetY };
+  let agree = 0;
+  let disagree = 0;
+  for (const sample of samples) {
+    const expected = backgroundColorAt(model, sample.x, sample.y);
+    const other = expected === colors[0] ? colors[1] : colors[0];
+    if (colorDistance(sample.color, expected) <= FIT_TOLERANCE) agree++;
+    else if (colorDistance(sample.color, other) <= FIT_TOLERANCE) disagree++;
+  }
+
+  if (disagree > agree) {
+    model.colors = [colors[1], colors[0]];
+  }
+
+  return model;
+}
+
+/**
+ * Fit a model to all samples, then again to the samples it explained, so
+ * content touching the border does not pull the fit away.
+ *
+ * @param {Function} solve - Fits a model to samples
+ * @param {Array} samples - Border samples
+ * @returns {Object} - Fitted model
+ */
+function refit(solve, samples) {
+  const model = solve(samples);
+  const inliers = samples.filter(sample =>
+    colorDistance(sample.color, backgroundColorAt(model, sample.x, sample.y)) <= FIT_TOLERANCE * 2
+  );
+
+  return inliers.length >= 3 ? solve(inliers) : model;
+}
+
+/**
+ * Least-squares fit of every channel as a weighted sum of terms.
+ *
+ * @param {Array} samples - Border samples
+ * @param {Function} termsOf - Returns the terms for a sample (first term 1 for the constant)
+ * @returns {Array} - Coefficients per channel [r, g, b, a], one per term
+ */
+function fitChannels(samples, termsOf) {
+  const terms = samples.map(termsOf);
+  const size = terms[0]?.length ?? 1;
+
+  // Step 1: Normal equations (shared matrix, one right-hand side per channel)
+  const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+  const sums = ['r', 'g', 'b', 'a'].map(() => new Array(size).fill(0));
+
+  samples.forEach((sample, index) => {
+    const row = terms[index];
+    const values = [sample.color.r, sample.color.g, sample.color.b, sample.color.a];
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) matrix[i][j] += row[i] * row[j];
+      values.forEach((value, channel) => { sums[channel][i] += row[i] * value; });
+    }
+  });
+
+  return sums.map(rhs => solveLinearSystem(matrix, rhs));
+}
+
+/**
+ * Solve a small linear system by Gaussian elimination.
+ * Terms that do not vary (singular columns) get a coefficient of 0.
+ *
+ * @param {number[][]} matrix - Square matrix
+ * @param {number[]} rhs - Right-hand side
+ * @returns {number[]} - Solution
+ */
+function solveLinearSystem(matrix, rhs) {
+  const size = rhs.length;
+  const rows = matrix.map((row, i) => [...row, rhs[i]]);
+  const solution = new Array(size).fill(0);
+  const pivots = [];
+
+  for (let column = 0, row = 0; column < size && row < size; column++) {
+    // Step 1: Largest pivot in this column
+    let best = row;
+    for (let i = row + 1; i < size; i++) {
+      if (Math.abs(rows[i][column]) > Math.abs(rows[best][column])) best = i;
+    }
+    if (Math.abs(rows[best][column]) < 1e-9) continue;
+    [rows[row], rows[best]] = [rows[best], rows[row]];
+
+    // Step 2: Eliminate it from every other row
+    for (let i = 0; i < size; i++) {
+      if (i === row) continue;
+      const factor = rows[i][column] / rows[row][column];
+      for (let j = column; j <= size; j++) rows[i][j] -= factor * rows[row][j];
+    }
+
+    pivots.push([row, column]);
+    row++;
+  }
+
+  for (const [row, column] of pivots) {
+    solution[column] = rows[row][size] / rows[row][column];
+  }
+
+  return solution;
+}
+
+/**
+ * Record the share of samples a model explains as its fit.
+ *
+ * @param {Object} model - Model
+ * @param {Array} samples - Border samples
+ * @returns {Object} - The model with fit set
+ */
+function scoreModel(model, samples) {
+  const explained = samples.filter(sample =>
+    colorDistance(sample.color, backgroundColorAt(model, sample.x, sample.y)) <= FIT_TOLERANCE
+  ).length;
+
+  model.fit = samples.length > 0 ? Math.round((explained / samples.length) * 100) / 100 : 1;
+  return model;
+}
+
+/**
+ * Get the most common value in a list.
+ *
+ * @param {number[]} values - Values
+ * @returns {number|undefined} - Most common value (the smallest on ties)
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) ?? 0) + 1);
+
+  let best;
+  for (const [value, count] of counts) {
+    if (best === undefined || count > counts.get(best) || (count === counts.get(best) && value < best)) {
+      best = value;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Average a group of colors.
+ *
+ * @param {Array} colors - Colors {r, g, b, a}
+ * @returns {Object} - Rounded average color
+ */
+function averageColor(colors) {
+  const total = { r: 0, g: 0, b: 0, a: 0 };
+
+  for (const color of colors) {
+    total.r += color.r;
+    total.g += color.g;
+    total.b += color.b;
+    total.a += color.a;
+  }
+
+  return {
+    r: Math.round(total.r / colors.length),
+    g: Math.round(total.g / colors.length),
+    b: Math.round(total.b / colors.length),
+    a: Math.round(total.a / colors.length)
+  };
+}
+
+/**
+ * Take one coefficient per channel as a color.
+ *
+ * @param {Array} channels - Coefficients per channel from fitChannels
+ * @param {number} term - Term index
+ * @param {boolean} clamp - Round and clamp to 0-255 (for colors, not rates)
+ * @returns {Object} - Color {r, g, b, a}
+ */
+function channelColor(channels, term, clamp = true) {
+  const value = (channel) => (clamp ? clampChannel(channels[channel][term]) : channels[channel][term]);
+  return { r: value(0), g: value(1), b: value(2), a: value(3) };
+}
+
+/**
+ * Add up to two per-channel rates, scaled, to a base color.
+ *
+ * @param {Object} base - Base color
+ * @param {Object} rateA - First rate per channel
+ * @param {number} amountA - First amount
+ * @param {Object} rateB - Optional second rate per channel
+ * @param {number} amountB - Second amount
+ * @returns {Object} - Color {r, g, b, a}, rounded and clamped
+ */
+function mixColor(base, rateA, amountA, rateB = null, amountB = 0) {
+  const value = (channel) =>
+    clampChannel(base[channel] + rateA[channel] * amountA + (rateB ? rateB[channel] * amountB : 0));
+
+  return { r: value('r'), g: value('g'), b: value('b'), a: value('a') };
+}
+
+/**
+ * Round a channel value into 0-255.
+ *
+ * @param {number} value - Channel value
+ * @returns {number} - Rounded and clamped value
+ */
+function clampChannel(value) {
+  return Math.min(255, Math.max(0, Math.round(value)));
+}
+
+/**
+ * Format a per-channel rate for logs.
+ *
+ * @param {Object} rate - Rate per channel
+ * @returns {string} - e.g. "(0.5, 0.5, 0.2)"
+ */
+function formatStep(rate) {
+  return `(${[rate.r, rate.g, rate.b].map(value => value.toFixed(2)).join(', ')})`;
+}
+
+/**
+ * Calculate Euclidean distance between two colors.
+ *
+ * @param {Object} color1 - First color {r, g, b}
+ * @param {Object} color2 - Second color {r, g, b}
+ * @returns {number} - Color distance
+ */
+function colorDistance(color1, color2) {
+  const dr = color1.r - color2.r;
+  const dg = color1.g - color2.g;
+  const db = color1.b - color2.b;
+  return Math.sqrt(dr * dr + dg * dg + db * db);
+}
@@ -4,65 +4,83 @@
  * Clean up edge artifacts to produce pristine transparent PNGs.
  */
 
-/**
- * Get current background removal aggressiveness from settings.
- *
- * @returns {number} - Background removal value (0-100)
- */
-function getBackgroundRemovalSetting() {
-  return (typeof window !== 'undefined' && window.gridSettings?.backgroundRemoval !== undefined)
-    ? window.gridSettings.backgroundRemoval
-    : 30;
-}
+import { backgroundColorAt, describeBackgroundModel, fitBackgroundModel, knownBackgroundColor } from './background-model.js';
+import { createImageData, cloneImageData } from './image-data.js';
+import { resolveOptions } from './options.js';
+
+// Minimum color tolerance used when matching the background (0-255)
+const MIN_BACKGROUND_TOLERANCE = 10;
+
+// Smallest foreground/background color distance at which edges are matted
+const MIN_MATTING_CONTRAST = 24;
+
+// Channel names by index
+const RGB = ['r', 'g', 'b'];
 
 /**
- * Remove background color from an image region.
- * Uses flood-fill from corners to detect background.
- * Applies aggressive shadow removal based on settings.
+ * Remove background from an image region.
+ * Fits a background model (solid color, gradient or checkerboard, see
+ * background-model.js) and flood-fills from the edges over pixels close to
+ * the color the model expects there. With options.minHoleArea set, enclosed
+ * background regions that large (the inside of a ring or window frame) are
+ * removed too.
+ * Applies aggressive shadow removal based on options.backgroundRemoval, then
+ * gives antialiased edges fractional alpha and their true color (see
+ * matteEdges), so no fringe of the old background is left.
+ *
+ * With options.backgroundSource 'key', the background is the key color
+ * artists painted behind the widgets: every pixel within keyTolerance of it
+ * is removed, wherever it is, and edge pixels lose the key tint (see
+ * suppressSpill).
+ *
+ * A backgroundColor in the context (a per-component override) is used as a
+ * solid background instead of fitting one or using the key color.
  *
  * @param {ImageData} imageData - Source image data
- * @param {number} tolerance - Color matching tolerance (0-255) - deprecated, uses settings
+ * @param {Object} options - Analysis options (backgroundRemoval, backgroundModel, backgroundSource, keyColor, keyTolerance, spillSuppression, minHoleArea, mattingWidth)
+ * @param {Object} context - Optional {backgroundColor} {r, g, b, a}
  * @returns {ImageData} - Image with transparent background
  */
-export function removeBackground(imageData, tolerance = 10) {
+export function removeBackground(imageData, options = {}, context = {}) {
   const { width, height } = imageData;
-  const result = new ImageData(
-    new Uint8ClampedArray(imageData.data),
-    width,
-    height
-  );
+  const result = cloneImageData(imageData);
 
   // Use background removal setting (0-100 scale)
-  const aggressiveness = getBackgroundRemovalSetting();
-  const effectiveTolerance = Math.max(tolerance, aggressiveness * 2); // Scale to 0-200 range
-
-  // Sample background from corners to avoid shadow contamination and widget content
-  const backgroundColors = sampleBackgroundPoints(imageData);
-  const dominantBackground = findMostCommonColor(backgroundColors);
-
-  if (window.debug) {
-    window.debug.log('Background detection', {
+  const resolvedOptions = resolveOptions(options);
+  const { backgroundRemoval: aggressiveness, backgroundModel, minHoleArea, mattingWidth } = resolvedOptions;
+  const keyed = resolvedOptions.backgroundSource === 'key';
+  const effectiveTolerance = keyed
+    ? resolvedOptions.keyTolerance
+    : Math.max(MIN_BACKGROUND_TOLERANCE, aggressiveness * 2); // Scale to 0-200 range
+
+  // Model the background from the image border to avoid widget content
+  const model = fitBackgroundModel(imageData, backgroundModel, knownBackgroundColor(resolvedOptions, context));
+
+  if (globalThis.debug) {
+    globalThis.debug.log('Background detection', {
       imageSize: `${width}×${height}`,
-      sampledColors: backgroundColors.length,
-      detectedBackground: `rgba(${dominantBackground.r}, ${dominantBackground.g}, ${dominantBackground.b}, ${dominantBackground.a})`,
+      model: keyed ? 'key' : model.type,
+      detectedBackground: describeBackgroundModel(model),
+      borderFit: model.fit,
       tolerance: effectiveTolerance,
-      aggressiveness: aggressiveness,
-      allSamples: backgroundColors.map(c => `rgba(${c.r},${c.g},${c.b},${c.a})`).join(', ')
+      aggressiveness: aggressiveness
     });
   }
 
-  // Create mask of background pixels
-  const mask = createBackgroundMask(result, dominantBackground, effectiveTolerance);
+  // Create mask of background pixels; a key color is removed wherever it is
+  const mask = keyed
+    ? createKeyMask(result, model.color, effectiveTolerance)
+    : createBackgroundMask(result, model, effectiveTolerance, minHoleArea);
 
   // Count background pixels for debugging
-  if (window.debug) {
+  if (globalThis.debug) {
     let bgPixelCount = 0;
     for (let i = 0; i < mask.length; i++) {
       if (mask[i] === 1) bgPixelCount++;
     }
     const totalPixels = width * height;
     const bgPercent = ((bgPixelCount / totalPixels) * 100).toFixed(1);
-    window.debug.log('Background mask', {
+    globalThis.debug.log('Background mask', {
       backgroundPixels: bgPixelCount,
       totalPixels: totalPixels,
       backgroundPercent: `${bgPercent}%`
@@ -73,14 +91,14 @@ export function removeBackground(imageData, tolerance = 10) {
   applyTransparencyMask(result, mask);
 
   // Debug: count remaining opaque pixels after background removal
-  if (window.debug) {
+  if (globalThis.debug) {
     let opaquePixels = 0;
     for (let i = 0; i < width * height; i++) {
       if (result.data[i * 4 + 3] > 0) opaquePixels++;
     }
     const totalPixels = width * height;
     const contentPercent = ((opaquePixels / totalPixels) * 100).toFixed(1);
-    window.debug.log('After background mask', {
+    globalThis.debug.log('After background mask', {
       opaquePixels: opaquePixels,
       totalPixels: totalPixels,
       contentPercent: `${contentPercent}%`
@@ -97,20 +115,61 @@ export function removeBackground(imageData, tolerance = 10) {
   const semiTransparentAggressiveness = Math.max(aggressiveness, 30);
   removeSemiTransparentPixels(result, semiTransparentAggressiveness);
 
+  // Soften the edges left by the binary mask
+  if (mattingWidth > 0) {
+    matteEdges(result, mask, model, mattingWidth);
+  }
+
+  // Key color reflected onto the widget's edges
+  if (keyed && resolvedOptions.spillSuppression > 0) {
+    suppressSpill(result, model.color, resolvedOptions.spillSuppression, Math.max(1, mattingWidth));
+  }
+
   return result;
 }
 
+/**
+ * Apply manual corrections on top of background removal.
+ * Kept pixels get their original color back; erased pixels become
+ * transparent. A pixel in both masks is kept.
+ *
+ * @param {ImageData} imageData - Image after background removal (modified in place)
+ * @param {ImageData} original - Image before background removal
+ * @param {Uint8Array|null} keepMask - 1 per pixel to restore
+ * @param {Uint8Array|null} eraseMask - 1 per pixel to clear
+ * @returns {ImageData} - The corrected image
+ */
+export function applyManualMasks(imageData, original, keepMask, eraseMask) {
+  const { data } = imageData;
+
+  for (let i = 0; i < imageData.width * imageData.height; i++) {
+    const index = i * 4;
+
+    if (keepMask && keepMask[i]) {
+      data[index] = original.data[index];
+      data[index + 1] = original.data[index + 1];
+      data[index + 2] = original.data[index + 2];
+      data[index + 3] = original.data[index + 3];
+    } else if (eraseMask && eraseMask[i]) {
+      data[index] = data[index + 1] = data[index + 2] = data[index + 3] = 0;
+    }
+  }
+
+  return imageData;
+}
+
 /**
  * Remove shadows along slice edges.
  * Shadows appear as gradients near cut lines.
  *
  * @param {ImageData} imageData - Image data
  * @param {number[]} sliceLines - Positions of slice lines
- * @param {number} shadowWidth - Expected shadow width in pixels
+ * @param {Object} options - Analysis options (shadowWidth: expected shadow width in pixels)
  * @returns {ImageData} - Image with shadows removed
  */
-export function removeShadowsAlongSlices(imageData, sliceLines, shadowWidth = 3) {
+export function removeShadowsAlongSlices(imageData, sliceLines, options = {}) {
   const { width, height, data } = imageData;
+  const { shadowWidth } = resolveOptions(options);
 
   for (const sliceLine of sliceLines) {
     // Analyze pixels near the slice line
@@ -136,137 +195,152 @@ export function removeShadowsAlongSlices(imageData, sliceLines, shadowWidth = 3)
 }
 
 /**
- * Sample colors from multiple edge points to identify background.
- * Samples from actual corners AND a few pixels inward to avoid widget content.
+ * Create a binary mask identifying background pixels.
+ * Each pixel is compared with the color the model expects at its position.
  *
  * @param {ImageData} imageData - Image data
- * @returns {Array} - Array of sampled colors
+ * @param {Object} model - Background model from fitBackgroundModel
+ * @param {number} tolerance - Color matching tolerance
+ * @param {number} minHoleArea - Smallest enclosed background region also masked (0 = none)
+ * @returns {Uint8Array} - Binary mask
  */
-function sampleBackgroundPoints(imageData) {
+function createBackgroundMask(imageData, model, tolerance, minHoleArea = 0) {
   const { width, height, data } = imageData;
-  const samples = [];
-
-  // Sample from the 4 corners - these are most likely to be background
-  const cornerPoints = [
-    { x: 0, y: 0 },                     // Top-left corner
-    { x: width - 1, y: 0 },             // Top-right corner
-    { x: 0, y: height - 1 },            // Bottom-left corner
-    { x: width - 1, y: height - 1 }     // Bottom-right corner
-  ];
-
-  // Also sample a few pixels inward from corners to get more samples
-  // but avoid sampling from the center where widget content is likely
-  const inset = Math.min(3, Math.floor(Math.min(width, height) / 4));
-  if (width > inset * 2 && height > inset * 2) {
-    cornerPoints.push(
-      { x: inset, y: inset },                       // Top-left inset
-      { x: width - 1 - inset, y: inset },           // Top-right inset
-      { x: inset, y: height - 1 - inset },          // Bottom-left inset
-      { x: width - 1 - inset, y: height - 1 - inset } // Bottom-right inset
+  const mask = new Uint8Array(width * height);
+
+  for (let i = 0; i < width * height; i++) {
+    const index = i * 4;
+    const distance = colorDistance(
+      { r: data[index], g: data[index + 1], b: data[index + 2] },
+      backgroundColorAt(model, i % width, Math.floor(i / width))
     );
+
+    mask[i] = distance <= tolerance ? 1 : 0;
   }
 
-  for (const { x, y } of cornerPoints) {
-    const index = (y * width + x) * 4;
-    samples.push({
-      r: data[index],
-      g: data[index + 1],
-      b: data[index + 2],
-      a: data[index + 3]
-    });
+  // Flood fill from edges to ensure only connected background is removed
+  const connected = floodFillFromEdges(mask, width, height);
+
+  // Enclosed background is kept unless holes are wanted
+  if (minHoleArea > 0) {
+    addEnclosedRegions(connected, mask, width, height, minHoleArea);
   }
 
-  return samples;
+  return connected;
 }
 
 /**
- * Find the most common color among samples using color clustering.
+ * Create a binary mask of every pixel close to a key color, connected to
+ * the edges or not.
  *
- * @param {Array} colors - Array of color objects
- * @returns {Object} - Most common color
+ * @param {ImageData} imageData - Image data
+ * @param {Object} key - Key color {r, g, b}
+ * @param {number} tolerance - Largest color distance from the key
+ * @returns {Uint8Array} - Binary mask
  */
-function findMostCommonColor(colors) {
-  if (colors.length === 0) return { r: 255, g: 255, b: 255, a: 255 };
-
-  // Group similar colors (within tolerance of 20)
-  const colorGroups = [];
-  const tolerance = 20;
-
-  for (const color of colors) {
-    let foundGroup = false;
-
-    for (const group of colorGroups) {
-      const groupColor = group[0];
-      const distance = Math.sqrt(
-        Math.pow(color.r - groupColor.r, 2) +
-        Math.pow(color.g - groupColor.g, 2) +
-        Math.pow(color.b - groupColor.b, 2)
-      );
-
-      if (distance <= tolerance) {
-        group.push(color);
-        foundGroup = true;
-        break;
-      }
-    }
-
-    if (!foundGroup) {
-      colorGroups.push([color]);
-    }
-  }
+function createKeyMask(imageData, key, tolerance) {
+  const { width, height, data } = imageData;
+  const mask = new Uint8Array(width * height);
 
-  // Find largest group
-  let largestGroup = colorGroups[0];
-  for (const group of colorGroups) {
-    if (group.length > largestGroup.length) {
-      largestGroup = group;
+  for (let i = 0; i < width * height; i++) {
+    const index = i * 4;
+    const color = { r: data[index], g: data[index + 1], b: data[index + 2] };
+    if (colorDistance(color, key) <= tolerance) {
+      mask[i] = 1;
     }
   }
 
-  // Return average color of largest group
-  const avgColor = {
-    r: 0, g: 0, b: 0, a: 0
-  };
-
-  for (const color of largestGroup) {
-    avgColor.r += color.r;
-    avgColor.g += color.g;
-    avgColor.b += color.b;
-    avgColor.a += color.a;
-  }
-
-  avgColor.r = Math.round(avgColor.r / largestGroup.length);
-  avgColor.g = Math.round(avgColor.g / largestGroup.length);
-  avgColor.b = Math.round(avgColor.b / largestGroup.length);
-  avgColor.a = Math.round(avgColor.a / largestGroup.length);
-
-  return avgColor;
+  return mask;
 }
 
 /**
- * Create a binary mask identifying background pixels.
+ * Remove the key tint from pixels near the removed background.
+ * The key's strong channels (e.g. red and blue for magenta) are spill
+ * wherever they all exceed the pixel's strongest weak channel; that excess
+ * is taken off, so a pink fringe on a gray edge turns gray again. Keys
+ * without both strong and weak channels (white, black, gray) have no tint
+ * to remove.
  *
- * @param {ImageData} imageData - Image data
- * @param {Object} backgroundColor - Background color {r, g, b, a}
- * @param {number} tolerance - Color matching tolerance
- * @returns {Uint8Array} - Binary mask
+ * @param {ImageData} imageData - Image data with the key already transparent
+ * @param {Object} key - Key color {r, g, b}
+ * @param {number} strength - Share of the spill removed (0-1)
+ * @param {number} bandWidth - Pixels from the transparent area that are treated
  */
-function createBackgroundMask(imageData, backgroundColor, tolerance) {
+function suppressSpill(imageData, key, strength, bandWidth) {
   const { width, height, data } = imageData;
-  const mask = new Uint8Array(width * height);
+  const strong = [0, 1, 2].filter(c => key[RGB[c]] >= 128);
+  const weak = [0, 1, 2].filter(c => key[RGB[c]] < 128);
+  if (strong.length === 0 || weak.length === 0) return;
+
+  const distance = distanceFromTransparent(data, width, height, bandWidth);
+  let treated = 0;
 
   for (let i = 0; i < width * height; i++) {
+    if (distance[i] === 0 || distance[i] > bandWidth) continue;
+
     const index = i * 4;
-    const distance = colorDistance(
-      { r: data[index], g: data[index + 1], b: data[index + 2] },
-      backgroundColor
-    );
+    const spill = Math.min(...strong.map(c => data[index + c])) - Math.max(...weak.map(c => data[index + c]));
+    if (spill <= 0) continue;
 
-    mask[i] = distance <= tolerance ? 1 : 0;
+    for (const c of strong) {
+      data[index + c] = Math.round(data[index + c] - spill * strength);
+    }
+    treated++;
   }
 
-  // Flood fill from edges to ensure only connected background is removed
-  return floodFillFromEdges(mask, width, height);
+  if (globalThis.debug && treated > 0) {
+    globalThis.debug.log('Key spill suppressed', { pixels: treated, strength });
+  }
+}
+
+/**
+ * Add enclosed background regions to a mask of edge-connected background.
+ * Regions are 4-connected groups of background-colored pixels the flood
+ * fill from the edges did not reach.
+ *
+ * @param {Uint8Array} connected - Edge-connected background (modified in place)
+ * @param {Uint8Array} candidates - Every background-colored pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} minArea - Smallest region added (px)
+ */
+function addEnclosedRegions(connected, candidates, width, height, minArea) {
+  const visited = new Uint8Array(width * height);
+  let holes = 0;
+
+  for (let start = 0; start < width * height; start++) {
+    if (visited[start] || connected[start] || !candidates[start]) continue;
+
+    // Collect one region
+    const region = [start];
+    visited[start] = 1;
+    for (let i = 0; i < region.length; i++) {
+      const index = region[i];
+      const x = index % width;
+      const y = Math.floor(index / width);
+
+      for (const neighbor of [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ]) {
+        if (neighbor >= 0 && !visited[neighbor] && candidates[neighbor]) {
+          visited[neighbor] = 1;
+          region.push(neighbor);
+        }
+      }
+    }
+
+    if (region.length >= minArea) {
+      for (const index of region) connected[index] = 1;
+      holes++;
+    }
+  }
+
+  if (globalThis.debug && holes > 0) {
+    globalThis.debug.log('Enclosed background removed', { holes, minArea });
+  }
 }
 
 /**
@@ -342,6 +416,162 @@ function applyTransparencyMask(imageData, mask) {
   }
 }
 
+/**
+ * Estimate fractional alpha and the true color of edge pixels.
+ * An antialiased edge pixel C is a blend of the foreground F and the
+ * background B: C = αF + (1 - α)B. F is taken from the nearest solid
+ * foreground pixel past the edge band, α from how far C lies from B towards
+ * F, and the color is un-premultiplied to B + (C - B) / α. Thin strokes
+ * without solid pixels nearby get the smallest α that keeps the color in
+ * range instead.
+ * Background pixels right next to the foreground are matted too, since the
+ * faintest part of an edge falls within the background tolerance, unless
+ * the background beyond them is still shaded (a drop shadow, not an edge)
+ * or they are barely off the background themselves.
+ * Only opaque pixels over an opaque background are changed.
+ *
+ * @param {ImageData} imageData - Image data with the background already transparent
+ * @param {Uint8Array} mask - Background mask from createBackgroundMask
+ * @param {Object} model - Background model from fitBackgroundModel
+ * @param {number} bandWidth - Edge band width in pixels
+ */
+function matteEdges(imageData, mask, model, bandWidth) {
+  const { width, height, data } = imageData;
+  const distance = distanceFromTransparent(data, width, height, bandWidth + 1);
+  const radius = bandWidth + 2;
+
+  // Background pixels touching the foreground, found before any alpha changes.
+  // The faint end of an edge stands out from the background and has plain
+  // background beyond it; when the next pixel out is still off the
+  // background, the pixel is part of a gradient running outward (a drop
+  // shadow) and is left alone
+  const outerRing = new Uint8Array(width * height);
+  const offBackground = (i) => {
+    const expected = backgroundColorAt(model, i % width, Math.floor(i / width));
+    const color = { r: data[i * 4], g: data[i * 4 + 1], b: data[i * 4 + 2] };
+    return colorDistance(color, expected) >= MIN_BACKGROUND_TOLERANCE;
+  };
+  const endsEdge = (ring, step, inImage) => {
+    if (mask[ring] !== 1 || !offBackground(ring)) return;
+    const far = ring + step;
+    if (inImage && mask[far] === 1 && offBackground(far)) return;
+    outerRing[ring] = 1;
+  };
+  for (let i = 0; i < width * height; i++) {
+    if (distance[i] !== 1) continue;
+    const x = i % width;
+    if (x > 0) endsEdge(i - 1, -1, x > 1);
+    if (x < width - 1) endsEdge(i + 1, 1, x < width - 2);
+    if (i >= width) endsEdge(i - width, -width, i >= 2 * width);
+    if (i + width < width * height) endsEdge(i + width, width, i + 2 * width < width * height);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const index = i * 4;
+      const inBand = distance[i] > 0 && distance[i] <= bandWidth && data[index + 3] === 255;
+      if (!inBand && !outerRing[i]) continue;
+
+      const background = backgroundColorAt(model, x, y);
+      if (background.a !== 255) continue;
+
+      // Step 1: Nearest solid foreground pixel
+      let foreground = null;
+      let nearest = Infinity;
+      for (let ny = Math.max(0, y - radius); ny <= Math.min(height - 1, y + radius); ny++) {
+        for (let nx = Math.max(0, x - radius); nx <= Math.min(width - 1, x + radius); nx++) {
+          const n = ny * width + nx;
+          const squared = (nx - x) ** 2 + (ny - y) ** 2;
+          if (distance[n] > bandWidth && squared < nearest) {
+            nearest = squared;
+            foreground = n * 4;
+          }
+        }
+      }
+
+      // Step 2: Alpha along the line from the background to the foreground
+      const channels = [0, 1, 2];
+      let alpha;
+      if (foreground === null && outerRing[i]) {
+        continue;
+      } else if (foreground !== null) {
+        const span = channels.map(c => data[foreground + c] - background[RGB[c]]);
+        const length = span.reduce((sum, value) => sum + value * value, 0);
+        if (length < MIN_MATTING_CONTRAST ** 2) continue;
+
+        const projection = channels.reduce((sum, c) => sum + (data[index + c] - background[RGB[c]]) * span[c], 0);
+        alpha = projection / length;
+      } else {
+        alpha = Math.max(...channels.map(c => {
+          const value = data[index + c];
+          const base = background[RGB[c]];
+          if (value === base) return 0;
+          return Math.abs(value - base) / (value > base ? 255 - base : base);
+        }));
+      }
+
+      // Step 3: Un-premultiply
+      alpha = Math.min(1, alpha);
+      if (alpha >= 1 - 1 / 255 && inBand) continue;
+      if (alpha <= 1 / 255) {
+        data[index + 3] = 0;
+        continue;
+      }
+
+      for (const c of channels) {
+        const base = background[RGB[c]];
+        data[index + c] = Math.round(base + (data[index + c] - base) / alpha);
+      }
+      data[index + 3] = Math.round(alpha * 255);
+    }
+  }
+}
+
+/**
+ * Measure each pixel's distance (in 4-connected steps) from the nearest
+ * transparent pixel, up to a limit.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} limit - Largest distance measured; farther pixels get limit + 1
+ * @returns {Uint8Array} - Distance per pixel (0 for transparent pixels)
+ */
+function distanceFromTransparent(data, width, height, limit) {
+  const distance = new Uint8Array(width * height).fill(limit + 1);
+  let frontier = [];
+
+  for (let i = 0; i < width * height; i++) {
+    if (data[i * 4 + 3] === 0) {
+      distance[i] = 0;
+      frontier.push(i);
+    }
+  }
+
+  for (let step = 1; step <= limit && frontier.length > 0; step++) {
+    const next = [];
+    for (const i of frontier) {
+      const x = i % width;
+      const neighbors = [
+        x > 0 ? i - 1 : -1,
+        x < width - 1 ? i + 1 : -1,
+        i >= width ? i - width : -1,
+        i + width < width * height ? i + width : -1
+      ];
+      for (const n of neighbors) {
+        if (n >= 0 && distance[n] > step) {
+          distance[n] = step;
+          next.push(n);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return distance;
+}
+
 /**
  * Determine if a pixel is likely a shadow artifact.
  *
@@ -531,25 +761,32 @@ function removeSemiTransparentPixels(imageData, aggressiveness) {
 /**
  * Trim transparent padding around a component.
  * Removes empty space and returns trimmed ImageData with new bounds.
+ * Pixels in the keep mask count as content even when transparent, so
+ * padding the user painted as kept survives, and a kept component is never
+ * dropped as too small.
  *
  * @param {ImageData} imageData - Source image data
+ * @param {Uint8Array|null} keepMask - Optional 1 per manually kept pixel
  * @returns {Object} - {imageData: trimmed ImageData, bounds: {x, y, width, height}, isEmpty: boolean}
  */
-export function trimTransparentPadding(imageData) {
+export function trimTransparentPadding(imageData, keepMask = null) {
   const { width, height, data } = imageData;
 
-  // Find bounding box of non-transparent pixels
+  // Find bounding box of non-transparent (or kept) pixels
   let minX = width;
   let minY = height;
   let maxX = -1;
   let maxY = -1;
+  let kept = false;
 
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
       const index = (y * width + x) * 4;
       const alpha = data[index + 3];
+      const keep = keepMask !== null && keepMask[y * width + x] === 1;
+      kept = kept || keep;
 
-      if (alpha > 0) {
+      if (alpha > 0 || keep) {
         minX = Math.min(minX, x);
         minY = Math.min(minY, y);
         maxX = Math.max(maxX, x);
@@ -561,7 +798,7 @@ export function trimTransparentPadding(imageData) {
   // Check if image is completely transparent
   if (maxX === -1 || maxY === -1) {
     return {
-      imageData: new ImageData(1, 1),
+      imageData: createImageData(null, 1, 1),
       bounds: { x: 0, y: 0, width: 0, height: 0 },
       isEmpty: true
     };
@@ -572,9 +809,9 @@ export function trimTransparentPadding(imageData) {
   const trimmedHeight = maxY - minY + 1;
 
   // Check if component is too small (likely noise)
-  if (trimmedWidth < 3 || trimmedHeight < 3) {
+  if (!kept && (trimmedWidth < 3 || trimmedHeight < 3)) {
     return {
-      imageData: new ImageData(1, 1),
+      imageData: createImageData(null, 1, 1),
       bounds: { x: 0, y: 0, width: 0, height: 0 },
       isEmpty: true
     };
@@ -596,7 +833,7 @@ export function trimTransparentPadding(imageData) {
   }
 
   return {
-    imageData: new ImageData(trimmedData, trimmedWidth, trimmedHeight),
+    imageData: createImageData(trimmedData, trimmedWidth, trimmedHeight),
     bounds: { x: minX, y: minY, width: trimmedWidth, height: trimmedHeight },
     isEmpty: false
   };
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Grid Detection Benchmark
+ * Times detectGrid on synthetic sprite sheets (or on PNG files) in each
+ * divider mode, so changes to the detector can be compared by numbers.
+ *
+ * Usage: node benchmark.js [sheet.png ...] [--size 4096] [--runs 3]
+ */
+
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { detectGrid } from './grid-detector.js';
+import { decodePNG } from './png-codec.js';
+
+// Detection settings compared in every run
+const SCENARIOS = [
+  { name: 'line', options: { dividerMode: 'line' } },
+  { name: 'gutter', options: { dividerMode: 'gutter' } },
+  { name: 'statistical', options: { dividerDetection: 'statistical' } }
+];
+
+// ============================================================================
+// Command
+// ============================================================================
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      size: { type: 'string', default: '4096' },
+      runs: { type: 'string', default: '3' }
+    }
+  });
+
+  const size = Number(values.size);
+  const runs = Number(values.runs);
+  if (!Number.isInteger(size) || size < 64 || !Number.isInteger(runs) || runs < 1) {
+    throw new Error('--size must be an integer of at least 64 and --runs a positive integer');
+  }
+
+  const images = positionals.length > 0
+    ? positionals.map(path => ({ name: path, imageData: decodePNG(readFileSync(path)) }))
+    : [
+        { name: `flat ${size}²`, imageData: createSheet(size, false) },
+        { name: `shaded ${size}²`, imageData: createSheet(size, true) }
+      ];
+
+  for (const { name, imageData } of images) {
+    const megapixels = (imageData.width * imageData.height) / 1e6;
+    console.log(`${name} (${imageData.width}×${imageData.height}, ${megapixels.toFixed(1)} MP)`);
+
+    for (const scenario of SCENARIOS) {
+      const times = [];
+      let gridConfig;
+
+      for (let run = 0; run < runs; run++) {
+        const start = performance.now();
+        gridConfig = detectGrid(imageData, scenario.options);
+        times.push(performance.now() - start);
+      }
+
+      const median = times.sort((a, b) => a - b)[Math.floor(times.length / 2)];
+      console.log(
+        `  ${scenario.name.padEnd(12)} ${median.toFixed(0).padStart(7)} ms ` +
+        `${(megapixels / (median / 1000)).toFixed(1).padStart(7)} MP/s  ` +
+        `${gridConfig.columns}×${gridConfig.rows} cells`
+      );
+    }
+  }
+}
+
+// ============================================================================
+// Synthetic sheets
+// ============================================================================
+
+/**
+ * Draw a 16×16 sprite sheet: 2px dark dividers, light cells, and a widget in
+ * each cell that is either flat or shaded with a gradient (so no two
+ * neighboring pixels inside it match).
+ *
+ * @param {number} size - Width and height in pixels
+ * @param {boolean} shaded - Whether widgets are shaded
+ * @returns {Object} - Image data {width, height, data}
+ */
+function createSheet(size, shaded) {
+  const data = new Uint8ClampedArray(size * size * 4);
+  const line = 2;
+  const pitch = Math.floor((size - line) / 16);
+  const padding = Math.floor(pitch / 8);
+
+  for (let y = 0; y < size; y++) {
+    const cellY = y % pitch;
+
+    for (let x = 0; x < size; x++) {
+      const cellX = x % pitch;
+      const index = (y * size + x) * 4;
+
+      if (cellX < line || cellY < line || x >= pitch * 16 || y >= pitch * 16) {
+        data.set([40, 40, 48, 255], index);
+      } else if (cellX < padding || cellY < padding || cellX >= pitch - padding || cellY >= pitch - padding) {
+        data.set([236, 236, 240, 255], index);
+      } else if (shaded) {
+        data.set([(x * 7 + y * 3) & 255, (x ^ y) & 255, 128 + (cellY & 63), 255], index);
+      } else {
+        data.set([60 + (x / pitch | 0) * 10, 120, 200 - (y / pitch | 0) * 10, 255], index);
+      }
+    }
+  }
+
+  return { width: size, height: size, data };
+}
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(`benchmark: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Auto-Slice Command-Line Tool
+ * Analyzes a sprite sheet PNG and writes the same bundle as the browser's
+ * "Export TAR" button: images/*.png, components.json, components.css and
+ * index.html - either into a directory or into a .tar archive.
+ *
+ * Usage: auto-slice sheet.png --out dist/ui [options]
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { parseArgs } from 'util';
+import { analyzeImageData, exportAnalysis } from './pipeline.js';
+import { decodePNG } from './png-codec.js';
+import { exportToTar, collectExportFiles } from './tar-exporter.js';
+import { OPTION_SCHEMA, resolveOptions, parsePreset, serializePreset } from './options.js';
+import { parseProject } from './project.js';
+
+// Analysis options become kebab-case flags (minXGap -> --min-x-gap)
+const OPTION_FLAGS = Object.entries(OPTION_SCHEMA).map(([name, spec]) => ({
+  name,
+  flag: name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`),
+  spec
+}));
+
+const USAGE = `Usage: auto-slice <image.png> [options]
+
+Options:
+  -o, --out <path>              Output directory, or a file ending in .tar (default: auto-slice-output)
+  -f, --format <dir|tar>        Output type (default: inferred from --out)
+  -p, --preset <file>           Load options from a preset JSON file (flags override it)
+      --save-preset <file>      Write the effective options to a preset file
+      --project <file>          Load options and per-component overrides from a project file
+  -q, --quiet                   Only print errors
+  -h, --help                    Show this help
+
+Analysis options:
+${OPTION_FLAGS.map(formatOptionHelp).join('\n')}
+`;
+
+// ============================================================================
+// Command
+// ============================================================================
+
+async function main(argv) {
+  const optionFlags = {};
+  for (const { flag, spec } of OPTION_FLAGS) {
+    optionFlags[flag] = spec.short ? { type: 'string', short: spec.short } : { type: 'string' };
+  }
+
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'auto-slice-output' },
+      format: { type: 'string', short: 'f' },
+      preset: { type: 'string', short: 'p' },
+      'save-preset': { type: 'string' },
+      project: { type: 'string' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+      ...optionFlags
+    }
+  });
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  if (positionals.length !== 1) {
+    throw new Error(`expected exactly one input image\n\n${USAGE}`);
+  }
+
+  const format = values.format || (values.out.toLowerCase().endsWith('.tar') ? 'tar' : 'dir');
+  if (format !== 'dir' && format !== 'tar') {
+    throw new Error(`unknown format "${format}" (expected "dir" or "tar")`);
+  }
+
+  if (values.preset && values.project) {
+    throw new Error('use either --preset or --project, not both');
+  }
+
+  // Defaults, then the preset or project, then individual flags
+  const project = values.project ? parseProject(readFileSync(values.project, 'utf8')) : null;
+  const base = values.preset ? parsePreset(readFileSync(values.preset, 'utf8')).options : project?.options;
+  const options = resolveOptions(readOptionFlags(values), base);
+
+  if (values['save-preset']) {
+    writeFileSync(values['save-preset'], serializePreset(options) + '\n');
+  }
+
+  const log = values.quiet ? () => {} : (message) => console.log(message);
+
+  const inputPath = resolve(positionals[0]);
+  const imageData = decodePNG(readFileSync(inputPath));
+  log(`Loaded ${positionals[0]} (${imageData.width}×${imageData.height})`);
+
+  const analysis = analyzeImageData(imageData, options, { overrides: project?.overrides });
+  log(`Detected ${analysis.gridConfig.columns}×${analysis.gridConfig.rows} grid, ${analysis.components.filter(c => !c.isEmpty).length} components`);
+
+  // Same exporters as the browser's export button
+  const { pngBlobs, json, css, gridConfig, components } = await exportAnalysis(analysis);
+
+  const outputPath = resolve(values.out);
+
+  if (format === 'tar') {
+    const tarBlob = await exportToTar(gridConfig, components, json, css, pngBlobs);
+    mkdirSync(dirname(outputPath), { recursive: true });
+    writeFileSync(outputPath, new Uint8Array(await tarBlob.arrayBuffer()));
+    log(`Wrote ${values.out} (${(tarBlob.size / 1024).toFixed(1)} KB)`);
+    return;
+  }
+
+  const files = await collectExportFiles(gridConfig, components, json, css, pngBlobs);
+  for (const file of files) {
+    const filePath = join(outputPath, file.path);
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, typeof file.data === 'string' ? file.data : new Uint8Array(file.data));
+  }
+  log(`Wrote ${files.length} files to ${values.out}`);
+}
+
+/**
+ * Collect analysis options from their flags.
+ * Values stay strings; resolveOptions converts and validates them.
+ *
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} - Option overrides keyed by option name
+ */
+function readOptionFlags(values) {
+  const overrides = {};
+
+  for (const { name, flag } of OPTION_FLAGS) {
+    if (values[flag] !== undefined) {
+      overrides[name] = values[flag];
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Format one help line for an analysis option.
+ *
+ * @param {Object} entry - {flag, spec} from OPTION_FLAGS
+ * @returns {string} - Help line
+ */
+function formatOptionHelp({ flag, spec }) {
+  let range = '<value>';
+  if (spec.type === 'number') {
+    range = spec.max === Infinity ? `<${spec.min}+>` : `<${spec.min}-${spec.max}>`;
+  } else if (spec.type === 'enum') {
+    range = `<${spec.values.join('|')}>`;
+  } else if (spec.type === 'color') {
+    range = '<#RRGGBB>';
+  }
+  const usage = `${spec.short ? `-${spec.short}, ` : '    '}--${flag} ${range}`;
+  const description = `${spec.description} (default: ${spec.default})`;
+
+  return usage.length < 30
+    ? `  ${usage.padEnd(30)}${description}`
+    : `  ${usage}\n${' '.repeat(32)}${description}`;
+}
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+try {
+  await main(process.argv.slice(2));
+} catch (error) {
+  console.error(`auto-slice: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -3,14 +3,20 @@
  * Generate CSS for border-image and pseudo-elements.
  */
 
+import { resolveOptions } from './options.js';
+import { formatColor } from './frame-detector.js';
+
 /**
  * Generate CSS for border-image and pseudo-elements.
  *
  * @param {ProcessedComponent[]} components - Extracted components
- * @param {string} imageBasePath - Base path for image URLs
+ * @param {Object} options - Export options (imageBasePath: base path for image URLs)
+ * @param {Object} context - Optional {quantized} palettes from quantizeComponents
  * @returns {string} - CSS stylesheet content
  */
-export function exportToCSS(components, imageBasePath = 'images/') {
+export function exportToCSS(components, options = {}, context = {}) {
+  const { imageBasePath } = resolveOptions(options);
+  const { quantized = null } = context;
   const cssBlocks = [];
 
   // Header comment
@@ -21,9 +27,14 @@ export function exportToCSS(components, imageBasePath = 'images/') {
  */
 `);
 
-  // CSS custom properties for easy theming
+  // CSS custom properties for easy theming; palette colors as --palette-<name>-<index>
+  const paletteProperties = quantized
+    ? Object.entries(quantized.palettes).flatMap(([name, palette]) => palette.colors.map((color, index) =>
+      `\n  --palette-${name}-${index}: ${formatColor(color)};`))
+    : [];
+
   cssBlocks.push(`:root {
-  --nine-slice-base-path: '${imageBasePath}';
+  --nine-slice-base-path: '${imageBasePath}';${paletteProperties.join('')}
 }
 `);
 
@@ -34,6 +45,8 @@ export function exportToCSS(components, imageBasePath = 'images/') {
     // Main border-image style
     if (component.nineSlice) {
       const { top, right, bottom, left } = component.nineSlice;
+      // Frames around a hole keep their center transparent
+      const fill = component.shapes.some(shape => shape.type === 'hole') ? '' : ' fill';
 
       cssBlocks.push(`/* Component: ${component.name} */
 .${className} {
@@ -41,7 +54,7 @@ export function exportToCSS(components, imageBasePath = 'images/') {
   border-style: solid;
   border-color: transparent;
   border-image-source: url('${imagePath}');
-  border-image-slice: ${top} ${right} ${bottom} ${left} fill;
+  border-image-slice: ${top} ${right} ${bottom} ${left}${fill};
   border-image-repeat: round;
   box-sizing: border-box;
 }
@@ -60,6 +73,25 @@ export function exportToCSS(components, imageBasePath = 'images/') {
 `);
     }
 
+    // Divider lines as plain CSS borders in their detected style
+    if (component.lineStyle) {
+      const { style, period, dash, colors } = component.lineStyle;
+      const horizontal = component.type === 'horizontal-line';
+      const thickness = horizontal ? component.height : component.width;
+      const pattern = period > 0 ? `, ${dash}px dashes every ${period}px` : '';
+
+      cssBlocks.push(`/* Divider: ${component.name} (${style}${pattern}) */
+.${className}--border {
+  border-${horizontal ? 'top' : 'left'}: ${thickness}px ${style} ${formatColor(colors[0])};
+}
+`);
+    }
+
+    // Removed drop shadow, recreated in CSS so it scales with the element
+    if (component.shadow) {
+      cssBlocks.push(formatShadowRule(className, component));
+    }
+
     // Pseudo-element variants for more control
     cssBlocks.push(`.${className}-pseudo {
   position: relative;
@@ -118,3 +150,32 @@ export function exportToCSS(components, imageBasePath = 'images/') {
 
   return cssBlocks.join('\n');
 }
+
+/**
+ * Write a component's shadow as CSS.
+ * Boxes get a box-shadow (which supports spread); other shapes get a
+ * drop-shadow filter, which follows the image's alpha.
+ *
+ * @param {string} className - Component CSS class
+ * @param {ProcessedComponent} component - Component with a shadow
+ * @returns {string} - CSS rule
+ */
+function formatShadowRule(className, component) {
+  const { offsetX, offsetY, blur, spread, color } = component.shadow;
+  const isBox = component.shapes.some(shape => shape.type === 'rectangle' || shape.type === 'rounded-rectangle');
+  const comment = `/* Shadow: ${component.name} (offset ${offsetX}px ${offsetY}px, blur ${blur}px) */`;
+
+  if (isBox || spread !== 0) {
+    return `${comment}
+.${className} {
+  box-shadow: ${offsetX}px ${offsetY}px ${blur}px ${spread}px ${formatColor(color)};
+}
+`;
+  }
+
+  return `${comment}
+.${className} {
+  filter: drop-shadow(${offsetX}px ${offsetY}px ${blur}px ${formatColor(color)});
+}
+`;
+}
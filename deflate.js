@@ -0,0 +1,881 @@
+/**
+ * Deflate Module
+ * Dependency-free zlib (RFC 1950) and DEFLATE (RFC 1951) compression.
+ * Used by the PNG codec so images can be encoded and decoded without
+ * canvas.toBlob or Node's zlib.
+ */
+
+// Length codes 257..285: base lengths and extra bits
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+// Distance codes 0..29: base distances and extra bits
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// Order in which code length code lengths are stored
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const MAX_BITS = 15;
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const HASH_BITS = 15;
+const HASH_SIZE = 1 << HASH_BITS;
+
+// Symbols per compressed block before a new Huffman table is built
+const BLOCK_SYMBOLS = 16384;
+
+// Compression levels: how many hash chain links to follow per match search
+const CHAIN_LENGTHS = [0, 4, 8, 16, 32, 64, 128, 256, 1024, 4096];
+
+// Symbol -> length/distance code lookup tables
+const LENGTH_CODE = new Uint16Array(MAX_MATCH + 1);
+const DIST_CODE = new Uint8Array(WINDOW_SIZE + 1);
+
+for (let code = 0; code < LENGTH_BASE.length; code++) {
+  const end = code === LENGTH_BASE.length - 1 ? MAX_MATCH : LENGTH_BASE[code] + (1 << LENGTH_EXTRA[code]) - 1;
+  for (let length = LENGTH_BASE[code]; length <= end; length++) {
+    LENGTH_CODE[length] = code;
+  }
+}
+
+for (let code = 0; code < DIST_BASE.length; code++) {
+  const end = DIST_BASE[code] + (1 << DIST_EXTRA[code]) - 1;
+  for (let dist = DIST_BASE[code]; dist <= end && dist <= WINDOW_SIZE; dist++) {
+    DIST_CODE[dist] = code;
+  }
+}
+
+// ============================================================================
+// zlib wrapper
+// ============================================================================
+
+/**
+ * Compress bytes into a zlib stream.
+ *
+ * @param {Uint8Array} input - Uncompressed bytes
+ * @param {Object} options - {level: 0-9} (default 6)
+ * @returns {Uint8Array} - zlib stream
+ */
+export function zlibDeflate(input, options = {}) {
+  const body = deflateRaw(input, options);
+  const output = new Uint8Array(body.length + 6);
+
+  output[0] = 0x78; // CM = 8 (deflate), CINFO = 7 (32K window)
+  output[1] = 0x9c; // Default compression, FCHECK makes header a multiple of 31
+  output.set(body, 2);
+
+  const checksum = adler32(input);
+  output[output.length - 4] = checksum >>> 24;
+  output[output.length - 3] = (checksum >>> 16) & 0xff;
+  output[output.length - 2] = (checksum >>> 8) & 0xff;
+  output[output.length - 1] = checksum & 0xff;
+
+  return output;
+}
+
+/**
+ * Decompress a zlib stream.
+ *
+ * @param {Uint8Array} input - zlib stream
+ * @returns {Uint8Array} - Uncompressed bytes
+ */
+export function zlibInflate(input) {
+  if (input.length < 6) {
+    throw new Error('zlib stream is truncated');
+  }
+
+  const cmf = input[0];
+  const flg = input[1];
+
+  if ((cmf & 0x0f) !== 8 || ((cmf << 8) | flg) % 31 !== 0) {
+    throw new Error('Invalid zlib header');
+  }
+  if (flg & 0x20) {
+    throw new Error('zlib preset dictionaries are not supported');
+  }
+
+  const { output, bytesRead } = inflateRawWithLength(input.subarray(2));
+  const trailer = 2 + bytesRead;
+
+  if (trailer + 4 <= input.length) {
+    const expected = ((input[trailer] << 24) | (input[trailer + 1] << 16) |
+      (input[trailer + 2] << 8) | input[trailer + 3]) >>> 0;
+    if (adler32(output) !== expected) {
+      throw new Error('zlib checksum mismatch');
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Adler-32 checksum used by the zlib trailer.
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} - Unsigned checksum
+ */
+export function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  let i = 0;
+
+  while (i < bytes.length) {
+    // 5552 is the largest block that cannot overflow before the modulo
+    const end = Math.min(i + 5552, bytes.length);
+    for (; i < end; i++) {
+      a += bytes[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+
+  return ((b << 16) | a) >>> 0;
+}
+
+// ============================================================================
+// Inflate
+// ============================================================================
+
+/**
+ * Decompress raw DEFLATE data.
+ *
+ * @param {Uint8Array} input - DEFLATE stream
+ * @returns {Uint8Array} - Uncompressed bytes
+ */
+export function inflateRaw(input) {
+  return inflateRawWithLength(input).output;
+}
+
+/**
+ * Decompress raw DEFLATE data and report how many input bytes were consumed.
+ *
+ * @param {Uint8Array} input - DEFLATE stream
+ * @returns {Object} - {output, bytesRead}
+ */
+function inflateRawWithLength(input) {
+  const reader = new BitReader(input);
+  let output = new Uint8Array(Math.max(1024, input.length * 4));
+  let outPos = 0;
+
+  const ensureCapacity = (extra) => {
+    if (outPos + extra <= output.length) return;
+    let size = output.length * 2;
+    while (size < outPos + extra) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(output.subarray(0, outPos));
+    output = grown;
+  };
+
+  let isFinal = 0;
+  while (!isFinal) {
+    isFinal = reader.readBits(1);
+    const type = reader.readBits(2);
+
+    if (type === 0) {
+      // Stored block
+      reader.alignToByte();
+      const length = reader.readBits(16);
+      const inverse = reader.readBits(16);
+      if ((length ^ 0xffff) !== inverse) {
+        throw new Error('Corrupt stored block length');
+      }
+      ensureCapacity(length);
+      output.set(reader.readBytes(length), outPos);
+      outPos += length;
+      continue;
+    }
+
+    let literalTable;
+    let distanceTable;
+
+    if (type === 1) {
+      ({ literalTable, distanceTable } = getFixedTables());
+    } else if (type === 2) {
+      ({ literalTable, distanceTable } = readDynamicTables(reader));
+    } else {
+      throw new Error('Invalid DEFLATE block type');
+    }
+
+    for (;;) {
+      const symbol = reader.decode(literalTable);
+
+      if (symbol < 256) {
+        ensureCapacity(1);
+        output[outPos++] = symbol;
+      } else if (symbol === 256) {
+        break;
+      } else {
+        const lengthCode = symbol - 257;
+        if (lengthCode >= LENGTH_BASE.length) {
+          throw new Error('Invalid DEFLATE length code');
+        }
+        const length = LENGTH_BASE[lengthCode] + reader.readBits(LENGTH_EXTRA[lengthCode]);
+
+        const distCode = reader.decode(distanceTable);
+        if (distCode >= DIST_BASE.length) {
+          throw new Error('Invalid DEFLATE distance code');
+        }
+        const distance = DIST_BASE[distCode] + reader.readBits(DIST_EXTRA[distCode]);
+        if (distance > outPos) {
+          throw new Error('DEFLATE distance reaches before start of output');
+        }
+
+        ensureCapacity(length);
+        for (let i = 0; i < length; i++) {
+          output[outPos] = output[outPos - distance];
+          outPos++;
+        }
+      }
+    }
+  }
+
+  return { output: output.slice(0, outPos), bytesRead: reader.bytesConsumed() };
+}
+
+let fixedTables = null;
+
+/**
+ * Get (and cache) the fixed Huffman tables from RFC 1951 section 3.2.6.
+ *
+ * @returns {Object} - {literalTable, distanceTable}
+ */
+function getFixedTables() {
+  if (!fixedTables) {
+    const literalLengths = new Uint8Array(288);
+    literalLengths.fill(8, 0, 144);
+    literalLengths.fill(9, 144, 256);
+    literalLengths.fill(7, 256, 280);
+    literalLengths.fill(8, 280, 288);
+
+    const distanceLengths = new Uint8Array(30).fill(5);
+
+    fixedTables = {
+      literalTable: buildDecodeTable(literalLengths),
+      distanceTable: buildDecodeTable(distanceLengths)
+    };
+  }
+
+  return fixedTables;
+}
+
+/**
+ * Read the Huffman tables of a dynamic block.
+ *
+ * @param {BitReader} reader - Bit reader positioned after the block header
+ * @returns {Object} - {literalTable, distanceTable}
+ */
+function readDynamicTables(reader) {
+  const literalCount = reader.readBits(5) + 257;
+  const distanceCount = reader.readBits(5) + 1;
+  const codeLengthCount = reader.readBits(4) + 4;
+
+  const codeLengthLengths = new Uint8Array(19);
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+  }
+  const codeLengthTable = buildDecodeTable(codeLengthLengths);
+
+  const lengths = new Uint8Array(literalCount + distanceCount);
+  let i = 0;
+
+  while (i < lengths.length) {
+    const symbol = reader.decode(codeLengthTable);
+
+    if (symbol < 16) {
+      lengths[i++] = symbol;
+      continue;
+    }
+
+    let repeat;
+    let value = 0;
+
+    if (symbol === 16) {
+      if (i === 0) throw new Error('Repeat code with no previous length');
+      value = lengths[i - 1];
+      repeat = 3 + reader.readBits(2);
+    } else if (symbol === 17) {
+      repeat = 3 + reader.readBits(3);
+    } else {
+      repeat = 11 + reader.readBits(7);
+    }
+
+    if (i + repeat > lengths.length) {
+      throw new Error('Code length repeat overflows table');
+    }
+    lengths.fill(value, i, i + repeat);
+    i += repeat;
+  }
+
+  return {
+    literalTable: buildDecodeTable(lengths.subarray(0, literalCount)),
+    distanceTable: buildDecodeTable(lengths.subarray(literalCount))
+  };
+}
+
+/**
+ * Build a direct lookup table for a canonical Huffman code.
+ * Entries are indexed by the next maxBits input bits (LSB first) and hold
+ * (symbol << 4) | codeLength.
+ *
+ * @param {Uint8Array} lengths - Code length per symbol (0 = unused)
+ * @returns {Object} - {table, maxBits}
+ */
+function buildDecodeTable(lengths) {
+  let maxBits = 0;
+  for (const length of lengths) {
+    if (length > maxBits) maxBits = length;
+  }
+
+  const table = new Uint32Array(1 << Math.max(maxBits, 1));
+  if (maxBits === 0) {
+    return { table, maxBits: 1 };
+  }
+
+  const codes = assignCanonicalCodes(lengths);
+
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol];
+    if (length === 0) continue;
+
+    const reversed = reverseBits(codes[symbol], length);
+    const entry = (symbol << 4) | length;
+
+    // Every index whose low `length` bits match the code decodes to this symbol
+    for (let index = reversed; index < table.length; index += 1 << length) {
+      table[index] = entry;
+    }
+  }
+
+  return { table, maxBits };
+}
+
+/**
+ * LSB-first bit reader over a byte array.
+ */
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  fill(count) {
+    while (this.bitCount < count) {
+      // Past the end we feed zeros; decode() checks for overruns
+      const byte = this.pos < this.bytes.length ? this.bytes[this.pos] : 0;
+      this.pos++;
+      this.bitBuffer |= byte << this.bitCount;
+      this.bitCount += 8;
+    }
+  }
+
+  readBits(count) {
+    if (count === 0) return 0;
+    this.fill(count);
+    const value = this.bitBuffer & ((1 << count) - 1);
+    this.bitBuffer >>>= count;
+    this.bitCount -= count;
+    this.checkOverrun();
+    return value;
+  }
+
+  decode({ table, maxBits }) {
+    this.fill(maxBits);
+    const entry = table[this.bitBuffer & ((1 << maxBits) - 1)];
+    const length = entry & 0x0f;
+    if (length === 0) {
+      throw new Error('Invalid Huffman code');
+    }
+    this.bitBuffer >>>= length;
+    this.bitCount -= length;
+    this.checkOverrun();
+    return entry >>> 4;
+  }
+
+  alignToByte() {
+    const drop = this.bitCount & 7;
+    this.bitBuffer >>>= drop;
+    this.bitCount -= drop;
+  }
+
+  readBytes(count) {
+    // Hand back whole buffered bytes first, then read straight from input
+    this.alignToByte();
+    const unread = this.bitCount >> 3;
+    const start = this.pos - unread;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    if (start + count > this.bytes.length) {
+      throw new Error('Unexpected end of DEFLATE data');
+    }
+    this.pos = start + count;
+    return this.bytes.subarray(start, start + count);
+  }
+
+  bytesConsumed() {
+    return this.pos - (this.bitCount >> 3);
+  }
+
+  checkOverrun() {
+    if (this.pos - (this.bitCount >> 3) > this.bytes.length) {
+      throw new Error('Unexpected end of DEFLATE data');
+    }
+  }
+}
+
+// ============================================================================
+// Deflate
+// ============================================================================
+
+/**
+ * Compress bytes into raw DEFLATE data.
+ * LZ77 with hash chains, dynamic Huffman blocks, stored blocks when that
+ * is smaller.
+ *
+ * @param {Uint8Array} input - Uncompressed bytes
+ * @param {Object} options - {level: 0-9} (default 6)
+ * @returns {Uint8Array} - DEFLATE stream
+ */
+export function deflateRaw(input, options = {}) {
+  const level = Math.max(0, Math.min(9, options.level ?? 6));
+  const writer = new BitWriter(input.length + 64);
+
+  if (level === 0 || input.length === 0) {
+    writeStoredBlocks(writer, input, 0, input.length, true);
+    return writer.finish();
+  }
+
+  const symbols = tokenize(input, CHAIN_LENGTHS[level]);
+
+  // Emit blocks of BLOCK_SYMBOLS tokens, each with its own Huffman tables
+  let symbolStart = 0;
+  let byteStart = 0;
+
+  while (symbolStart < symbols.count) {
+    const symbolEnd = Math.min(symbolStart + BLOCK_SYMBOLS, symbols.count);
+    let byteEnd = byteStart;
+    for (let i = symbolStart; i < symbolEnd; i++) {
+      byteEnd += symbols.lengths[i] || 1;
+    }
+
+    writeBlock(writer, symbols, symbolStart, symbolEnd, input, byteStart, byteEnd, symbolEnd === symbols.count);
+
+    symbolStart = symbolEnd;
+    byteStart = byteEnd;
+  }
+
+  return writer.finish();
+}
+
+/**
+ * Find LZ77 matches and produce a token list.
+ * Token i is a literal when lengths[i] is 0, otherwise a back-reference.
+ *
+ * @param {Uint8Array} input - Uncompressed bytes
+ * @param {number} maxChain - Maximum hash chain links to follow
+ * @returns {Object} - {literals, lengths, distances, count}
+ */
+function tokenize(input, maxChain) {
+  const size = input.length;
+  const literals = new Uint8Array(size);
+  const lengths = new Uint16Array(size);
+  const distances = new Uint16Array(size);
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const prev = new Int32Array(WINDOW_SIZE);
+  let count = 0;
+
+  const hashAt = (pos) => ((input[pos] << 10) ^ (input[pos + 1] << 5) ^ input[pos + 2]) & (HASH_SIZE - 1);
+
+  const insert = (pos) => {
+    if (pos + MIN_MATCH > size) return;
+    const hash = hashAt(pos);
+    prev[pos & (WINDOW_SIZE - 1)] = head[hash];
+    head[hash] = pos;
+  };
+
+  let pos = 0;
+  while (pos < size) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    if (pos + MIN_MATCH <= size) {
+      const maxLength = Math.min(MAX_MATCH, size - pos);
+      let candidate = head[hashAt(pos)];
+      let chain = maxChain;
+
+      while (candidate >= 0 && pos - candidate <= WINDOW_SIZE && chain-- > 0) {
+        // Quick reject: the byte that would extend the best match must match
+        if (input[candidate + bestLength] === input[pos + bestLength]) {
+          let length = 0;
+          while (length < maxLength && input[candidate + length] === input[pos + length]) {
+            length++;
+          }
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = pos - candidate;
+            if (length === maxLength) break;
+          }
+        }
+        const next = prev[candidate & (WINDOW_SIZE - 1)];
+        if (next >= candidate) break;
+        candidate = next;
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      lengths[count] = bestLength;
+      distances[count] = bestDistance;
+      count++;
+      for (let i = 0; i < bestLength; i++) {
+        insert(pos + i);
+      }
+      pos += bestLength;
+    } else {
+      literals[count] = input[pos];
+      count++;
+      insert(pos);
+      pos++;
+    }
+  }
+
+  return { literals, lengths, distances, count };
+}
+
+/**
+ * Write one block, choosing between dynamic Huffman and stored encoding.
+ */
+function writeBlock(writer, symbols, start, end, input, byteStart, byteEnd, isFinal) {
+  const literalFreq = new Uint32Array(286);
+  const distanceFreq = new Uint32Array(30);
+
+  for (let i = start; i < end; i++) {
+    const length = symbols.lengths[i];
+    if (length === 0) {
+      literalFreq[symbols.literals[i]]++;
+    } else {
+      literalFreq[257 + LENGTH_CODE[length]]++;
+      distanceFreq[DIST_CODE[symbols.distances[i]]]++;
+    }
+  }
+  literalFreq[256] = 1; // End of block
+
+  const literalLengths = buildCodeLengths(literalFreq, MAX_BITS);
+  const distanceLengths = buildCodeLengths(distanceFreq, MAX_BITS);
+
+  // A distance tree needs at least one code even when unused
+  if (!distanceLengths.some(length => length > 0)) {
+    distanceLengths[0] = 1;
+  }
+
+  const header = buildDynamicHeader(literalLengths, distanceLengths);
+
+  // Estimate compressed size to decide whether storing is smaller
+  let dataBits = 0;
+  for (let symbol = 0; symbol < 286; symbol++) {
+    dataBits += literalFreq[symbol] * literalLengths[symbol];
+    if (symbol >= 257 && symbol - 257 < LENGTH_EXTRA.length) {
+      dataBits += literalFreq[symbol] * LENGTH_EXTRA[symbol - 257];
+    }
+  }
+  for (let code = 0; code < 30; code++) {
+    dataBits += distanceFreq[code] * (distanceLengths[code] + DIST_EXTRA[code]);
+  }
+
+  const dynamicBits = 3 + header.bits + dataBits;
+  const storedBits = (byteEnd - byteStart) * 8 + Math.ceil((byteEnd - byteStart) / 65535) * 40;
+
+  if (storedBits < dynamicBits) {
+    writeStoredBlocks(writer, input, byteStart, byteEnd, isFinal);
+    return;
+  }
+
+  const literalCodes = assignCanonicalCodes(literalLengths).map((code, symbol) => reverseBits(code, literalLengths[symbol]));
+  const distanceCodes = assignCanonicalCodes(distanceLengths).map((code, symbol) => reverseBits(code, distanceLengths[symbol]));
+
+  writer.writeBits(isFinal ? 1 : 0, 1);
+  writer.writeBits(2, 2);
+  header.write(writer);
+
+  for (let i = start; i < end; i++) {
+    const length = symbols.lengths[i];
+
+    if (length === 0) {
+      const literal = symbols.literals[i];
+      writer.writeBits(literalCodes[literal], literalLengths[literal]);
+      continue;
+    }
+
+    const lengthCode = LENGTH_CODE[length];
+    writer.writeBits(literalCodes[257 + lengthCode], literalLengths[257 + lengthCode]);
+    writer.writeBits(length - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+
+    const distance = symbols.distances[i];
+    const distCode = DIST_CODE[distance];
+    writer.writeBits(distanceCodes[distCode], distanceLengths[distCode]);
+    writer.writeBits(distance - DIST_BASE[distCode], DIST_EXTRA[distCode]);
+  }
+
+  writer.writeBits(literalCodes[256], literalLengths[256]);
+}
+
+/**
+ * Write input bytes as one or more stored blocks.
+ */
+function writeStoredBlocks(writer, input, start, end, isFinal) {
+  if (start === end) {
+    writer.writeBits(isFinal ? 1 : 0, 1);
+    writer.writeBits(0, 2);
+    writer.alignToByte();
+    writer.writeBytes(new Uint8Array([0, 0, 0xff, 0xff]));
+    return;
+  }
+
+  for (let pos = start; pos < end; pos += 65535) {
+    const length = Math.min(65535, end - pos);
+    const last = isFinal && pos + length === end;
+
+    writer.writeBits(last ? 1 : 0, 1);
+    writer.writeBits(0, 2);
+    writer.alignToByte();
+    writer.writeBytes(new Uint8Array([length & 0xff, length >> 8, ~length & 0xff, (~length >> 8) & 0xff]));
+    writer.writeBytes(input.subarray(pos, pos + length));
+  }
+}
+
+/**
+ * Build the dynamic block header: HLIT, HDIST, HCLEN and run-length coded
+ * code lengths.
+ *
+ * @param {Uint8Array} literalLengths - Literal/length code lengths
+ * @param {Uint8Array} distanceLengths - Distance code lengths
+ * @returns {Object} - {bits, write(writer)}
+ */
+function buildDynamicHeader(literalLengths, distanceLengths) {
+  let literalCount = 286;
+  while (literalCount > 257 && literalLengths[literalCount - 1] === 0) literalCount--;
+
+  let distanceCount = 30;
+  while (distanceCount > 1 && distanceLengths[distanceCount - 1] === 0) distanceCount--;
+
+  const allLengths = [
+    ...literalLengths.subarray(0, literalCount),
+    ...distanceLengths.subarray(0, distanceCount)
+  ];
+
+  // Run-length encode with symbols 16 (repeat previous), 17 and 18 (repeat zero)
+  const runs = [];
+  for (let i = 0; i < allLengths.length;) {
+    const value = allLengths[i];
+    let run = 1;
+    while (i + run < allLengths.length && allLengths[i + run] === value) run++;
+
+    let remaining = run;
+    if (value === 0) {
+      while (remaining >= 11) {
+        const count = Math.min(138, remaining);
+        runs.push([18, count - 11, 7]);
+        remaining -= count;
+      }
+      if (remaining >= 3) {
+        runs.push([17, remaining - 3, 3]);
+        remaining = 0;
+      }
+    } else {
+      runs.push([value, 0, 0]);
+      remaining--;
+      while (remaining >= 3) {
+        const count = Math.min(6, remaining);
+        runs.push([16, count - 3, 2]);
+        remaining -= count;
+      }
+    }
+    for (; remaining > 0; remaining--) {
+      runs.push([value, 0, 0]);
+    }
+
+    i += run;
+  }
+
+  const codeLengthFreq = new Uint32Array(19);
+  for (const [symbol] of runs) codeLengthFreq[symbol]++;
+
+  const codeLengthLengths = buildCodeLengths(codeLengthFreq, 7);
+  const codeLengthCodes = assignCanonicalCodes(codeLengthLengths).map((code, symbol) => reverseBits(code, codeLengthLengths[symbol]));
+
+  let codeLengthCount = 19;
+  while (codeLengthCount > 4 && codeLengthLengths[CODE_LENGTH_ORDER[codeLengthCount - 1]] === 0) codeLengthCount--;
+
+  let bits = 5 + 5 + 4 + codeLengthCount * 3;
+  for (const [symbol, , extraBits] of runs) {
+    bits += codeLengthLengths[symbol] + extraBits;
+  }
+
+  return {
+    bits,
+    write(writer) {
+      writer.writeBits(literalCount - 257, 5);
+      writer.writeBits(distanceCount - 1, 5);
+      writer.writeBits(codeLengthCount - 4, 4);
+      for (let i = 0; i < codeLengthCount; i++) {
+        writer.writeBits(codeLengthLengths[CODE_LENGTH_ORDER[i]], 3);
+      }
+      for (const [symbol, extra, extraBits] of runs) {
+        writer.writeBits(codeLengthCodes[symbol], codeLengthLengths[symbol]);
+        writer.writeBits(extra, extraBits);
+      }
+    }
+  };
+}
+
+/**
+ * Compute length-limited Huffman code lengths from symbol frequencies.
+ * Frequencies are flattened and the tree rebuilt until it fits the limit.
+ *
+ * @param {Uint32Array} frequencies - Symbol frequencies
+ * @param {number} maxLength - Maximum code length
+ * @returns {Uint8Array} - Code length per symbol
+ */
+function buildCodeLengths(frequencies, maxLength) {
+  const lengths = new Uint8Array(frequencies.length);
+  let weights = Array.from(frequencies);
+
+  for (;;) {
+    const used = [];
+    for (let symbol = 0; symbol < weights.length; symbol++) {
+      if (weights[symbol] > 0) used.push(symbol);
+    }
+
+    if (used.length === 0) return lengths;
+    if (used.length === 1) {
+      lengths[used[0]] = 1;
+      return lengths;
+    }
+
+    // Huffman tree over a simple sorted queue (alphabets are tiny)
+    const nodes = used.map(symbol => ({ weight: weights[symbol], symbol, left: null, right: null }));
+    nodes.sort((a, b) => a.weight - b.weight);
+
+    while (nodes.length > 1) {
+      const left = nodes.shift();
+      const right = nodes.shift();
+      const parent = { weight: left.weight + right.weight, symbol: -1, left, right };
+
+      let index = 0;
+      while (index < nodes.length && nodes[index].weight <= parent.weight) index++;
+      nodes.splice(index, 0, parent);
+    }
+
+    let tooLong = false;
+    const stack = [[nodes[0], 0]];
+    while (stack.length > 0) {
+      const [node, depth] = stack.pop();
+      if (node.symbol >= 0) {
+        lengths[node.symbol] = depth;
+        if (depth > maxLength) tooLong = true;
+      } else {
+        stack.push([node.left, depth + 1], [node.right, depth + 1]);
+      }
+    }
+
+    if (!tooLong) return lengths;
+
+    lengths.fill(0);
+    weights = weights.map(weight => (weight > 0 ? (weight >> 1) | 1 : 0));
+  }
+}
+
+/**
+ * Assign canonical Huffman codes (RFC 1951 section 3.2.2).
+ *
+ * @param {Uint8Array} lengths - Code length per symbol
+ * @returns {number[]} - Code per symbol (MSB-first)
+ */
+function assignCanonicalCodes(lengths) {
+  const lengthCounts = new Uint16Array(MAX_BITS + 1);
+  for (const length of lengths) {
+    if (length > 0) lengthCounts[length]++;
+  }
+
+  const nextCode = new Uint16Array(MAX_BITS + 2);
+  let code = 0;
+  for (let bits = 1; bits <= MAX_BITS; bits++) {
+    code = (code + lengthCounts[bits - 1]) << 1;
+    nextCode[bits] = code;
+  }
+
+  const codes = new Array(lengths.length).fill(0);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol];
+    if (length > 0) {
+      codes[symbol] = nextCode[length]++;
+    }
+  }
+
+  return codes;
+}
+
+/**
+ * Reverse the low `length` bits of a code.
+ */
+function reverseBits(code, length) {
+  let result = 0;
+  for (let i = 0; i < length; i++) {
+    result = (result << 1) | (code & 1);
+    code >>= 1;
+  }
+  return result;
+}
+
+/**
+ * LSB-first bit writer with a growable buffer.
+ */
+class BitWriter {
+  constructor(initialSize) {
+    this.bytes = new Uint8Array(Math.max(initialSize, 64));
+    this.pos = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  ensure(extra) {
+    if (this.pos + extra <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.pos + extra) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(this.bytes.subarray(0, this.pos));
+    this.bytes = grown;
+  }
+
+  writeBits(value, count) {
+    if (count === 0) return;
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.ensure(1);
+      this.bytes[this.pos++] = this.bitBuffer & 0xff;
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  alignToByte() {
+    if (this.bitCount > 0) {
+      this.writeBits(0, 8 - this.bitCount);
+    }
+  }
+
+  writeBytes(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.pos);
+    this.pos += bytes.length;
+  }
+
+  finish() {
+    this.alignToByte();
+    return this.bytes.slice(0, this.pos);
+  }
+}
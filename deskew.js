@@ -0,0 +1,256 @@
+/**
+ * Deskew Module
+ * Straighten scanned or photographed sheets before grid detection.
+ * Estimates the rotation from edge orientations with a Hough-style
+ * projection accumulator, then resamples the image upright.
+ */
+
+import { clearTransparentPixels, createImageData } from './image-data.js';
+import { detectBackgroundColor } from './grid-detector.js';
+
+// Minimum gradient (sum of channel differences) for a pixel to count as an edge
+const EDGE_THRESHOLD = 60;
+
+// Edge pixels sampled at most, for speed on large scans
+const MAX_EDGE_SAMPLES = 60000;
+
+// Rotations smaller than this (degrees) are not worth resampling
+const MIN_CORRECTION = 0.05;
+
+/**
+ * Estimate how far an image is rotated.
+ * Edge pixels vote for the lines they would lie on at each candidate angle
+ * (horizontal edges for rows, vertical edges for columns). At the true angle
+ * grid lines collapse into a few sharp bins, so the angle whose accumulator
+ * has the largest sum of squared bins wins. A coarse pass is refined around
+ * the best angle.
+ *
+ * @param {ImageData} imageData - Image to examine
+ * @param {number} maxAngle - Largest rotation searched, in degrees either way
+ * @returns {number} - Rotation in degrees; positive when lines descend to the right
+ */
+export function estimateSkew(imageData, maxAngle = 3) {
+  const edges = collectEdges(imageData);
+
+  if (edges.horizontal.length + edges.vertical.length === 0) {
+    return 0;
+  }
+
+  // Step 1: Coarse search
+  let best = searchAngles(edges, -maxAngle, maxAngle, 0.1);
+
+  // Step 2: Refine around the coarse result
+  best = searchAngles(edges, best - 0.1, best + 0.1, 0.01);
+
+  if (globalThis.debug) {
+    globalThis.debug.log('Skew estimated', {
+      angle: Number(best.toFixed(2)),
+      horizontalEdges: edges.horizontal.length / 2,
+      verticalEdges: edges.vertical.length / 2
+    });
+  }
+
+  return Number(best.toFixed(2));
+}
+
+/**
+ * Rotate an image about its center, keeping its size.
+ * Uses bilinear sampling; pixels that come from outside the source are
+ * filled with the given color.
+ *
+ * @param {ImageData} imageData - Source image
+ * @param {number} angle - Rotation to undo, in degrees (as returned by estimateSkew)
+ * @param {Object} fill - Fill color {r, g, b, a}
+ * @returns {ImageData} - Straightened image
+ */
+export function rotateImageData(imageData, angle, fill) {
+  const { width, height, data } = imageData;
+  const result = createImageData(null, width, height);
+  const out = result.data;
+  const fillColor = [fill.r, fill.g, fill.b, fill.a];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const { x: sx, y: sy } = mapToSource(x, y, { angle, centerX: width / 2, centerY: height / 2 });
+      const target = (y * width + x) * 4;
+
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+
+      if (x0 < 0 || y0 < 0 || x0 + 1 >= width || y0 + 1 >= height) {
+        out.set(fillColor, target);
+        continue;
+      }
+
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i00 = (y0 * width + x0) * 4;
+      const i10 = i00 + 4;
+      const i01 = i00 + width * 4;
+      const i11 = i01 + 4;
+
+      for (let c = 0; c < 4; c++) {
+        const top = data[i00 + c] + (data[i10 + c] - data[i00 + c]) * fx;
+        const bottom = data[i01 + c] + (data[i11 + c] - data[i01 + c]) * fx;
+        out[target + c] = Math.round(top + (bottom - top) * fy);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Straighten an image if it is noticeably rotated.
+ *
+ * @param {ImageData} imageData - Source image
+ * @param {Object} options - {maxAngle, angle, tolerance}; a given angle skips estimation
+ * @returns {Object} - {imageData, deskew: {angle, centerX, centerY} | null}
+ */
+export function deskewImage(imageData, options = {}) {
+  const { maxAngle = 3, tolerance = 5 } = options;
+  // Leftover RGB in transparent pixels would show up as edges and bleed into interpolation
+  const cleared = clearTransparentPixels(imageData);
+  const angle = options.angle ?? estimateSkew(cleared, maxAngle);
+
+  if (Math.abs(angle) < MIN_CORRECTION) {
+    return { imageData, deskew: null };
+  }
+
+  const { width, height, data } = cleared;
+  const fill = detectBackgroundColor(data, width, height, tolerance);
+
+  return {
+    imageData: rotateImageData(cleared, angle, fill),
+    deskew: { angle, centerX: width / 2, centerY: height / 2 }
+  };
+}
+
+/**
+ * Map a point in the straightened image back to the original image.
+ *
+ * @param {number} x - X in the straightened image
+ * @param {number} y - Y in the straightened image
+ * @param {Object} deskew - {angle, centerX, centerY} as recorded by deskewImage
+ * @returns {Object} - {x, y} in the original image
+ */
+export function mapToSource(x, y, deskew) {
+  const radians = deskew.angle * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const dx = x - deskew.centerX;
+  const dy = y - deskew.centerY;
+
+  return {
+    x: deskew.centerX + dx * cos - dy * sin,
+    y: deskew.centerY + dx * sin + dy * cos
+  };
+}
+
+/**
+ * Map a point in the original image into the straightened image.
+ *
+ * @param {number} x - X in the original image
+ * @param {number} y - Y in the original image
+ * @param {Object} deskew - {angle, centerX, centerY} as recorded by deskewImage
+ * @returns {Object} - {x, y} in the straightened image
+ */
+export function mapFromSource(x, y, deskew) {
+  return mapToSource(x, y, { ...deskew, angle: -deskew.angle });
+}
+
+/**
+ * Collect edge pixel coordinates, split by edge orientation.
+ *
+ * @param {ImageData} imageData - Image to examine
+ * @returns {Object} - {horizontal, vertical} as flat Float32Arrays of x, y pairs, and the accumulator size
+ */
+function collectEdges(imageData) {
+  const { width, height, data } = imageData;
+  const horizontal = [];
+  const vertical = [];
+
+  // Sample every step-th pixel on large images
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / (MAX_EDGE_SAMPLES * 4))));
+
+  for (let y = 1; y < height - 1; y += step) {
+    for (let x = 1; x < width - 1; x += step) {
+      const index = (y * width + x) * 4;
+      let gx = 0;
+      let gy = 0;
+
+      for (let c = 0; c < 3; c++) {
+        gx += Math.abs(data[index + 4 + c] - data[index - 4 + c]);
+        gy += Math.abs(data[index + width * 4 + c] - data[index - width * 4 + c]);
+      }
+
+      if (gy >= EDGE_THRESHOLD && gy > gx * 2) {
+        horizontal.push(x, y);
+      } else if (gx >= EDGE_THRESHOLD && gx > gy * 2) {
+        vertical.push(x, y);
+      }
+    }
+  }
+
+  return {
+    horizontal: Float32Array.from(horizontal),
+    vertical: Float32Array.from(vertical),
+    size: Math.ceil(Math.hypot(width, height)) + 2
+  };
+}
+
+/**
+ * Find the angle whose projection accumulator is sharpest.
+ * Each edge splits its vote between the two nearest bins, so the score
+ * changes smoothly with the angle and sub-pixel drift still counts.
+ *
+ * @param {Object} edges - Edges from collectEdges
+ * @param {number} from - First angle (degrees)
+ * @param {number} to - Last angle (degrees)
+ * @param {number} step - Angle step (degrees)
+ * @returns {number} - Best angle in degrees
+ */
+function searchAngles(edges, from, to, step) {
+  const offset = edges.size;
+  const bins = new Float64Array(edges.size * 4 + 2);
+  let bestAngle = 0;
+  let bestScore = -1;
+
+  const vote = (position) => {
+    const bin = Math.floor(position) + offset;
+    const fraction = position + offset - bin;
+    bins[bin] += 1 - fraction;
+    bins[bin + 1] += fraction;
+  };
+
+  for (let angle = from; angle <= to + 1e-9; angle += step) {
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    bins.fill(0);
+
+    // Horizontal edges lie on rows where y*cos - x*sin is constant;
+    // vertical edges on columns where x*cos + y*sin is constant (kept in
+    // the upper half of the accumulator)
+    for (let i = 0; i < edges.horizontal.length; i += 2) {
+      vote(edges.horizontal[i + 1] * cos - edges.horizontal[i] * sin);
+    }
+    for (let i = 0; i < edges.vertical.length; i += 2) {
+      vote(edges.vertical[i] * cos + edges.vertical[i + 1] * sin + edges.size * 2);
+    }
+
+    let score = 0;
+    for (let i = 0; i < bins.length; i++) {
+      score += bins[i] * bins[i];
+    }
+
+    // Prefer the smaller correction on ties
+    if (score > bestScore + 1e-9 || (Math.abs(score - bestScore) <= 1e-9 && Math.abs(angle) < Math.abs(bestAngle))) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return bestAngle;
+}
@@ -0,0 +1,521 @@
+/**
+ * Divider Profiles Module
+ * Statistical divider detection for noisy or anti-aliased sheets.
+ * Builds per-row/column agreement, variance and edge-energy profiles and
+ * scores each candidate divider with a confidence between 0 and 1.
+ * Also fits an expected number of cells to the profiles (grid templates).
+ */
+
+// Rows/columns where at least this fraction of pixels agree are candidates
+const CANDIDATE_AGREEMENT = 0.9;
+
+// Mean per-pixel difference (0-1) to a neighbor that counts as full contrast
+const FULL_CONTRAST = 0.1;
+
+// Fit score of an image edge used as a boundary; weaker than a drawn line
+const EDGE_SCORE = 0.5;
+
+// Template fits with a larger residual are reported as poor
+const POOR_FIT_RESIDUAL = 0.25;
+
+// Dividers at least this confident that a template leaves out make the fit poor
+const STRONG_DIVIDER = 0.75;
+
+/**
+ * Compute statistics for every row or column of an image.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} axis - 'row' or 'column'
+ * @param {number} tolerance - Color tolerance per channel
+ * @returns {Object} - {median: Array, agreement: Float32Array, variance: Float32Array, edge: Float32Array}
+ */
+export function computeLineProfiles(data, width, height, axis, tolerance) {
+  const layout = lineLayout(width, height, axis);
+  const median = [];
+  const agreement = new Float32Array(layout.lines);
+  const variance = new Float32Array(layout.lines);
+  const edge = new Float32Array(layout.lines);
+  const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+
+  for (let line = 0; line < layout.lines; line++) {
+    const start = line * layout.lineStep;
+
+    // Step 1: Per-channel median is the line's dominant color, robust to stray pixels
+    const color = medianColor(data, start, layout.pixelStep, layout.length, histograms);
+    median.push(color);
+
+    // Step 2: Agreement and variance around the median
+    let matching = 0;
+    let squared = 0;
+
+    for (let i = 0, index = start; i < layout.length; i++, index += layout.pixelStep) {
+      const distance = Math.max(
+        Math.abs(data[index] - color[0]),
+        Math.abs(data[index + 1] - color[1]),
+        Math.abs(data[index + 2] - color[2]),
+        Math.abs(data[index + 3] - color[3])
+      );
+      if (distance <= tolerance) matching++;
+      squared += distance * distance;
+    }
+
+    agreement[line] = matching / layout.length;
+    variance[line] = squared / layout.length / (255 * 255);
+
+    // Step 3: Edge energy against the previous line
+    if (line > 0) {
+      edge[line] = lineDifference(data, start - layout.lineStep, start, layout.pixelStep, layout.length);
+    }
+  }
+
+  return { median, agreement, variance, edge };
+}
+
+/**
+ * Find dividers from line profiles.
+ * Candidate lines are grouped into runs of the same color, so an
+ * anti-aliased fringe or a padding band next to a divider forms its own
+ * group. Each group is scored by how well its pixels agree and how much it
+ * stands out from its neighbors.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} axis - 'row' for horizontal dividers, 'column' for vertical
+ * @param {number} tolerance - Color tolerance per channel
+ * @param {number} minConfidence - Groups scoring below this are dropped
+ * @returns {Array} - Line groups {start, end, center, width, confidence}
+ */
+export function findProfileDividers(data, width, height, axis, tolerance, minConfidence) {
+  const profiles = computeLineProfiles(data, width, height, axis, tolerance);
+  const groups = findCandidateRuns(profiles, tolerance)
+    .filter(group => group.confidence >= minConfidence);
+
+  if (globalThis.debug && groups.length > 0) {
+    globalThis.debug.log(`Found ${groups.length} ${axis} dividers from profiles`, {
+      confidence: groups.map(group => Number(group.confidence.toFixed(2)))
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Fit exactly count cells (count + 1 dividers) to the line profiles.
+ * First searches for the evenly spaced lattice with the best total score,
+ * then lets each divider move to the best line near its lattice position,
+ * since hand-drawn sheets are rarely perfectly regular. Image edges can act
+ * as the outermost dividers of frameless sheets.
+ * Dividers stay inside the image, and each drawn line takes at most one of
+ * them. When the image cannot hold count cells that way, no dividers are
+ * returned and the fit is reported as poor.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} axis - 'row' for horizontal dividers, 'column' for vertical
+ * @param {number} tolerance - Color tolerance per channel
+ * @param {number} count - Expected number of cells along this axis
+ * @param {number} pitch - Approximate distance between dividers, 0 if unknown
+ * @returns {Object} - {groups, fit: {expected, pitch, offset, residual, spacingError, unmatched, poor}}
+ */
+export function fitDividers(data, width, height, axis, tolerance, count, pitch = 0) {
+  const profiles = computeLineProfiles(data, width, height, axis, tolerance);
+  const runs = findCandidateRuns(profiles, tolerance);
+  const lines = profiles.agreement.length;
+
+  // Step 1: Score each position; lines inside a candidate run score its confidence
+  const score = new Float32Array(lines + 1);
+  const runAt = new Int32Array(lines + 1).fill(-1);
+  runs.forEach((run, index) => {
+    score.fill(run.confidence, run.start, run.end + 1);
+    runAt.fill(index, run.start, run.end + 1);
+  });
+  score[0] = Math.max(score[0], EDGE_SCORE);
+  score[lines] = EDGE_SCORE;
+
+  // Last line taken by a divider at each position (a run is taken whole),
+  // and how many dividers still fit from each position on
+  const takenUpTo = (position) => (runAt[position] === -1 ? position : runs[runAt[position]].end);
+  const room = new Int32Array(lines + 2);
+  for (let position = lines; position >= 0; position--) {
+    room[position] = room[takenUpTo(position) + 1] + 1;
+  }
+
+  if (room[0] < count + 1) {
+    return unfittedDividers(runs, axis, count);
+  }
+
+  // Step 2: Find the best evenly spaced lattice
+  const lattice = searchLattice(score, runAt, lines, count, pitch);
+
+  // Step 3: Let each divider settle on the best nearby position. A divider
+  // on a drawn line moves the next one past the whole line, and each leaves
+  // room for the ones after it
+  const reach = Math.max(2, Math.floor(lattice.pitch / 4));
+  const positions = [];
+  let previous = -1;
+
+  for (let k = 0; k <= count; k++) {
+    const target = Math.round(lattice.offset + k * lattice.pitch);
+    const first = previous + 1;
+    const fits = (position) => room[takenUpTo(position) + 1] >= count - k;
+
+    // Positions that leave enough room form a range starting at first
+    let low = first;
+    let high = lines;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (fits(middle)) low = middle; else high = middle - 1;
+    }
+    const last = low;
+
+    let best = Math.max(first, Math.min(last, target));
+
+    for (let p = Math.max(first, target - reach); p <= Math.min(last, target + reach); p++) {
+      const closer = Math.abs(p - target) < Math.abs(best - target);
+      if (score[p] > score[best] || (score[p] === score[best] && closer)) best = p;
+    }
+
+    positions.push(best);
+    previous = takenUpTo(best);
+  }
+
+  // Step 4: Turn positions into line groups; positions outside any run become
+  // zero-width cuts, which are image edges at either end
+  const groups = [];
+  let residual = 0;
+  let interior = 0;
+
+  for (const position of positions) {
+    const run = runs.find(candidate => candidate.start <= position && position <= candidate.end);
+
+    if (run) {
+      groups.push(run);
+    } else {
+      const edge = position === 0 || position === lines;
+      groups.push({
+        start: position,
+        end: position - 1,
+        center: position,
+        width: 0,
+        confidence: edge ? 1 : score[position]
+      });
+      if (edge) continue;
+    }
+
+    // Step 5: Residual error over the dividers that are not image edges
+    residual += 1 - score[position];
+    interior++;
+  }
+  residual = interior > 0 ? residual / interior : 0;
+
+  // Step 6: Strong dividers the template leaves out mean the count is wrong
+  const unmatched = runs.filter(run =>
+    run.confidence >= STRONG_DIVIDER &&
+    positions.every(position => Math.abs(position - run.center) > reach)
+  ).length;
+
+  // Step 7: Regular spacing that best matches the final positions
+  const line = fitLine(positions);
+  const spacingError = Math.sqrt(positions.reduce((sum, position, k) => {
+    const deviation = position - (line.offset + k * line.pitch);
+    return sum + deviation * deviation;
+  }, 0) / positions.length);
+
+  const fit = {
+    expected: count,
+    pitch: Number(line.pitch.toFixed(2)),
+    offset: Number(line.offset.toFixed(2)),
+    residual: Number(residual.toFixed(3)),
+    spacingError: Number(spacingError.toFixed(2)),
+    unmatched: unmatched,
+    poor: residual > POOR_FIT_RESIDUAL || unmatched > 0
+  };
+
+  if (globalThis.debug) {
+    globalThis.debug.log(`Fitted ${count} ${axis === 'row' ? 'rows' : 'columns'}${fit.poor ? ' (poor fit)' : ''}`, {
+      positions: positions,
+      ...fit
+    });
+  }
+
+  return { groups, fit };
+}
+
+/**
+ * Report a template the image cannot hold: no dividers and a poor fit.
+ *
+ * @param {Array} runs - Candidate runs from findCandidateRuns
+ * @param {string} axis - 'row' or 'column'
+ * @param {number} count - Expected number of cells
+ * @returns {Object} - {groups, fit} as returned by fitDividers
+ */
+function unfittedDividers(runs, axis, count) {
+  const fit = {
+    expected: count,
+    pitch: 0,
+    offset: 0,
+    residual: 1,
+    spacingError: 0,
+    unmatched: runs.filter(run => run.confidence >= STRONG_DIVIDER).length,
+    poor: true
+  };
+
+  if (globalThis.debug) {
+    globalThis.debug.log(`${count} ${axis === 'row' ? 'rows' : 'columns'} do not fit the image`, fit);
+  }
+
+  return { groups: [], fit };
+}
+
+/**
+ * Search for the evenly spaced lattice of count + 1 positions with the best
+ * total score. Each lattice position may be off by a pixel or two, which
+ * absorbs rounding of fractional pitches. A drawn line scores once, however
+ * many lattice positions fall on it.
+ *
+ * @param {Float32Array} score - Score per position (lines + 1 entries)
+ * @param {Int32Array} runAt - Candidate run index per position (-1 outside runs)
+ * @param {number} lines - Number of lines on this axis
+ * @param {number} count - Number of cells
+ * @param {number} pitch - Approximate pitch, 0 if unknown
+ * @returns {Object} - {offset, pitch}
+ */
+function searchLattice(score, runAt, lines, count, pitch) {
+  const maxPitch = lines / count;
+  const minPitch = pitch > 0 ? Math.min(maxPitch, pitch * 0.85) : maxPitch / 2;
+  const upperPitch = pitch > 0 ? Math.min(maxPitch, pitch * 1.15) : maxPitch;
+  const pitchStep = Math.max(0.25, (upperPitch - minPitch) / 400);
+
+  // Best score within 2 positions, so slightly irregular sheets still line up
+  const window = new Float32Array(score.length);
+  const windowRun = new Int32Array(score.length);
+  for (let p = 0; p < score.length; p++) {
+    let best = 0;
+    let bestRun = -1;
+    for (let q = Math.max(0, p - 2); q <= Math.min(lines, p + 2); q++) {
+      if (score[q] > best) {
+        best = score[q];
+        bestRun = runAt[q];
+      }
+    }
+    window[p] = best;
+    windowRun[p] = bestRun;
+  }
+
+  let best = { offset: 0, pitch: maxPitch, total: -1 };
+
+  for (let step = minPitch; step <= upperPitch + 1e-9; step += pitchStep) {
+    // Offset 0 is always tried, even if rounding pushes the last position out
+    const lastOffset = Math.max(0, lines - count * step);
+
+    for (let offset = 0; offset <= lastOffset + 1e-9; offset++) {
+      let total = 0;
+      let previousRun = -1;
+      for (let k = 0; k <= count; k++) {
+        const position = Math.min(lines, Math.round(offset + k * step));
+        if (windowRun[position] === -1 || windowRun[position] !== previousRun) {
+          total += window[position];
+        }
+        previousRun = windowRun[position];
+      }
+
+      if (total > best.total) {
+        best = { offset, pitch: step, total };
+      }
+    }
+  }
+
+  return { offset: best.offset, pitch: best.pitch };
+}
+
+/**
+ * Least-squares fit of position = offset + k * pitch.
+ *
+ * @param {number[]} positions - Divider positions, k = index
+ * @returns {Object} - {offset, pitch}
+ */
+function fitLine(positions) {
+  const n = positions.length;
+  if (n < 2) return { offset: positions[0] || 0, pitch: 0 };
+
+  const meanK = (n - 1) / 2;
+  const meanP = positions.reduce((sum, position) => sum + position, 0) / n;
+  let covariance = 0;
+  let spread = 0;
+
+  positions.forEach((position, k) => {
+    covariance += (k - meanK) * (position - meanP);
+    spread += (k - meanK) * (k - meanK);
+  });
+
+  const pitch = covariance / spread;
+  return { offset: meanP - pitch * meanK, pitch };
+}
+
+/**
+ * Group candidate lines into scored runs of the same color.
+ *
+ * @param {Object} profiles - Profiles from computeLineProfiles
+ * @param {number} tolerance - Color tolerance per channel
+ * @returns {Array} - Line groups {start, end, center, width, confidence}
+ */
+function findCandidateRuns(profiles, tolerance) {
+  const lines = profiles.agreement.length;
+  const groups = [];
+  let run = null;
+
+  const closeRun = () => {
+    if (!run) return;
+    groups.push(scoreRun(run, profiles, lines));
+    run = null;
+  };
+
+  for (let line = 0; line < lines; line++) {
+    if (profiles.agreement[line] < CANDIDATE_AGREEMENT) {
+      closeRun();
+      continue;
+    }
+
+    // A color change starts a new run
+    if (run && !colorsClose(profiles.median[line], profiles.median[line - 1], tolerance)) {
+      closeRun();
+    }
+
+    if (run) {
+      run.end = line;
+    } else {
+      run = { start: line, end: line };
+    }
+  }
+  closeRun();
+
+  return groups;
+}
+
+/**
+ * Turn a run of candidate lines into a scored line group.
+ *
+ * @param {Object} run - {start, end} line indices
+ * @param {Object} profiles - Profiles from computeLineProfiles
+ * @param {number} lines - Number of lines on this axis
+ * @returns {Object} - Line group {start, end, center, width, confidence}
+ */
+function scoreRun(run, profiles, lines) {
+  let agreement = 0;
+  let deviation = 0;
+
+  for (let line = run.start; line <= run.end; line++) {
+    agreement += profiles.agreement[line];
+    deviation += Math.sqrt(profiles.variance[line]);
+  }
+
+  const count = run.end - run.start + 1;
+  agreement /= count;
+  deviation /= count;
+
+  // Contrast with whichever neighbor differs most; image edges give none
+  const before = run.start > 0 ? profiles.edge[run.start] : 0;
+  const after = run.end + 1 < lines ? profiles.edge[run.end + 1] : 0;
+  const contrast = Math.min(1, Math.max(before, after) / FULL_CONTRAST);
+
+  const confidence = Math.max(0, agreement - deviation) * contrast;
+
+  return {
+    start: run.start,
+    end: run.end,
+    center: Math.round((run.start + run.end) / 2),
+    width: count,
+    confidence: confidence
+  };
+}
+
+/**
+ * Describe how rows or columns are laid out in the pixel buffer.
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} axis - 'row' or 'column'
+ * @returns {Object} - {lines, length, lineStep, pixelStep} in array indices
+ */
+function lineLayout(width, height, axis) {
+  return axis === 'row'
+    ? { lines: height, length: width, lineStep: width * 4, pixelStep: 4 }
+    : { lines: width, length: height, lineStep: 4, pixelStep: width * 4 };
+}
+
+/**
+ * Per-channel median color of a line.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} start - Index of the first pixel
+ * @param {number} step - Index distance between pixels
+ * @param {number} length - Number of pixels
+ * @param {Uint32Array[]} histograms - Four scratch histograms, reset here
+ * @returns {number[]} - [r, g, b, a]
+ */
+function medianColor(data, start, step, length, histograms) {
+  for (const histogram of histograms) histogram.fill(0);
+
+  for (let i = 0, index = start; i < length; i++, index += step) {
+    histograms[0][data[index]]++;
+    histograms[1][data[index + 1]]++;
+    histograms[2][data[index + 2]]++;
+    histograms[3][data[index + 3]]++;
+  }
+
+  const half = length / 2;
+  return histograms.map(histogram => {
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+      seen += histogram[value];
+      if (seen >= half) return value;
+    }
+    return 255;
+  });
+}
+
+/**
+ * Mean per-pixel difference between two lines, as a fraction of 255.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} startA - Index of the first pixel of line A
+ * @param {number} startB - Index of the first pixel of line B
+ * @param {number} step - Index distance between pixels
+ * @param {number} length - Number of pixels
+ * @returns {number} - Difference between 0 and 1
+ */
+function lineDifference(data, startA, startB, step, length) {
+  let total = 0;
+
+  for (let i = 0, offset = 0; i < length; i++, offset += step) {
+    const a = startA + offset;
+    const b = startB + offset;
+    total += Math.max(
+      Math.abs(data[a] - data[b]),
+      Math.abs(data[a + 1] - data[b + 1]),
+      Math.abs(data[a + 2] - data[b + 2]),
+      Math.abs(data[a + 3] - data[b + 3])
+    );
+  }
+
+  return total / length / 255;
+}
+
+/**
+ * Check whether two [r, g, b, a] colors are within tolerance.
+ *
+ * @param {number[]} a - First color
+ * @param {number[]} b - Second color
+ * @param {number} tolerance - Maximum difference per channel
+ * @returns {boolean} - True if the colors match
+ */
+function colorsClose(a, b, tolerance) {
+  return Math.abs(a[0] - b[0]) <= tolerance &&
+         Math.abs(a[1] - b[1]) <= tolerance &&
+         Math.abs(a[2] - b[2]) <= tolerance &&
+         Math.abs(a[3] - b[3]) <= tolerance;
+}
@@ -5,6 +5,14 @@
  */
 
 import { PanZoom } from './pan-zoom.js';
+import { createGridConfigFromLineGroups } from './grid-detector.js';
+import { mapFromSource } from './deskew.js';
+
+// Slice lines below this confidence are drawn dashed and faded
+const LOW_CONFIDENCE = 0.75;
+
+// How close (in screen pixels) the pointer must be to grab a slice line
+const HIT_DISTANCE = 6;
 
 /**
  * Create an interactive editor view for image analysis.
@@ -134,7 +142,137 @@ export function createEditorView(container, sourceImage) {
   // Fit to view initially
   setTimeout(() => panZoom.fitToView(), 100);
 
-  return {
+  // Grid editing state: {gridConfig, onChange, drag}, null when not editing
+  let editing = null;
+
+  // Pointer position in grid coordinates (straightened when the sheet was deskewed)
+  const toGrid = (clientX, clientY) => {
+    const { wx, wy } = panZoom.toWorld(clientX, clientY);
+    const deskew = editing.gridConfig.deskew;
+    if (!deskew) return { wx, wy };
+
+    const { x, y } = mapFromSource(wx, wy, deskew);
+    return { wx: x, wy: y };
+  };
+
+  const hitTest = (clientX, clientY) => {
+    const { wx, wy } = toGrid(clientX, clientY);
+    const reach = HIT_DISTANCE / panZoom.scale;
+    let best = null;
+
+    const consider = (axis, groups, position) => {
+      for (const group of groups) {
+        const distance = Math.abs(position - group.center);
+        if (distance <= reach && (!best || distance < best.distance)) {
+          best = { axis, group, distance };
+        }
+      }
+    };
+
+    consider('horizontal', editing.gridConfig.horizontalLineGroups, wy);
+    consider('vertical', editing.gridConfig.verticalLineGroups, wx);
+    return best;
+  };
+
+  const updateGroups = (axis, update) => {
+    const { gridConfig } = editing;
+    let horizontal = gridConfig.horizontalLineGroups;
+    let vertical = gridConfig.verticalLineGroups;
+
+    if (axis === 'horizontal') {
+      horizontal = update(horizontal);
+    } else {
+      vertical = update(vertical);
+    }
+
+    editing.gridConfig = {
+      ...createGridConfigFromLineGroups(horizontal, vertical, canvas.width, canvas.height, gridConfig.outerBorders),
+      frame: gridConfig.frame,
+      deskew: gridConfig.deskew
+    };
+    view.drawGridLines(editing.gridConfig);
+  };
+
+  const notifyChange = () => {
+    if (editing.onChange) editing.onChange(editing.gridConfig);
+  };
+
+  overlay.addEventListener('mousedown', (e) => {
+    if (!editing || e.button !== 0) return;
+
+    const hit = hitTest(e.clientX, e.clientY);
+    if (!hit) return; // Let the pan-zoom container pan
+
+    // Keep the pan-zoom container from panning while a line is dragged
+    e.stopPropagation();
+    e.preventDefault();
+    editing.drag = { axis: hit.axis, group: hit.group };
+  });
+
+  overlay.addEventListener('mousemove', (e) => {
+    if (!editing || editing.drag) return;
+
+    const hit = hitTest(e.clientX, e.clientY);
+    overlay.style.cursor = hit ? (hit.axis === 'horizontal' ? 'row-resize' : 'col-resize') : '';
+  });
+
+  // Two slices at one position would make zero-size cells
+  const isOccupied = (axis, position, except = null) => {
+    const { gridConfig } = editing;
+    const groups = axis === 'horizontal' ? gridConfig.horizontalLineGroups : gridConfig.verticalLineGroups;
+    return groups.some(group => group !== except && group.center === position);
+  };
+
+  // Dragging continues outside the overlay, so these listen on the document
+  // and are removed again by destroy()
+  const onDocumentMouseMove = (e) => {
+    if (!editing || !editing.drag) return;
+
+    const { axis, group } = editing.drag;
+    const { wx, wy } = toGrid(e.clientX, e.clientY);
+    const size = axis === 'horizontal' ? canvas.height : canvas.width;
+    const position = snapToPixel(axis === 'horizontal' ? wy : wx, group.width, size);
+    if (position === group.center || isOccupied(axis, position, group)) return;
+
+    const moved = moveLineGroup(group, position);
+    updateGroups(axis, groups => groups.map(other => (other === group ? moved : other)));
+    editing.drag.group = moved;
+  };
+
+  const onDocumentMouseUp = () => {
+    if (!editing || !editing.drag) return;
+
+    editing.drag = null;
+    notifyChange();
+  };
+
+  document.addEventListener('mousemove', onDocumentMouseMove);
+  document.addEventListener('mouseup', onDocumentMouseUp);
+
+  overlay.addEventListener('dblclick', (e) => {
+    if (!editing) return;
+    e.stopPropagation();
+
+    // Double-click a line to delete it; elsewhere to add a vertical line,
+    // or a horizontal line with Shift held
+    const hit = hitTest(e.clientX, e.clientY);
+    if (hit) {
+      updateGroups(hit.axis, groups => groups.filter(group => group !== hit.group));
+    } else {
+      const { wx, wy } = toGrid(e.clientX, e.clientY);
+      const axis = e.shiftKey ? 'horizontal' : 'vertical';
+      const position = axis === 'horizontal'
+        ? snapToPixel(wy, 0, canvas.height)
+        : snapToPixel(wx, 0, canvas.width);
+      if (isOccupied(axis, position)) return;
+
+      updateGroups(axis, groups => [...groups, createManualLineGroup(position)]);
+    }
+
+    notifyChange();
+  });
+
+  const view = {
     panZoom,
     canvas,
     overlay,
@@ -143,32 +281,51 @@ export function createEditorView(container, sourceImage) {
 
     /**
      * Draw detected grid lines on overlay.
+     * Grids detected on a deskewed sheet are rotated back onto the source image.
      *
      * @param {GridConfig} gridConfig - Grid configuration
      */
     drawGridLines(gridConfig) {
       const overlayCtx = overlay.getContext('2d');
+      overlayCtx.setTransform(1, 0, 0, 1, 0, 0);
       overlayCtx.clearRect(0, 0, overlay.width, overlay.height);
 
+      if (gridConfig.deskew) {
+        const { angle, centerX, centerY } = gridConfig.deskew;
+        overlayCtx.translate(centerX, centerY);
+        overlayCtx.rotate(angle * Math.PI / 180);
+        overlayCtx.translate(-centerX, -centerY);
+      }
+
       // Draw horizontal slice lines
-      overlayCtx.strokeStyle = 'rgba(255, 0, 0, 0.7)';
       overlayCtx.lineWidth = 2;
 
-      for (const y of gridConfig.horizontalSlices) {
+      gridConfig.horizontalSlices.forEach((y, index) => {
+        setLineStyle(overlayCtx, '255, 0, 0', gridConfig.horizontalLineGroups[index]);
         overlayCtx.beginPath();
         overlayCtx.moveTo(0, y + 0.5);
         overlayCtx.lineTo(overlay.width, y + 0.5);
         overlayCtx.stroke();
-      }
+      });
 
       // Draw vertical slice lines
-      overlayCtx.strokeStyle = 'rgba(0, 255, 0, 0.7)';
-
-      for (const x of gridConfig.verticalSlices) {
+      gridConfig.verticalSlices.forEach((x, index) => {
+        setLineStyle(overlayCtx, '0, 255, 0', gridConfig.verticalLineGroups[index]);
         overlayCtx.beginPath();
         overlayCtx.moveTo(x + 0.5, 0);
         overlayCtx.lineTo(x + 0.5, overlay.height);
         overlayCtx.stroke();
+      });
+
+      overlayCtx.setLineDash([]);
+
+      // Region layouts have no slice lines; outline each detected part
+      if (gridConfig.detectionMode === 'regions') {
+        overlayCtx.strokeStyle = 'rgba(255, 160, 0, 0.8)';
+
+        for (const cell of gridConfig.cells) {
+          overlayCtx.strokeRect(cell.x + 0.5, cell.y + 0.5, cell.width - 1, cell.height - 1);
+        }
       }
     },
 
@@ -182,6 +339,128 @@ export function createEditorView(container, sourceImage) {
       const overlayCtx = overlay.getContext('2d');
       overlayCtx.fillStyle = color;
       overlayCtx.fillRect(cell.x, cell.y, cell.width, cell.height);
+    },
+
+    /**
+     * Turn interactive grid editing on or off.
+     * While editing, slice lines can be dragged, double-clicking a line
+     * deletes it, and double-clicking elsewhere adds a vertical line
+     * (horizontal with Shift). Positions snap to whole image pixels.
+     *
+     * @param {boolean} enabled - Whether editing is on
+     * @param {GridConfig} gridConfig - Grid to edit (required when enabling)
+     * @param {Function} onChange - Called with the edited GridConfig after each change
+     */
+    setEditMode(enabled, gridConfig, onChange) {
+      if (!enabled) {
+        editing = null;
+        overlay.style.pointerEvents = 'none';
+        overlay.style.cursor = '';
+        return;
+      }
+
+      if (!gridConfig || gridConfig.detectionMode === 'regions') {
+        throw new Error('Only grid layouts have slice lines to edit');
+      }
+
+      editing = { gridConfig, onChange, drag: null };
+      overlay.style.pointerEvents = 'auto';
+      view.drawGridLines(gridConfig);
+    },
+
+    /**
+     * Check whether grid editing is on.
+     *
+     * @returns {boolean} - True while editing
+     */
+    isEditing() {
+      return editing !== null;
+    },
+
+    /**
+     * Remove the listeners this view added to the document.
+     * Call before the view is replaced (for example when another image loads).
+     */
+    destroy() {
+      editing = null;
+      document.removeEventListener('mousemove', onDocumentMouseMove);
+      document.removeEventListener('mouseup', onDocumentMouseUp);
     }
   };
+
+  return view;
+}
+
+/**
+ * Set the stroke for a slice line based on its detection confidence.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Overlay context
+ * @param {string} rgb - Line color as 'r, g, b'
+ * @param {Object} lineGroup - Line group the slice came from (may be missing)
+ */
+function setLineStyle(ctx, rgb, lineGroup) {
+  const confidence = lineGroup?.confidence ?? 1;
+
+  if (confidence < LOW_CONFIDENCE) {
+    ctx.strokeStyle = `rgba(${rgb}, 0.4)`;
+    ctx.setLineDash([6, 4]);
+  } else {
+    ctx.strokeStyle = `rgba(${rgb}, 0.7)`;
+    ctx.setLineDash([]);
+  }
+}
+
+/**
+ * Round a pointer position to a pixel where a line of the given width fits.
+ *
+ * @param {number} position - Position in image coordinates
+ * @param {number} lineWidth - Width of the line group in pixels
+ * @param {number} size - Image size along this axis
+ * @returns {number} - Snapped center position
+ */
+function snapToPixel(position, lineWidth, size) {
+  const half = Math.floor(lineWidth / 2);
+  const min = half;
+  const max = lineWidth > 0 ? size - lineWidth + half : size;
+  return Math.max(min, Math.min(max, Math.round(position)));
+}
+
+/**
+ * Move a line group so its center sits at a new position.
+ *
+ * @param {Object} group - Line group {start, end, center, width}
+ * @param {number} position - New center
+ * @returns {Object} - Moved line group, marked as manual
+ */
+function moveLineGroup(group, position) {
+  const delta = position - group.center;
+
+  return {
+    ...group,
+    start: group.start + delta,
+    end: group.end + delta,
+    center: position,
+    exactCenter: position,
+    confidence: 1,
+    manual: true
+  };
+}
+
+/**
+ * Create a line group for a slice added by hand.
+ * It has no width, so it cuts cells without producing a grid line segment.
+ *
+ * @param {number} position - Slice position
+ * @returns {Object} - Line group
+ */
+function createManualLineGroup(position) {
+  return {
+    start: position,
+    end: position - 1,
+    center: position,
+    exactCenter: position,
+    width: 0,
+    confidence: 1,
+    manual: true
+  };
 }
@@ -0,0 +1,243 @@
+/**
+ * Frame Detector Module
+ * Detect the frame around a sheet as bands of color per side, such as a
+ * 1px dark line followed by a 3px light bevel.
+ */
+
+import { cloneImageData } from './image-data.js';
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Detect the frame around an image.
+ *
+ * Frames are peeled one pixel ring at a time while every side of the ring is
+ * uniform. The ring's corner pixels are left out, so a bevel whose sides are
+ * shaded differently (mitered corners) still counts. After that, each
+ * side may keep growing on its own while it repeats its last color (a
+ * thicker bottom edge); a side without any frame lines may start one.
+ * Peeling stops at the first line in the sheet background color, so plain
+ * margins are not part of the frame.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} tolerance - Color tolerance per channel
+ * @param {Object} background - Sheet background color {r, g, b, a} (see dominantColor)
+ * @returns {Object} - {top, right, bottom, left}, each {width, bands: [{width, color: {r, g, b, a}}]}
+ */
+export function detectFrame(data, width, height, tolerance, background = dominantColor(data)) {
+  const depth = { top: 0, right: 0, bottom: 0, left: 0 };
+  const colors = { top: [], right: [], bottom: [], left: [] };
+  const isFrameLine = (color) => color !== null && !colorsClose(color, background, tolerance);
+
+  // Step 1: Peel complete rings
+  while (hasInterior(depth, width, height)) {
+    const ring = SIDES.map(side => uniformLineColor(data, width, height, side, depth, 1, tolerance));
+    if (!ring.every(isFrameLine)) break;
+
+    SIDES.forEach((side, index) => {
+      colors[side].push(ring[index]);
+      depth[side]++;
+    });
+  }
+
+  // Step 2: Let single sides continue in their last color
+  for (const side of SIDES) {
+    while (hasInterior(depth, width, height)) {
+      const color = uniformLineColor(data, width, height, side, depth, 0, tolerance);
+      if (!isFrameLine(color)) break;
+
+      const last = colors[side][colors[side].length - 1];
+      if (last && !colorsClose(color, last, tolerance)) break;
+
+      colors[side].push(color);
+      depth[side]++;
+    }
+  }
+
+  // Step 3: Group each side's lines into bands of one color
+  const frame = {};
+  for (const side of SIDES) {
+    frame[side] = { width: depth[side], bands: groupBands(colors[side], tolerance) };
+  }
+
+  if (globalThis.debug && SIDES.some(side => depth[side] > 0)) {
+    globalThis.debug.log('Frame detected', {
+      widths: depth,
+      bands: SIDES.map(side => `${side}: ${frame[side].bands.map(band => `${band.width}px ${formatColor(band.color)}`).join(' + ') || 'none'}`)
+    });
+  }
+
+  return frame;
+}
+
+/**
+ * Get the widths of a frame per side.
+ *
+ * @param {Object} frame - Frame from detectFrame
+ * @returns {Object} - {top, right, bottom, left} widths in pixels
+ */
+export function frameWidths(frame) {
+  return {
+    top: frame.top.width,
+    right: frame.right.width,
+    bottom: frame.bottom.width,
+    left: frame.left.width
+  };
+}
+
+/**
+ * Estimate the sheet background as the most common color.
+ * Colors are bucketed at 4 bits per channel and the first pixel of the
+ * largest bucket is returned.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @returns {Object} - Color {r, g, b, a}
+ */
+export function dominantColor(data) {
+  const counts = new Uint32Array(1 << 16);
+  const first = new Int32Array(1 << 16).fill(-1);
+  let best = 0;
+
+  for (let index = 0; index < data.length; index += 4) {
+    const key = ((data[index] >> 4) << 12) | ((data[index + 1] >> 4) << 8) |
+                ((data[index + 2] >> 4) << 4) | (data[index + 3] >> 4);
+    if (first[key] === -1) first[key] = index;
+    if (++counts[key] > counts[best]) best = key;
+  }
+
+  const index = Math.max(first[best], 0);
+  return { r: data[index], g: data[index + 1], b: data[index + 2], a: data[index + 3] };
+}
+
+/**
+ * Check whether two colors are within tolerance.
+ *
+ * @param {Object} a - Color {r, g, b, a}
+ * @param {Object} b - Color {r, g, b, a}
+ * @param {number} tolerance - Maximum difference per channel
+ * @returns {boolean} - True if the colors match
+ */
+export function colorsClose(a, b, tolerance) {
+  return Math.abs(a.r - b.r) <= tolerance &&
+         Math.abs(a.g - b.g) <= tolerance &&
+         Math.abs(a.b - b.b) <= tolerance &&
+         Math.abs(a.a - b.a) <= tolerance;
+}
+
+/**
+ * Format a color for logs and CSS.
+ *
+ * @param {Object} color - Color {r, g, b, a}
+ * @returns {string} - rgba() string
+ */
+export function formatColor(color) {
+  return `rgba(${color.r}, ${color.g}, ${color.b}, ${Math.round((color.a / 255) * 1000) / 1000})`;
+}
+
+/**
+ * Cut the frame out of an image as a nine-slice component image.
+ * The area inside the frame becomes transparent.
+ *
+ * @param {ImageData} imageData - Source image
+ * @param {Object} frame - Frame from detectFrame
+ * @returns {ImageData} - Full-size image holding only the frame
+ */
+export function extractFrameImage(imageData, frame) {
+  const result = cloneImageData(imageData);
+  const { width, height, data } = result;
+  const { top, right, bottom, left } = frameWidths(frame);
+
+  for (let y = top; y < height - bottom; y++) {
+    for (let x = left; x < width - right; x++) {
+      data[(y * width + x) * 4 + 3] = 0;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether peeling another ring would still leave pixels inside.
+ *
+ * @param {Object} depth - Current depth per side
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {boolean} - True if there is room for another frame line
+ */
+function hasInterior(depth, width, height) {
+  return depth.left + depth.right + 2 < width && depth.top + depth.bottom + 2 < height;
+}
+
+/**
+ * Get the color of the next line on a side if the line is uniform.
+ * The line runs between the sides already peeled, shortened by inset pixels
+ * at both ends. Pixels are compared with the line's middle pixel.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} side - 'top', 'right', 'bottom' or 'left'
+ * @param {Object} depth - Current depth per side
+ * @param {number} inset - Pixels skipped at both ends (1 to skip ring corners)
+ * @param {number} tolerance - Color tolerance per channel
+ * @returns {Object|null} - Color {r, g, b, a}, or null if the line is not uniform
+ */
+function uniformLineColor(data, width, height, side, depth, inset, tolerance) {
+  const horizontal = side === 'top' || side === 'bottom';
+  const from = (horizontal ? depth.left : depth.top) + inset;
+  const to = (horizontal ? width - depth.right : height - depth.bottom) - inset;
+  const fixed = {
+    top: depth.top,
+    bottom: height - 1 - depth.bottom,
+    left: depth.left,
+    right: width - 1 - depth.right
+  }[side];
+
+  const indexAt = (position) => horizontal
+    ? (fixed * width + position) * 4
+    : (position * width + fixed) * 4;
+
+  const reference = indexAt(Math.floor((from + to) / 2));
+  const color = {
+    r: data[reference],
+    g: data[reference + 1],
+    b: data[reference + 2],
+    a: data[reference + 3]
+  };
+
+  for (let position = from; position < to; position++) {
+    const index = indexAt(position);
+    if (Math.abs(data[index] - color.r) > tolerance ||
+        Math.abs(data[index + 1] - color.g) > tolerance ||
+        Math.abs(data[index + 2] - color.b) > tolerance ||
+        Math.abs(data[index + 3] - color.a) > tolerance) {
+      return null;
+    }
+  }
+
+  return color;
+}
+
+/**
+ * Group consecutive line colors into bands.
+ *
+ * @param {Object[]} colors - Line colors from the outside in
+ * @param {number} tolerance - Color tolerance per channel
+ * @returns {Array} - Bands [{width, color}]
+ */
+function groupBands(colors, tolerance) {
+  const bands = [];
+
+  for (const color of colors) {
+    const band = bands[bands.length - 1];
+    if (band && colorsClose(band.color, color, tolerance)) {
+      band.width++;
+    } else {
+      bands.push({ width: 1, color });
+    }
+  }
+
+  return bands;
+}
@@ -3,85 +3,196 @@
  * Automatically detect where slice lines exist in an image grid.
  */
 
-// Default color difference tolerance for JPEG artifacts (0-255 per channel)
-const DEFAULT_COLOR_TOLERANCE = 5;
-
-/**
- * Get current tolerance setting from window.gridSettings or use default.
- *
- * @returns {number} - Current tolerance value
- */
-function getTolerance() {
-  return (typeof window !== 'undefined' && window.gridSettings?.tolerance !== undefined)
-    ? window.gridSettings.tolerance
-    : DEFAULT_COLOR_TOLERANCE;
-}
-
-/**
- * Get minimum gap settings from window.gridSettings or use defaults.
- *
- * @returns {Object} - {minXGap, minYGap}
- */
-function getMinGaps() {
-  return {
-    minXGap: (typeof window !== 'undefined' && window.gridSettings?.minXGap !== undefined)
-      ? window.gridSettings.minXGap
-      : 50,
-    minYGap: (typeof window !== 'undefined' && window.gridSettings?.minYGap !== undefined)
-      ? window.gridSettings.minYGap
-      : 50
-  };
-}
+import { findProfileDividers, fitDividers } from './divider-profiles.js';
+import { colorsClose, detectFrame, dominantColor, frameWidths } from './frame-detector.js';
+import { clearTransparentPixels } from './image-data.js';
+import { measureAlphaOccupancy, measureLineDeviations } from './line-deviations.js';
+import { MAX_PERIOD, changeContrast, classifyLineStyle, findLinePeriod, isPatternGap, joinDoubleLines } from './line-style.js';
+import { resolveOptions } from './options.js';
 
 /**
  * Detect grid configuration from an image.
- * Analyzes pixel rows and columns for consistent divider patterns.
+ * Analyzes pixel rows and columns for consistent divider patterns: uniform
+ * lines, or short repeating patterns such as dashed and dotted lines.
+ * In 'gutter' divider mode, runs of background-only rows and columns
+ * separate the cells instead of drawn lines; in 'alpha' mode, runs of rows
+ * and columns without a visible pixel do (transparent atlases).
+ * Fully transparent pixels all count as the same color, whatever RGB
+ * values they carry.
+ * With 'statistical' divider detection, drawn lines are found from row and
+ * column profiles instead, which tolerates noise and anti-aliasing. Every
+ * line group carries a confidence between 0 and 1.
+ * When expectedRows/expectedColumns are set, exactly that many cells are
+ * fitted along the axis instead, and the fit is reported in templateFit.
+ * Rows and columns are measured once up front (see measureLineDeviations),
+ * and every divider check reads those measurements.
+ * With edgeBoundaries in the context, drawn-line grids are also bounded by
+ * the image edges, so grids drawn with internal separators only (a nested
+ * button strip inside a cell) still produce cells.
+ * With resampled in the context (a straightened scan), drawn lines are soft
+ * and the filled-in corners cut them short near the edges. Dividers are then
+ * found statistically in an ink-only copy of the image (see separateInk),
+ * bounded by the image edges, whatever dividerDetection says.
  *
  * @param {ImageData} imageData - Canvas image data
+ * @param {Object} options - Analysis options (tolerance, minXGap, minYGap, minCellSize, dividerMode, alphaThreshold, dividerDetection, minConfidence, expected*)
+ * @param {Object} context - Optional {edgeBoundaries, resampled}
  * @returns {GridConfig} - Detected grid configuration
  */
-export function detectGrid(imageData) {
-  const { width, height, data } = imageData;
-  const tolerance = getTolerance();
-  const { minXGap, minYGap } = getMinGaps();
+export function detectGrid(imageData, options = {}, context = {}) {
+  const {
+    tolerance, minXGap, minYGap, minCellSize, dividerMode, alphaThreshold, minConfidence,
+    dividerDetection: requestedDetection, expectedRows, expectedColumns, expectedCellWidth, expectedCellHeight
+  } = resolveOptions(options);
+  const resampled = context.resampled && dividerMode === 'line';
+  const dividerDetection = resampled ? 'statistical' : requestedDetection;
+  // Straightened scans are searched in their ink only
+  const cleared = clearTransparentPixels(imageData);
+  const { width, height, data } = resampled ? separateInk(cleared, tolerance) : cleared;
 
   // Detect outer borders (frame around the entire image)
-  const outerBorders = detectOuterBorders(data, width, height, tolerance);
+  const sheetBackground = dominantColor(data);
+  const frame = detectFrame(data, width, height, tolerance, sheetBackground);
+  const outerBorders = frameWidths(frame);
+
+  let horizontalLineGroups;
+  let verticalLineGroups;
+  let refinedHorizontalGroups;
+  let refinedVerticalGroups;
+
+  if (dividerMode === 'alpha') {
+    const { rowOccupancy, columnOccupancy } = measureAlphaOccupancy(data, width, height, alphaThreshold);
+
+    horizontalLineGroups = findHorizontalGutters(rowOccupancy, 0);
+    verticalLineGroups = findVerticalGutters(columnOccupancy, 0);
+
+    refinedHorizontalGroups = addEdgeBoundaries(refineDividerCenters(horizontalLineGroups), height);
+    refinedVerticalGroups = addEdgeBoundaries(refineDividerCenters(verticalLineGroups), width);
+  } else if (dividerMode === 'gutter') {
+    const background = detectBackgroundColor(data, width, height, tolerance);
+    const deviations = measureLineDeviations(data, width, height, { reference: background, limit: tolerance });
+
+    horizontalLineGroups = findHorizontalGutters(deviations.rowDeviation, tolerance);
+    verticalLineGroups = findVerticalGutters(deviations.columnDeviation, tolerance);
+
+    // Content touching the image edge still needs a boundary there
+    refinedHorizontalGroups = addEdgeBoundaries(refineDividerCenters(horizontalLineGroups), height);
+    refinedVerticalGroups = addEdgeBoundaries(refineDividerCenters(verticalLineGroups), width);
+  } else if (dividerDetection === 'statistical') {
+    horizontalLineGroups = findProfileDividers(data, width, height, 'row', tolerance, minConfidence);
+    verticalLineGroups = findProfileDividers(data, width, height, 'column', tolerance, minConfidence);
+
+    refinedHorizontalGroups = refineDividerCenters(horizontalLineGroups);
+    refinedVerticalGroups = refineDividerCenters(verticalLineGroups);
+  } else {
+    // Rows between the left and right frame, columns between top and bottom
+    const [left, right] = frameSpan(outerBorders.left, outerBorders.right, width);
+    const [top, bottom] = frameSpan(outerBorders.top, outerBorders.bottom, height);
+    const deviations = measureLineDeviations(data, width, height, {
+      span: { left, right, top, bottom },
+      contrast: changeContrast(tolerance)
+    });
 
-  const horizontalLineGroups = findHorizontalDividers(data, width, height, tolerance);
-  const verticalLineGroups = findVerticalDividers(data, width, height, tolerance);
+    horizontalLineGroups = findHorizontalDividers(data, width, height, tolerance, outerBorders, deviations, sheetBackground);
+    verticalLineGroups = findVerticalDividers(data, width, height, tolerance, outerBorders, deviations, sheetBackground);
 
-  // Refine centers to be perfectly aligned
-  const refinedHorizontalGroups = refineDividerCenters(horizontalLineGroups);
-  const refinedVerticalGroups = refineDividerCenters(verticalLineGroups);
+    // Refine centers to be perfectly aligned
+    refinedHorizontalGroups = refineDividerCenters(horizontalLineGroups);
+    refinedVerticalGroups = refineDividerCenters(verticalLineGroups);
+  }
 
-  // Apply minimum gap filtering
-  const filteredHorizontalGroups = enforceMinimumGap(refinedHorizontalGroups, minYGap);
-  const filteredVerticalGroups = enforceMinimumGap(refinedVerticalGroups, minXGap);
+  if ((context.edgeBoundaries || resampled) && dividerMode === 'line') {
+    refinedHorizontalGroups = addEdgeBoundaries(refinedHorizontalGroups, height);
+    refinedVerticalGroups = addEdgeBoundaries(refinedVerticalGroups, width);
+  }
 
-  const horizontalSlices = filteredHorizontalGroups.map(g => g.center);
-  const verticalSlices = filteredVerticalGroups.map(g => g.center);
+  // Apply minimum gap filtering, or fit the expected template.
+  // Gutters are wide and cells may be small, so gutter spacing is the content between them
+  const gutterMode = dividerMode === 'gutter' || dividerMode === 'alpha';
+  const filterGroups = (groups, minGap) => (gutterMode
+    ? enforceMinimumGap(groups, minCellSize, (previous, current) => current.start - previous.end - 1)
+    : enforceMinimumGap(groups, minGap));
+  const templateFit = {};
+  let filteredHorizontalGroups;
+  let filteredVerticalGroups;
+
+  if (expectedRows > 0) {
+    const fitted = fitDividers(data, width, height, 'row', tolerance, expectedRows, expectedCellHeight);
+    filteredHorizontalGroups = refineDividerCenters(fitted.groups);
+    templateFit.rows = fitted.fit;
+  } else {
+    filteredHorizontalGroups = filterGroups(refinedHorizontalGroups, minYGap);
+  }
 
-  const cells = computeCells(horizontalSlices, verticalSlices, width, height, outerBorders);
-  const gridLineSegments = computeGridLineSegments(filteredHorizontalGroups, filteredVerticalGroups, width, height);
+  if (expectedColumns > 0) {
+    const fitted = fitDividers(data, width, height, 'column', tolerance, expectedColumns, expectedCellWidth);
+    filteredVerticalGroups = refineDividerCenters(fitted.groups);
+    templateFit.columns = fitted.fit;
+  } else {
+    filteredVerticalGroups = filterGroups(refinedVerticalGroups, minXGap);
+  }
+
+  const gridConfig = createGridConfigFromLineGroups(
+    filteredHorizontalGroups, filteredVerticalGroups, width, height, outerBorders, data
+  );
+
+  gridConfig.frame = frame;
+
+  if (expectedRows > 0 || expectedColumns > 0) {
+    gridConfig.templateFit = templateFit;
+  }
 
   // Debug logging
-  if (window.debug) {
-    window.debug.log('Grid detection details', {
+  if (globalThis.debug) {
+    globalThis.debug.log('Grid detection details', {
       imageSize: `${width}×${height}`,
       outerBorders: outerBorders,
       horizontalDividersRaw: horizontalLineGroups.length,
       horizontalDividersFiltered: filteredHorizontalGroups.length,
       verticalDividersRaw: verticalLineGroups.length,
       verticalDividersFiltered: filteredVerticalGroups.length,
-      horizontalSlices: horizontalSlices,
-      verticalSlices: verticalSlices,
+      horizontalSlices: gridConfig.horizontalSlices,
+      verticalSlices: gridConfig.verticalSlices,
       tolerance: tolerance,
+      dividerMode: dividerMode,
+      alphaThreshold: alphaThreshold,
+      dividerDetection: dividerDetection,
       minXGap: minXGap,
-      minYGap: minYGap
+      minYGap: minYGap,
+      minCellSize: minCellSize
     });
   }
 
+  return gridConfig;
+}
+
+/**
+ * Build a grid configuration from line groups.
+ * Used by detectGrid and for grids corrected by hand in the editor, so an
+ * edited grid can go straight to splitImage without detecting again.
+ * Groups are sorted by center, and groups sharing a center are merged, so
+ * no cell has zero size; zero-width groups and gutters cut cells without
+ * producing grid line segments. With pixel data, each line segment also
+ * gets a lineStyle (see classifyLineStyle).
+ *
+ * @param {Array} horizontalLineGroups - Horizontal line groups {start, end, center, width}
+ * @param {Array} verticalLineGroups - Vertical line groups {start, end, center, width}
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} outerBorders - Outer border widths {top, right, bottom, left}
+ * @param {Uint8ClampedArray|null} data - Pixel data (RGBA) to classify line styles with
+ * @returns {GridConfig} - Grid configuration
+ */
+export function createGridConfigFromLineGroups(horizontalLineGroups, verticalLineGroups, width, height, outerBorders, data = null) {
+  const horizontalGroups = mergeCoincidentGroups(horizontalLineGroups);
+  const verticalGroups = mergeCoincidentGroups(verticalLineGroups);
+
+  const horizontalSlices = horizontalGroups.map(g => g.center);
+  const verticalSlices = verticalGroups.map(g => g.center);
+
+  const cells = computeCells(horizontalSlices, verticalSlices, width, height, outerBorders);
+  const gridLineSegments = computeGridLineSegments(horizontalGroups, verticalGroups, width, height, outerBorders, data);
+
   return {
     // Cells are only created BETWEEN gridlines
     // columns (X) = gaps between vertical lines
@@ -90,17 +201,41 @@ export function detectGrid(imageData) {
     rows: horizontalSlices.length > 0 ? horizontalSlices.length - 1 : 1,
     horizontalSlices: horizontalSlices,
     verticalSlices: verticalSlices,
-    horizontalLineGroups: filteredHorizontalGroups,
-    verticalLineGroups: filteredVerticalGroups,
+    horizontalLineGroups: horizontalGroups,
+    verticalLineGroups: verticalGroups,
     cells: cells,
     gridLineSegments: gridLineSegments,
     outerBorders: outerBorders
   };
 }
 
+/**
+ * Sort line groups by center and keep one group per center: the widest,
+ * then the most confident.
+ *
+ * @param {Array} lineGroups - Line groups {start, end, center, width, confidence}
+ * @returns {Array} - Sorted line groups with distinct centers
+ */
+function mergeCoincidentGroups(lineGroups) {
+  const merged = [];
+
+  for (const group of [...lineGroups].sort((a, b) => a.center - b.center)) {
+    const previous = merged[merged.length - 1];
+    if (!previous || previous.center !== group.center) {
+      merged.push(group);
+    } else if (group.width > previous.width ||
+               (group.width === previous.width && (group.confidence ?? 1) > (previous.confidence ?? 1))) {
+      merged[merged.length - 1] = group;
+    }
+  }
+
+  return merged;
+}
+
 /**
  * Detect outer borders (frame) around the entire image.
  * These are uniform edges that should be excluded from cell content.
+ * See detectFrame for the bands and colors that make up the borders.
  *
  * @param {Uint8ClampedArray} data - Pixel data (RGBA)
  * @param {number} width - Image width
@@ -108,190 +243,326 @@ export function detectGrid(imageData) {
  * @param {number} tolerance - Color tolerance
  * @returns {Object} - {top, right, bottom, left} border widths in pixels
  */
-function detectOuterBorders(data, width, height, tolerance) {
-  const borders = { top: 0, right: 0, bottom: 0, left: 0 };
-
-  // Detect top border
-  for (let y = 0; y < height; y++) {
-    if (isUniformRow(data, width, height, y, tolerance)) {
-      borders.top = y + 1;
-    } else {
-      break;
-    }
-  }
-
-  // Detect bottom border
-  for (let y = height - 1; y >= 0; y--) {
-    if (isUniformRow(data, width, height, y, tolerance)) {
-      borders.bottom = height - y;
-    } else {
-      break;
-    }
-  }
-
-  // Detect left border
-  for (let x = 0; x < width; x++) {
-    if (isUniformColumn(data, width, height, x, tolerance)) {
-      borders.left = x + 1;
-    } else {
-      break;
-    }
-  }
-
-  // Detect right border
-  for (let x = width - 1; x >= 0; x--) {
-    if (isUniformColumn(data, width, height, x, tolerance)) {
-      borders.right = width - x;
-    } else {
-      break;
-    }
-  }
-
-  return borders;
+export function detectOuterBorders(data, width, height, tolerance) {
+  return frameWidths(detectFrame(data, width, height, tolerance));
 }
 
 /**
  * Find horizontal divider lines by analyzing row uniformity.
- * A divider is a row where all pixels share similar colors (within tolerance).
+ * A divider is a row where all pixels share similar colors (within tolerance),
+ * or a row repeating a short pattern (dashed, dotted or two-tone lines).
+ * Only the part between the left and right frame is checked, so dividers
+ * still count when they meet a frame of another color. Rows in the
+ * background color must be uniform across the frame too, so the plain
+ * margin inside a frame does not widen the dividers next to it. Two lines
+ * of one color a few pixels apart are joined into a double line.
  *
  * @param {Uint8ClampedArray} data - Pixel data (RGBA)
  * @param {number} width - Image width
  * @param {number} height - Image height
  * @param {number} tolerance - Color tolerance
+ * @param {Object} outerBorders - Frame widths {top, right, bottom, left}
+ * @param {Object} deviations - Line measurements within the frame (see measureLineDeviations)
+ * @param {Object} background - Sheet background color {r, g, b, a}
  * @returns {Array} - Array of line group objects {start, end, center}
  */
-function findHorizontalDividers(data, width, height, tolerance) {
+function findHorizontalDividers(data, width, height, tolerance, outerBorders, deviations, background) {
   const dividers = [];
+  const { rowDeviation, rowChanges, columnChanges } = deviations;
+  const [from, to] = frameSpan(outerBorders.left, outerBorders.right, width);
+  const [top, bottom] = frameSpan(outerBorders.top, outerBorders.bottom, height);
+  const rowStart = (y) => (y * width + from) * 4;
+  const framed = from > 0 || to < width;
+  const isPatternedColumn = memoize(offset =>
+    findLinePeriod(data, (top * width + from + offset) * 4, width * 4, bottom - top, tolerance, columnChanges[from + offset]) > 0
+  );
 
   for (let y = 0; y < height; y++) {
-    if (isUniformRow(data, width, height, y, tolerance)) {
+    if (rowDeviation[y] <= tolerance) {
+      // Skip background rows that stop at the frame, and rows that are only
+      // uniform between the dots of dotted columns
+      const sides = neighborLines(y, height, rowStart);
+      if (!(framed && isBackgroundAt(data, rowStart(y), background, tolerance)) &&
+          !isPatternGap(data, rowStart(y), sides, 4, to - from, tolerance, isPatternedColumn)) {
+        dividers.push(y);
+      }
+    } else if (findLinePeriod(data, rowStart(y), 4, to - from, tolerance, rowChanges[y]) > 0) {
       dividers.push(y);
     }
   }
 
-  if (window.debug && dividers.length > 0) {
-    window.debug.log(`Found ${dividers.length} uniform horizontal rows`);
+  if (globalThis.debug && dividers.length > 0) {
+    globalThis.debug.log(`Found ${dividers.length} uniform or patterned horizontal rows`);
   }
 
-  return consolidateDividersToGroups(dividers);
+  return joinDoubleLines(consolidateDividersToGroups(dividers), data, width, 'horizontal', from, to);
 }
 
 /**
  * Find vertical divider lines by analyzing column uniformity.
+ * Columns repeating a short pattern count as dividers too. As with rows,
+ * columns in the background color must be uniform across the frame.
  *
  * @param {Uint8ClampedArray} data - Pixel data (RGBA)
  * @param {number} width - Image width
  * @param {number} height - Image height
  * @param {number} tolerance - Color tolerance
+ * @param {Object} outerBorders - Frame widths {top, right, bottom, left}
+ * @param {Object} deviations - Line measurements within the frame (see measureLineDeviations)
+ * @param {Object} background - Sheet background color {r, g, b, a}
  * @returns {Array} - Array of line group objects {start, end, center}
  */
-function findVerticalDividers(data, width, height, tolerance) {
+function findVerticalDividers(data, width, height, tolerance, outerBorders, deviations, background) {
   const dividers = [];
+  const { columnDeviation, columnChanges, rowChanges } = deviations;
+  const [from, to] = frameSpan(outerBorders.top, outerBorders.bottom, height);
+  const [left, right] = frameSpan(outerBorders.left, outerBorders.right, width);
+  const columnStart = (x) => (from * width + x) * 4;
+  const framed = from > 0 || to < height;
+  const isPatternedRow = memoize(offset =>
+    findLinePeriod(data, ((from + offset) * width + left) * 4, 4, right - left, tolerance, rowChanges[from + offset]) > 0
+  );
 
   for (let x = 0; x < width; x++) {
-    if (isUniformColumn(data, width, height, x, tolerance)) {
+    if (columnDeviation[x] <= tolerance) {
+      // Skip background columns that stop at the frame, and columns that are
+      // only uniform between the dots of dotted rows
+      const sides = neighborLines(x, width, columnStart);
+      if (!(framed && isBackgroundAt(data, columnStart(x), background, tolerance)) &&
+          !isPatternGap(data, columnStart(x), sides, width * 4, to - from, tolerance, isPatternedRow)) {
+        dividers.push(x);
+      }
+    } else if (findLinePeriod(data, columnStart(x), width * 4, to - from, tolerance, columnChanges[x]) > 0) {
       dividers.push(x);
     }
   }
 
-  if (window.debug && dividers.length > 0) {
-    window.debug.log(`Found ${dividers.length} uniform vertical columns`);
+  if (globalThis.debug && dividers.length > 0) {
+    globalThis.debug.log(`Found ${dividers.length} uniform or patterned vertical columns`);
   }
 
-  return consolidateDividersToGroups(dividers);
+  return joinDoubleLines(consolidateDividersToGroups(dividers), data, width, 'vertical', from, to);
 }
 
 /**
- * Check if a row has uniform color (potential divider).
- * Uses tolerance to handle JPEG compression artifacts.
+ * List the lines on both sides of a line, nearest first, up to one pattern
+ * period away.
  *
- * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} position - Row or column of the line
+ * @param {number} size - Number of rows or columns
+ * @param {Function} lineStart - (position) => index of the line's first pixel
+ * @returns {number[][]} - First-pixel indices before and after the line
+ */
+function neighborLines(position, size, lineStart) {
+  const before = [];
+  const after = [];
+
+  for (let distance = 1; distance <= MAX_PERIOD; distance++) {
+    if (position - distance >= 0) before.push(lineStart(position - distance));
+    if (position + distance < size) after.push(lineStart(position + distance));
+  }
+
+  return [before, after];
+}
+
+/**
+ * Check whether a pixel has the background color.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} index - Index of the pixel's first channel
+ * @param {Object} background - Background color {r, g, b, a}
+ * @param {number} tolerance - Color tolerance
+ * @returns {boolean} - True if the pixel matches the background
+ */
+function isBackgroundAt(data, index, background, tolerance) {
+  const color = { r: data[index], g: data[index + 1], b: data[index + 2], a: data[index + 3] };
+  return colorsClose(color, background, tolerance);
+}
+
+/**
+ * Cache the results of a function of one number.
+ *
+ * @param {Function} fn - Function to cache
+ * @returns {Function} - Cached function
+ */
+function memoize(fn) {
+  const cache = new Map();
+  return (value) => {
+    if (!cache.has(value)) cache.set(value, fn(value));
+    return cache.get(value);
+  };
+}
+
+/**
+ * Get the span between two frame sides, or the full length when the frame
+ * leaves nothing in between.
+ *
+ * @param {number} before - Frame width at the start
+ * @param {number} after - Frame width at the end
+ * @param {number} size - Length of the line
+ * @returns {number[]} - [from, to) pixel range
+ */
+function frameSpan(before, after, size) {
+  return before + after < size ? [before, size - after] : [0, size];
+}
+
+/**
+ * Estimate the sheet background color.
+ * Uniform rows and columns (gutters, margins) are the best evidence; when the
+ * image has none, the edge pixels are used instead. Samples are bucketed by
+ * color and the first pixel of the largest bucket is returned.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
  * @param {number} width - Image width
  * @param {number} height - Image height
- * @param {number} y - Row index
  * @param {number} tolerance - Color tolerance
- * @returns {boolean} - True if row is uniform
+ * @param {Object} deviations - Optional whole-image line measurements (see measureLineDeviations)
+ * @returns {Object} - Background color {r, g, b, a}
  */
-function isUniformRow(data, width, height, y, tolerance) {
-  const startIndex = y * width * 4;
-  const firstPixel = {
-    r: data[startIndex],
-    g: data[startIndex + 1],
-    b: data[startIndex + 2],
-    a: data[startIndex + 3]
+export function detectBackgroundColor(data, width, height, tolerance, deviations = measureLineDeviations(data, width, height, { limit: tolerance })) {
+  const buckets = new Map();
+
+  const sample = (index, weight) => {
+    // 4 bits per channel absorbs small JPEG variations
+    const key = ((data[index] >> 4) << 12) | ((data[index + 1] >> 4) << 8) |
+                ((data[index + 2] >> 4) << 4) | (data[index + 3] >> 4);
+    const bucket = buckets.get(key);
+
+    if (bucket) {
+      bucket.count += weight;
+    } else {
+      buckets.set(key, { count: weight, index });
+    }
   };
 
-  for (let x = 1; x < width; x++) {
-    const index = (y * width + x) * 4;
+  for (let y = 0; y < height; y++) {
+    if (deviations.rowDeviation[y] <= tolerance) sample(y * width * 4, width);
+  }
+  for (let x = 0; x < width; x++) {
+    if (deviations.columnDeviation[x] <= tolerance) sample(x * 4, height);
+  }
 
-    // Check color difference with tolerance
-    if (!colorsMatch(
-      firstPixel.r, firstPixel.g, firstPixel.b, firstPixel.a,
-      data[index], data[index + 1], data[index + 2], data[index + 3],
-      tolerance
-    )) {
-      return false;
+  if (buckets.size === 0) {
+    for (let x = 0; x < width; x++) {
+      sample(x * 4, 1);
+      sample(((height - 1) * width + x) * 4, 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+      sample(y * width * 4, 1);
+      sample((y * width + width - 1) * 4, 1);
     }
   }
 
-  return true;
+  let best = null;
+  for (const bucket of buckets.values()) {
+    if (!best || bucket.count > best.count) best = bucket;
+  }
+
+  return {
+    r: data[best.index],
+    g: data[best.index + 1],
+    b: data[best.index + 2],
+    a: data[best.index + 3]
+  };
 }
 
 /**
- * Check if a column has uniform color (potential divider).
- * Uses tolerance to handle JPEG compression artifacts.
+ * Reduce a resampled image to background and ink.
+ * Resampling softens each line by a different amount along its length, so
+ * no row or column of a line agrees with itself within tolerance. Every
+ * pixel that differs from the background becomes the same ink color instead,
+ * which turns a soft line back into a solid one.
  *
- * @param {Uint8ClampedArray} data - Pixel data
- * @param {number} width - Image width
- * @param {number} height - Image height
- * @param {number} x - Column index
+ * @param {Object} imageData - Image data {width, height, data}
  * @param {number} tolerance - Color tolerance
- * @returns {boolean} - True if column is uniform
+ * @returns {Object} - Two-color copy {width, height, data}
  */
-function isUniformColumn(data, width, height, x, tolerance) {
-  const firstIndex = x * 4;
-  const firstPixel = {
-    r: data[firstIndex],
-    g: data[firstIndex + 1],
-    b: data[firstIndex + 2],
-    a: data[firstIndex + 3]
-  };
+function separateInk(imageData, tolerance) {
+  const { width, height, data } = imageData;
+  const background = detectBackgroundColor(data, width, height, tolerance);
+  const backgroundColor = [background.r, background.g, background.b, background.a];
+  // Per channel, the extreme farthest from the background
+  const inkColor = [background.r < 128 ? 255 : 0, background.g < 128 ? 255 : 0, background.b < 128 ? 255 : 0, 255];
+  const ink = new Uint8ClampedArray(data.length);
+
+  for (let index = 0; index < data.length; index += 4) {
+    ink.set(isBackgroundAt(data, index, background, tolerance) ? backgroundColor : inkColor, index);
+  }
 
-  for (let y = 1; y < height; y++) {
-    const index = (y * width + x) * 4;
+  return { width, height, data: ink };
+}
 
-    // Check color difference with tolerance
-    if (!colorsMatch(
-      firstPixel.r, firstPixel.g, firstPixel.b, firstPixel.a,
-      data[index], data[index + 1], data[index + 2], data[index + 3],
-      tolerance
-    )) {
-      return false;
-    }
+/**
+ * Find horizontal gutters: rows containing only background.
+ * Gutters are marked, since they cut cells but are not lines to export.
+ *
+ * @param {ArrayLike<number>} rowValues - Per row: deviation from the background color, or count of visible pixels
+ * @param {number} limit - Largest value of a gutter row
+ * @returns {Array} - Array of line group objects {start, end, center, gutter}
+ */
+function findHorizontalGutters(rowValues, limit) {
+  const gutters = [];
+
+  rowValues.forEach((value, y) => {
+    if (value <= limit) gutters.push(y);
+  });
+
+  if (globalThis.debug && gutters.length > 0) {
+    globalThis.debug.log(`Found ${gutters.length} background-only rows`);
+  }
+
+  return consolidateDividersToGroups(gutters).map(group => ({ ...group, gutter: true }));
+}
+
+/**
+ * Find vertical gutters: columns containing only background.
+ *
+ * @param {ArrayLike<number>} columnValues - Per column: deviation from the background color, or count of visible pixels
+ * @param {number} limit - Largest value of a gutter column
+ * @returns {Array} - Array of line group objects {start, end, center, gutter}
+ */
+function findVerticalGutters(columnValues, limit) {
+  const gutters = [];
+
+  columnValues.forEach((value, x) => {
+    if (value <= limit) gutters.push(x);
+  });
+
+  if (globalThis.debug && gutters.length > 0) {
+    globalThis.debug.log(`Found ${gutters.length} background-only columns`);
   }
 
-  return true;
+  return consolidateDividersToGroups(gutters).map(group => ({ ...group, gutter: true }));
 }
 
 /**
- * Check if two colors match within tolerance.
+ * Add zero-width boundaries at the image edges where content touches them,
+ * so the outermost row/column of cells is kept. Zero-width groups produce
+ * no grid line segments.
  *
- * @param {number} r1 - Red component 1
- * @param {number} g1 - Green component 1
- * @param {number} b1 - Blue component 1
- * @param {number} a1 - Alpha component 1
- * @param {number} r2 - Red component 2
- * @param {number} g2 - Green component 2
- * @param {number} b2 - Blue component 2
- * @param {number} a2 - Alpha component 2
- * @param {number} tolerance - Maximum difference per channel
- * @returns {boolean} - True if colors match within tolerance
+ * @param {Array} lineGroups - Refined line groups, sorted by position
+ * @param {number} size - Image size along this axis
+ * @returns {Array} - Line groups with edge boundaries
  */
-function colorsMatch(r1, g1, b1, a1, r2, g2, b2, a2, tolerance) {
-  return Math.abs(r1 - r2) <= tolerance &&
-         Math.abs(g1 - g2) <= tolerance &&
-         Math.abs(b1 - b2) <= tolerance &&
-         Math.abs(a1 - a2) <= tolerance;
+function addEdgeBoundaries(lineGroups, size) {
+  const groups = [...lineGroups];
+  const edge = (position) => ({
+    start: position,
+    end: position - 1,
+    center: position,
+    exactCenter: position,
+    width: 0,
+    confidence: 1
+  });
+
+  if (groups.length === 0 || groups[0].start > 0) {
+    groups.unshift(edge(0));
+  }
+  if (groups[groups.length - 1].end < size - 1) {
+    groups.push(edge(size));
+  }
+
+  return groups;
 }
 
 /**
@@ -300,7 +571,7 @@ function colorsMatch(r1, g1, b1, a1, r2, g2, b2, a2, tolerance) {
  * Center is calculated as the true midpoint for proper alignment.
  *
  * @param {number[]} dividers - Array of divider coordinates
- * @returns {Array} - Array of group objects {start, end, center, width}
+ * @returns {Array} - Array of group objects {start, end, center, width, confidence}
  */
 function consolidateDividersToGroups(dividers) {
   if (dividers.length === 0) return [];
@@ -319,7 +590,8 @@ function consolidateDividersToGroups(dividers) {
         start: groupStart,
         end: groupEnd,
         center: Math.round(preciseCenter), // Round to nearest pixel for consistent centering
-        width: groupEnd - groupStart + 1
+        width: groupEnd - groupStart + 1,
+        confidence: 1 // Every pixel matched
       });
       groupStart = dividers[i];
       groupEnd = dividers[i];
@@ -332,7 +604,8 @@ function consolidateDividersToGroups(dividers) {
     start: groupStart,
     end: groupEnd,
     center: Math.round(preciseCenter),
-    width: groupEnd - groupStart + 1
+    width: groupEnd - groupStart + 1,
+    confidence: 1
   });
 
   return groups;
@@ -347,6 +620,11 @@ function consolidateDividersToGroups(dividers) {
  */
 function refineDividerCenters(lineGroups) {
   return lineGroups.map(group => {
+    // Zero-width cuts sit exactly at their position
+    if (group.width === 0) {
+      return { ...group, exactCenter: group.center };
+    }
+
     // For even-width dividers, ensure consistent rounding
     // For odd-width dividers, center is naturally at a pixel
     const exactCenter = (group.start + group.end) / 2;
@@ -361,13 +639,15 @@ function refineDividerCenters(lineGroups) {
 
 /**
  * Enforce minimum gap between detected grid lines.
- * When lines are too close together, keep the thickest/most prominent one.
+ * When lines are too close together, keep the most confident one, and of
+ * equally confident lines the thickest.
  *
  * @param {Array} lineGroups - Array of line group objects
  * @param {number} minGap - Minimum gap in pixels
+ * @param {Function} distanceBetween - (previous, current) => gap; defaults to the distance between centers
  * @returns {Array} - Filtered line groups
  */
-function enforceMinimumGap(lineGroups, minGap) {
+function enforceMinimumGap(lineGroups, minGap, distanceBetween = (previous, current) => current.center - previous.center) {
   if (lineGroups.length === 0) return [];
 
   const filtered = [];
@@ -384,7 +664,7 @@ function enforceMinimumGap(lineGroups, minGap) {
     }
 
     // Check distance from last kept line
-    const distance = current.center - lastKept.center;
+    const distance = distanceBetween(lastKept, current);
 
     if (distance >= minGap) {
       // Far enough - keep this line
@@ -392,8 +672,10 @@ function enforceMinimumGap(lineGroups, minGap) {
       lastKept = current;
     } else {
       // Too close - compare which one is better
-      // Prefer thicker lines (more uniform pixels)
-      if (current.width > lastKept.width) {
+      // Prefer confident lines, then thicker lines (more uniform pixels)
+      const moreConfident = current.confidence > lastKept.confidence;
+      const asConfident = current.confidence === lastKept.confidence;
+      if (moreConfident || (asConfident && current.width > lastKept.width)) {
         // Replace the last kept line with this one
         filtered[filtered.length - 1] = current;
         lastKept = current;
@@ -402,8 +684,8 @@ function enforceMinimumGap(lineGroups, minGap) {
     }
   }
 
-  if (window.debug && lineGroups.length !== filtered.length) {
-    window.debug.log(`Filtered out ${lineGroups.length - filtered.length} duplicate lines (minGap: ${minGap}px)`);
+  if (globalThis.debug && lineGroups.length !== filtered.length) {
+    globalThis.debug.log(`Filtered out ${lineGroups.length - filtered.length} duplicate lines (minGap: ${minGap}px)`);
   }
 
   return filtered;
@@ -471,44 +753,59 @@ function computeCells(horizontalLines, verticalLines, width, height, outerBorder
 
 /**
  * Compute grid line segments to be analyzed separately.
+ * Given pixel data, horizontal and vertical segments are classified as
+ * solid, dashed, dotted or double lines; the frame sides are left out of
+ * the classification.
  *
  * @param {Array} horizontalLineGroups - Horizontal line groups
  * @param {Array} verticalLineGroups - Vertical line groups
  * @param {number} width - Image width
  * @param {number} height - Image height
+ * @param {Object} outerBorders - Frame widths {top, right, bottom, left}
+ * @param {Uint8ClampedArray|null} data - Pixel data (RGBA), or null to skip classification
  * @returns {Array} - Array of grid line segment objects
  */
-function computeGridLineSegments(horizontalLineGroups, verticalLineGroups, width, height) {
+function computeGridLineSegments(horizontalLineGroups, verticalLineGroups, width, height, outerBorders, data) {
   const segments = [];
   let segmentId = 0;
 
+  // Gutters are plain background and zero-width edge boundaries have no pixels: neither is a line
+  const horizontalGroups = horizontalLineGroups.filter(group => group.width > 0 && !group.gutter);
+  const verticalGroups = verticalLineGroups.filter(group => group.width > 0 && !group.gutter);
+
+  const borders = outerBorders || { top: 0, right: 0, bottom: 0, left: 0 };
+  const [left, right] = frameSpan(borders.left, borders.right, width);
+  const [top, bottom] = frameSpan(borders.top, borders.bottom, height);
+
   // Horizontal line segments
-  for (const lineGroup of horizontalLineGroups) {
+  for (const lineGroup of horizontalGroups) {
     segments.push({
       id: `h-line-${segmentId++}`,
       type: 'horizontal-line',
       x: 0,
       y: lineGroup.start,
       width: width,
-      height: lineGroup.width
+      height: lineGroup.width,
+      lineStyle: data ? classifyLineStyle(data, width, height, lineGroup, 'horizontal', left, right) : null
     });
   }
 
   // Vertical line segments
-  for (const lineGroup of verticalLineGroups) {
+  for (const lineGroup of verticalGroups) {
     segments.push({
       id: `v-line-${segmentId++}`,
       type: 'vertical-line',
       x: lineGroup.start,
       y: 0,
       width: lineGroup.width,
-      height: height
+      height: height,
+      lineStyle: data ? classifyLineStyle(data, width, height, lineGroup, 'vertical', top, bottom) : null
     });
   }
 
   // Intersection segments (where horizontal and vertical lines cross)
-  for (const hGroup of horizontalLineGroups) {
-    for (const vGroup of verticalLineGroups) {
+  for (const hGroup of horizontalGroups) {
+    for (const vGroup of verticalGroups) {
       segments.push({
         id: `intersection-${segmentId++}`,
         type: 'intersection',
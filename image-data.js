@@ -0,0 +1,147 @@
+/**
+ * Image Data Module
+ * ImageData helpers that work with or without a DOM.
+ * Browsers and workers get real ImageData objects; Node.js gets plain
+ * {data, width, height} objects with the same shape.
+ */
+
+/**
+ * Create an ImageData-like object.
+ *
+ * @param {Uint8ClampedArray|null} data - RGBA pixel data (allocated when null)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {ImageData} - ImageData (or ImageData-like object outside the browser)
+ */
+export function createImageData(data, width, height) {
+  const pixels = data || new Uint8ClampedArray(width * height * 4);
+
+  if (typeof ImageData !== 'undefined') {
+    return new ImageData(pixels, width, height);
+  }
+
+  return { data: pixels, width, height, colorSpace: 'srgb' };
+}
+
+/**
+ * Copy an ImageData-like object into a new one with its own pixel buffer.
+ *
+ * @param {ImageData} imageData - Source image data
+ * @returns {ImageData} - Independent copy
+ */
+export function cloneImageData(imageData) {
+  return createImageData(
+    new Uint8ClampedArray(imageData.data),
+    imageData.width,
+    imageData.height
+  );
+}
+
+/**
+ * Give every fully transparent pixel the same value (0, 0, 0, 0).
+ * Transparent pixels often keep leftover RGB values from the editor or
+ * engine that exported them; they look identical, so detection should treat
+ * them as equal. Returns the image itself when nothing needs clearing.
+ *
+ * @param {ImageData} imageData - Source image data
+ * @returns {ImageData} - Image data whose alpha-0 pixels are all zero
+ */
+export function clearTransparentPixels(imageData) {
+  const { data, width, height } = imageData;
+
+  // Step 1: Find the first transparent pixel that still has a color
+  let first = -1;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] === 0 && (data[i - 3] | data[i - 2] | data[i - 1]) !== 0) {
+      first = i;
+      break;
+    }
+  }
+
+  if (first < 0) {
+    return imageData;
+  }
+
+  // Step 2: Clear a copy from there on
+  const cleared = new Uint8ClampedArray(data);
+  for (let i = first; i < cleared.length; i += 4) {
+    if (cleared[i] === 0) {
+      cleared[i - 3] = 0;
+      cleared[i - 2] = 0;
+      cleared[i - 1] = 0;
+    }
+  }
+
+  return createImageData(cleared, width, height);
+}
+
+/**
+ * Normalize raw RGBA input into an ImageData-like object.
+ * Accepts ImageData, decoded PNG objects ({width, height, data}) and
+ * Buffers/Uint8Arrays/ArrayBuffers holding tightly packed RGBA pixels.
+ *
+ * @param {Object} source - {width, height, data}
+ * @returns {ImageData} - ImageData-like object backed by a Uint8ClampedArray
+ */
+export function toImageData(source) {
+  if (typeof ImageData !== 'undefined' && source instanceof ImageData) {
+    return source;
+  }
+
+  if (!source || !Number.isInteger(source.width) || !Number.isInteger(source.height)) {
+    throw new Error('Image source must have integer width and height');
+  }
+
+  const { width, height } = source;
+  let data = source.data;
+
+  if (data instanceof ArrayBuffer) {
+    data = new Uint8ClampedArray(data);
+  } else if (ArrayBuffer.isView(data) && !(data instanceof Uint8ClampedArray)) {
+    data = new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  if (!(data instanceof Uint8ClampedArray)) {
+    throw new Error('Image source data must be an RGBA byte buffer');
+  }
+
+  if (data.length !== width * height * 4) {
+    throw new Error(`Expected ${width * height * 4} bytes of RGBA data, got ${data.length}`);
+  }
+
+  return createImageData(data, width, height);
+}
+
+/**
+ * Copy a rectangular region out of an image.
+ * Pixels outside the source image are left transparent.
+ *
+ * @param {ImageData} imageData - Source image data
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} width - Region width
+ * @param {number} height - Region height
+ * @returns {ImageData} - Extracted image data
+ */
+export function cropImageData(imageData, x, y, width, height) {
+  const source = imageData.data;
+  const sourceWidth = imageData.width;
+  const sourceHeight = imageData.height;
+  const result = new Uint8ClampedArray(width * height * 4);
+
+  const startX = Math.max(0, x);
+  const endX = Math.min(sourceWidth, x + width);
+
+  if (endX > startX) {
+    for (let row = 0; row < height; row++) {
+      const sourceY = y + row;
+      if (sourceY < 0 || sourceY >= sourceHeight) continue;
+
+      const srcStart = (sourceY * sourceWidth + startX) * 4;
+      const srcEnd = (sourceY * sourceWidth + endX) * 4;
+      result.set(source.subarray(srcStart, srcEnd), (row * width + (startX - x)) * 4);
+    }
+  }
+
+  return createImageData(result, width, height);
+}
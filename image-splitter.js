@@ -1,23 +1,25 @@
 /**
  * Image Splitter Module
  * Extract grid line segments and cells from source image.
- * No external dependencies - works entirely in browser.
+ * No external dependencies - works in the browser and in Node.js.
  */
 
+import { cropImageData } from './image-data.js';
+
 /**
  * Split image into grid line segments and cells based on grid configuration.
  *
- * @param {HTMLCanvasElement} sourceCanvas - Source canvas with image
+ * @param {ImageData|HTMLCanvasElement} source - Source image data (or canvas with image)
  * @param {GridConfig} gridConfig - Grid configuration from detector
  * @returns {Object} - Split image data {gridLines, cells}
  */
-export function splitImage(sourceCanvas, gridConfig) {
-  const ctx = sourceCanvas.getContext('2d');
+export function splitImage(source, gridConfig) {
+  const imageData = getSourceImageData(source);
   const allSegments = [];
 
   // Extract grid line segments
   for (const segment of gridConfig.gridLineSegments) {
-    const imageData = ctx.getImageData(segment.x, segment.y, segment.width, segment.height);
+    const segmentData = cropImageData(imageData, segment.x, segment.y, segment.width, segment.height);
 
     allSegments.push({
       id: segment.id,
@@ -26,13 +28,14 @@ export function splitImage(sourceCanvas, gridConfig) {
       y: segment.y,
       width: segment.width,
       height: segment.height,
-      imageData: imageData
+      lineStyle: segment.lineStyle || null,
+      imageData: segmentData
     });
   }
 
   // Extract cells
   for (const cell of gridConfig.cells) {
-    const imageData = ctx.getImageData(cell.x, cell.y, cell.width, cell.height);
+    const cellData = cropImageData(imageData, cell.x, cell.y, cell.width, cell.height);
 
     allSegments.push({
       id: `cell-${cell.row}-${cell.col}`,
@@ -43,7 +46,7 @@ export function splitImage(sourceCanvas, gridConfig) {
       y: cell.y,
       width: cell.width,
       height: cell.height,
-      imageData: imageData
+      imageData: cellData
     });
   }
 
@@ -55,16 +58,29 @@ export function splitImage(sourceCanvas, gridConfig) {
 }
 
 /**
- * Extract a specific region from the canvas.
+ * Extract a specific region from the source image.
  *
- * @param {HTMLCanvasElement} sourceCanvas - Source canvas
+ * @param {ImageData|HTMLCanvasElement} source - Source image data or canvas
  * @param {number} x - X coordinate
  * @param {number} y - Y coordinate
  * @param {number} width - Width
  * @param {number} height - Height
  * @returns {ImageData} - Extracted image data
  */
-export function extractRegion(sourceCanvas, x, y, width, height) {
-  const ctx = sourceCanvas.getContext('2d');
-  return ctx.getImageData(x, y, width, height);
+export function extractRegion(source, x, y, width, height) {
+  return cropImageData(getSourceImageData(source), x, y, width, height);
+}
+
+/**
+ * Read the full pixel buffer from a canvas, or pass ImageData through.
+ *
+ * @param {ImageData|HTMLCanvasElement} source - Source image data or canvas
+ * @returns {ImageData} - Image data covering the whole source
+ */
+function getSourceImageData(source) {
+  if (typeof source.getContext === 'function') {
+    return source.getContext('2d').getImageData(0, 0, source.width, source.height);
+  }
+
+  return source;
 }
@@ -4,14 +4,11 @@
  * No external dependencies - works entirely in browser for GitHub Pages
  */
 
-import { detectGrid } from './grid-detector.js';
-import { splitImage } from './image-splitter.js';
-import { removeBackground, removeShadowsAlongSlices, trimTransparentPadding } from './background-remover.js';
-import { decomposeIntoShapes } from './shape-decomposer.js';
-import { exportToPNG } from './png-exporter.js';
-import { exportToJSON } from './json-exporter.js';
-import { exportToCSS } from './css-exporter.js';
+import { exportAnalysis } from './pipeline.js';
+import { analyzeInWorker, autoTuneInWorker } from './analysis-client.js';
 import { createEditorView } from './editor-view.js';
+import { resolveOptions } from './options.js';
+import { loadProject, parseProject, saveProject, serializeProject, setOverride } from './project.js';
 
 /**
  * Main application class.
@@ -24,6 +21,21 @@ class ImageGridAnalyzer {
     this.components = [];
     this.gridLineComponents = [];
     this.editorView = null;
+    this.onGridChange = null;
+    this.options = resolveOptions();
+    this.overrides = {};
+    this.projectKey = null;
+  }
+
+  /**
+   * Update analysis/export options.
+   *
+   * @param {Object} overrides - Options to change (validated against the schema)
+   * @returns {Object} - The new options
+   */
+  setOptions(overrides) {
+    this.options = resolveOptions(overrides, this.options);
+    return this.options;
   }
 
   /**
@@ -40,14 +52,22 @@ class ImageGridAnalyzer {
         const img = new Image();
         img.onload = () => {
           this.sourceImage = img;
+          if (this.editorView) {
+            this.editorView.destroy();
+          }
           this.editorView = createEditorView(this.container, img);
 
+          // Bring back the corrections saved for this image
+          this.projectKey = file.name;
+          this.overrides = this.restoreOverrides();
+
           // Debug logging
           if (window.debug) {
             window.debug.log('Image loaded', {
               width: img.width,
               height: img.height,
-              filename: file.name
+              filename: file.name,
+              overrides: Object.keys(this.overrides).length
             });
           }
 
@@ -63,232 +83,209 @@ class ImageGridAnalyzer {
   }
 
   /**
-   * Analyze the loaded image.
+   * Analyze the loaded image in a Web Worker.
+   * Pass a gridConfig (e.g. this.gridConfig after editing) to split along it
+   * instead of detecting the grid again. Component overrides are applied.
    *
-   * @returns {Object} - Analysis results {gridConfig, components, gridLineComponents}
+   * @param {Object} context - Optional {onProgress, signal, gridConfig}; aborting the signal cancels the analysis
+   * @returns {Promise<Object>} - Analysis results {gridConfig, components, gridLineComponents}
    */
-  analyze() {
+  async analyze(context = {}) {
     if (!this.sourceImage) {
       throw new Error('No image loaded');
     }
 
-    // Notify debug server
-    if (window.debug) {
-      window.debug.send('analysis-start', {});
-    }
+    const results = await analyzeInWorker(getSourceImageData(this.sourceImage), this.options, {
+      onProgress: context.onProgress,
+      signal: context.signal,
+      gridConfig: context.gridConfig,
+      overrides: this.overrides,
+      onEvent: relayWorkerEvent
+    });
 
-    const startTime = performance.now();
+    this.gridConfig = results.gridConfig;
+    this.components = results.components;
+    this.gridLineComponents = results.gridLineComponents;
 
-    // Get image data from canvas
-    const canvas = document.createElement('canvas');
-    canvas.width = this.sourceImage.width;
-    canvas.height = this.sourceImage.height;
+    this.editorView.drawGridLines(this.gridConfig);
+
+    // Keep editing the new grid if edit mode was on (region layouts have no slice lines)
+    if (this.editorView.isEditing()) {
+      this.setGridEditing(this.gridConfig.detectionMode !== 'regions');
+    }
 
-    const ctx = canvas.getContext('2d');
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(this.sourceImage, 0, 0);
+    return results;
+  }
 
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  /**
+   * Get the override stored for a component.
+   *
+   * @param {string} id - Component id
+   * @returns {Object|null} - Override (see project.js), or null
+   */
+  getComponentOverride(id) {
+    return this.overrides[id] || null;
+  }
 
-    // Step 1: Detect grid
-    const gridStartTime = performance.now();
-    this.gridConfig = detectGrid(imageData);
-    const gridDuration = performance.now() - gridStartTime;
+  /**
+   * Store a component's background removal correction. It is applied on
+   * every later analysis and saved in the browser for this image.
+   *
+   * @param {string} id - Component id
+   * @param {Object|null} override - Override (see project.js); null removes it
+   * @returns {Object|null} - The validated override, or null when none is left
+   */
+  setComponentOverride(id, override) {
+    this.overrides = setOverride(this.overrides, id, override);
+    this.storeOverrides();
 
     if (window.debug) {
-      window.debug.send('grid-detected', { data: this.gridConfig });
-      window.debug.send('performance', {
-        operation: 'Grid Detection',
-        duration: Math.round(gridDuration)
-      });
+      window.debug.log('Component override saved', { id, override: this.overrides[id] || null });
     }
 
-    this.editorView.drawGridLines(this.gridConfig);
-
-    // Step 2: Split image into grid lines and cells
-    const splitStartTime = performance.now();
-    const splitData = splitImage(canvas, this.gridConfig);
-    const splitDuration = performance.now() - splitStartTime;
+    return this.getComponentOverride(id);
+  }
 
-    if (window.debug) {
-      window.debug.send('performance', {
-        operation: 'Image Splitting',
-        duration: Math.round(splitDuration)
-      });
-    }
+  /**
+   * Serialize the options and component overrides as a project file.
+   *
+   * @returns {string} - Project JSON
+   */
+  exportProject() {
+    return serializeProject({ options: this.options, overrides: this.overrides }, this.projectKey || undefined);
+  }
 
-    // Step 3: Process grid line segments
-    const lineProcessStartTime = performance.now();
-    this.gridLineComponents = [];
-    for (const segment of splitData.gridLines) {
-      const shapes = decomposeIntoShapes(segment.imageData);
-
-      this.gridLineComponents.push({
-        id: segment.id,
-        name: segment.id,
-        type: segment.type,
-        sourceX: segment.x,
-        sourceY: segment.y,
-        width: segment.width,
-        height: segment.height,
-        imageData: segment.imageData,
-        shapes: shapes.shapes,
-        nineSlice: null // Grid lines typically don't use nine-slice
-      });
-    }
-    const lineProcessDuration = performance.now() - lineProcessStartTime;
+  /**
+   * Load a project file: its options and overrides replace the current ones.
+   * Run analyze() to apply them.
+   *
+   * @param {string|Object} project - Project JSON or parsed object
+   * @returns {Object} - Parsed project {name, options, overrides}
+   */
+  importProject(project) {
+    const parsed = parseProject(project);
+    this.options = parsed.options;
+    this.overrides = parsed.overrides;
+    this.storeOverrides();
 
     if (window.debug) {
-      window.debug.send('performance', {
-        operation: 'Grid Line Processing',
-        duration: Math.round(lineProcessDuration)
+      window.debug.log('Project loaded', {
+        name: parsed.name,
+        overrides: Object.keys(parsed.overrides).length
       });
     }
 
-    // Step 4: Process cells
-    const cellProcessStartTime = performance.now();
-    this.components = [];
-    for (const cell of splitData.cells) {
-      // Store original raw cell data BEFORE any processing
-      // This is critical for modal re-processing with delta adjustments
-      const originalCellData = new ImageData(
-        new Uint8ClampedArray(cell.imageData.data),
-        cell.imageData.width,
-        cell.imageData.height
-      );
-
-      // Debug: log cell processing start
+    return parsed;
+  }
+
+  /**
+   * Read the overrides saved in the browser for the current image.
+   *
+   * @returns {Object} - Overrides keyed by component id (empty when none are saved)
+   */
+  restoreOverrides() {
+    try {
+      return loadProject(this.projectKey)?.overrides || {};
+    } catch (error) {
       if (window.debug) {
-        window.debug.log(`Processing cell-${cell.row}-${cell.col}`, {
-          dimensions: `${cell.width}x${cell.height}`,
-          position: `(${cell.x}, ${cell.y})`
-        });
+        window.debug.log('Could not restore saved overrides', { error: error.message });
       }
+      return {};
+    }
+  }
 
-      // Remove background
-      const cleanedData = removeBackground(cell.imageData);
-
-      // Remove shadows along slice edges
-      removeShadowsAlongSlices(cleanedData, [0, cell.height - 1], 3);
-
-      // Trim transparent padding around the component
-      const trimResult = trimTransparentPadding(cleanedData);
+  /**
+   * Save the overrides in the browser for the current image, if one is loaded.
+   * Storage errors (private mode, full quota) only cost persistence.
+   */
+  storeOverrides() {
+    if (!this.projectKey) return;
 
-      // Debug: log trim result
+    try {
+      saveProject(this.projectKey, { options: this.options, overrides: this.overrides });
+    } catch (error) {
       if (window.debug) {
-        window.debug.log(`Cell-${cell.row}-${cell.col} trim result`, {
-          isEmpty: trimResult.isEmpty,
-          originalSize: `${cell.width}x${cell.height}`,
-          trimmedSize: `${trimResult.bounds.width}x${trimResult.bounds.height}`,
-          trimmedBounds: trimResult.bounds
-        });
-      }
-
-      // Skip empty components (completely transparent or too small)
-      if (trimResult.isEmpty) {
-        if (window.debug) {
-          window.debug.log(`⚠️ Empty component detected: widget-${cell.row}-${cell.col}`);
-        }
-
-        // Still add it but mark as empty so UI can filter it
-        this.components.push({
-          id: cell.id,
-          name: `widget-${cell.row}-${cell.col}`,
-          type: cell.type,
-          row: cell.row,
-          col: cell.col,
-          sourceX: cell.x,
-          sourceY: cell.y,
-          width: 0,
-          height: 0,
-          imageData: trimResult.imageData,
-          originalImageData: originalCellData, // Store for modal re-processing
-          shapes: [],
-          nineSlice: null,
-          isEmpty: true
-        });
-        continue;
+        window.debug.log('Could not save overrides', { error: error.message });
       }
-
-      // Use trimmed imageData for shape analysis
-      const shapes = decomposeIntoShapes(trimResult.imageData);
-
-      // Calculate nine-slice borders on trimmed image
-      const nineSlice = calculateNineSliceBorders(trimResult.imageData, shapes);
-
-      this.components.push({
-        id: cell.id,
-        name: `widget-${cell.row}-${cell.col}`,
-        type: cell.type,
-        row: cell.row,
-        col: cell.col,
-        sourceX: cell.x + trimResult.bounds.x, // Adjust for trimming
-        sourceY: cell.y + trimResult.bounds.y, // Adjust for trimming
-        width: trimResult.bounds.width,        // Use trimmed width
-        height: trimResult.bounds.height,      // Use trimmed height
-        imageData: trimResult.imageData,       // Use trimmed imageData
-        originalImageData: originalCellData,   // Store for modal re-processing
-        shapes: shapes.shapes,
-        nineSlice: nineSlice,
-        isEmpty: false
-      });
     }
-    const cellProcessDuration = performance.now() - cellProcessStartTime;
+  }
 
-    if (window.debug) {
-      window.debug.send('performance', {
-        operation: 'Cell Processing',
-        duration: Math.round(cellProcessDuration)
-      });
+  /**
+   * Try a range of detection settings and rank the grids they produce.
+   * Nothing changes until a candidate is passed to applyTuning.
+   *
+   * @param {Object} context - Optional {onProgress, signal, ranges, limit}
+   * @returns {Promise<Object>} - {best, alternatives, runs}; see autoTuneGrid
+   */
+  async autoTune(context = {}) {
+    if (!this.sourceImage) {
+      throw new Error('No image loaded');
     }
 
-    const totalDuration = performance.now() - startTime;
+    return autoTuneInWorker(getSourceImageData(this.sourceImage), this.options, {
+      onProgress: context.onProgress,
+      signal: context.signal,
+      ranges: context.ranges,
+      limit: context.limit,
+      onEvent: relayWorkerEvent
+    });
+  }
 
-    // Count total shapes
-    const totalShapes = [...this.gridLineComponents, ...this.components]
-      .reduce((sum, comp) => sum + comp.shapes.length, 0);
+  /**
+   * Adopt an auto-tune candidate: its settings become the current options
+   * and its grid is shown. Run analyze({gridConfig: this.gridConfig}) to
+   * split along it.
+   *
+   * @param {Object} candidate - Candidate from autoTune
+   * @returns {Object} - The new options
+   */
+  applyTuning(candidate) {
+    const options = this.setOptions(candidate.settings);
 
-    const results = {
-      gridConfig: this.gridConfig,
-      components: this.components,
-      gridLineComponents: this.gridLineComponents
-    };
+    this.gridConfig = candidate.gridConfig;
+    this.editorView.drawGridLines(this.gridConfig);
 
-    // Send complete analysis to debug server
     if (window.debug) {
-      window.debug.send('analysis-complete', {
-        data: {
-          gridConfig: {
-            rows: this.gridConfig.rows,
-            columns: this.gridConfig.columns,
-            horizontalSlices: this.gridConfig.horizontalSlices.length,
-            verticalSlices: this.gridConfig.verticalSlices.length
-          },
-          gridLineComponents: this.gridLineComponents.map(c => ({
-            id: c.id,
-            type: c.type,
-            width: c.width,
-            height: c.height,
-            shapes: c.shapes.map(s => ({ type: s.type }))
-          })),
-          components: this.components.map(c => ({
-            id: c.id,
-            name: c.name,
-            width: c.width,
-            height: c.height,
-            shapes: c.shapes.map(s => ({ type: s.type })),
-            nineSlice: c.nineSlice
-          })),
-          totalShapes: totalShapes
-        }
-      });
-      window.debug.send('performance', {
-        operation: 'Total Analysis',
-        duration: Math.round(totalDuration)
+      window.debug.log('Auto-tune applied', {
+        ...candidate.settings,
+        columns: this.gridConfig.columns,
+        rows: this.gridConfig.rows,
+        score: candidate.score
       });
     }
 
-    return results;
+    return options;
+  }
+
+  /**
+   * Turn manual grid correction in the editor on or off.
+   * Edits update this.gridConfig; run analyze({gridConfig: this.gridConfig})
+   * to split along the edited grid.
+   *
+   * @param {boolean} enabled - Whether editing is on
+   * @param {Function} onChange - Optional callback receiving the edited GridConfig
+   */
+  setGridEditing(enabled, onChange) {
+    if (!this.editorView) {
+      throw new Error('No image loaded');
+    }
+
+    if (onChange) {
+      this.onGridChange = onChange;
+    }
+
+    this.editorView.setEditMode(enabled, this.gridConfig, (gridConfig) => {
+      this.gridConfig = gridConfig;
+
+      if (window.debug) {
+        window.debug.log('Grid edited', {
+          horizontalSlices: gridConfig.horizontalSlices,
+          verticalSlices: gridConfig.verticalSlices
+        });
+      }
+
+      if (this.onGridChange) this.onGridChange(gridConfig);
+    });
   }
 
   /**
@@ -303,12 +300,11 @@ class ImageGridAnalyzer {
 
     const startTime = performance.now();
 
-    // Combine grid lines and cells for export
-    const allComponents = [...this.gridLineComponents, ...this.components];
-
-    const pngBlobs = await exportToPNG(allComponents);
-    const jsonOutput = exportToJSON(this.gridConfig, allComponents);
-    const cssOutput = exportToCSS(this.components); // Only cells get CSS
+    const exports = await exportAnalysis({
+      gridConfig: this.gridConfig,
+      components: this.components,
+      gridLineComponents: this.gridLineComponents
+    }, this.options);
 
     const duration = performance.now() - startTime;
 
@@ -318,65 +314,50 @@ class ImageGridAnalyzer {
         duration: Math.round(duration)
       });
       window.debug.log('Export complete', {
-        pngCount: pngBlobs.length,
-        jsonSize: jsonOutput.length,
-        cssSize: cssOutput.length
+        pngCount: exports.pngBlobs.length,
+        jsonSize: exports.json.length,
+        cssSize: exports.css.length
       });
     }
 
-    return {
-      pngBlobs,
-      json: jsonOutput,
-      css: cssOutput,
-      gridConfig: this.gridConfig,
-      components: this.components
-    };
+    return exports;
   }
 }
 
 /**
- * Calculate nine-slice border widths from shape analysis.
+ * Draw an image onto a canvas and read its pixels.
  *
- * @param {ImageData} imageData - Image data
- * @param {Object} shapeAnalysis - Shape analysis results
- * @returns {Object|null} - Nine-slice borders {top, right, bottom, left}
+ * @param {HTMLImageElement} image - Source image
+ * @returns {ImageData} - Image pixels
  */
-function calculateNineSliceBorders(imageData, shapeAnalysis) {
-  const { width, height } = imageData;
+function getSourceImageData(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
 
-  if (shapeAnalysis.isEmpty) {
-    return null;
-  }
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(image, 0, 0);
 
-  // Find the safe zone (stretchable area)
-  const bounds = shapeAnalysis.bounds;
-
-  // Default: use 1/4 of dimensions for borders
-  const defaultBorder = Math.min(
-    Math.floor(bounds.width / 4),
-    Math.floor(bounds.height / 4),
-    16
-  );
-
-  // Refine based on detected shapes
-  let top = defaultBorder;
-  let right = defaultBorder;
-  let bottom = defaultBorder;
-  let left = defaultBorder;
-
-  // If we detected rounded corners, use the corner radius
-  for (const shape of shapeAnalysis.shapes) {
-    if (shape.type === 'rounded-rectangle' && shape.cornerRadius > 0) {
-      const radius = shape.cornerRadius + 2; // Add padding
-      top = Math.max(top, radius);
-      right = Math.max(right, radius);
-      bottom = Math.max(bottom, radius);
-      left = Math.max(left, radius);
-    }
-  }
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
 
-  return { top, right, bottom, left };
+/**
+ * Relay a worker event to the debug server.
+ *
+ * @param {Object} event - Event posted by the analysis worker
+ */
+function relayWorkerEvent(event) {
+  if (!window.debug) return;
+
+  const { type, ...payload } = event;
+  if (type === 'log') {
+    window.debug.log(payload.message, payload.data);
+  } else {
+    window.debug.send(type, payload);
+  }
 }
 
 // Export for use
 export { ImageGridAnalyzer };
+export { analyzeImageData, exportAnalysis } from './pipeline.js';
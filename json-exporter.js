@@ -3,28 +3,48 @@
  * Export slice configuration as JSON.
  */
 
+import { resolveOptions } from './options.js';
+import { formatColor } from './frame-detector.js';
+
 /**
  * Export slice configuration as JSON.
  *
  * @param {GridConfig} gridConfig - Detected grid configuration
  * @param {ProcessedComponent[]} components - Extracted components
+ * @param {Object} options - Options the analysis ran with (recorded for reproducibility)
+ * @param {Object} context - Optional {quantized} palettes from quantizeComponents
  * @returns {string} - JSON string
  */
-export function exportToJSON(gridConfig, components) {
+export function exportToJSON(gridConfig, components, options = {}, context = {}) {
+  const { quantized = null } = context;
+
   const output = {
     version: '1.0.0',
     generated: new Date().toISOString(),
+    options: resolveOptions(options),
 
     grid: {
       rows: gridConfig.rows,
       columns: gridConfig.columns,
       horizontalSlices: gridConfig.horizontalSlices,
-      verticalSlices: gridConfig.verticalSlices
+      verticalSlices: gridConfig.verticalSlices,
+      horizontalConfidence: gridConfig.horizontalLineGroups.map(group => group.confidence),
+      verticalConfidence: gridConfig.verticalLineGroups.map(group => group.confidence),
+      templateFit: gridConfig.templateFit || null,
+      frame: gridConfig.frame ? exportFrame(gridConfig.frame) : null,
+      // Source coordinates are in the straightened image; rotating them by
+      // angle degrees about (centerX, centerY) maps them back (see deskew.js)
+      deskew: gridConfig.deskew || null
     },
 
+    // Palettes the PNGs are indexed with, by name ('sheet' or a component name)
+    palettes: quantized ? exportPalettes(quantized.palettes) : null,
+
     components: components.map(component => ({
       id: component.id,
       name: component.name,
+      parentId: component.parentId || null,
+      children: component.children || [],
 
       source: {
         x: component.sourceX,
@@ -40,6 +60,21 @@ export function exportToJSON(gridConfig, components) {
         left: component.nineSlice.left
       } : null,
 
+      lineStyle: component.lineStyle ? {
+        style: component.lineStyle.style,
+        period: component.lineStyle.period,
+        dash: component.lineStyle.dash,
+        colors: component.lineStyle.colors.map(formatColor)
+      } : null,
+
+      shadow: component.shadow ? {
+        offsetX: component.shadow.offsetX,
+        offsetY: component.shadow.offsetY,
+        blur: component.shadow.blur,
+        spread: component.shadow.spread,
+        color: formatColor(component.shadow.color)
+      } : null,
+
       shapes: component.shapes.map(shape => ({
         type: shape.type,
         bounds: { x: shape.x, y: shape.y, width: shape.width, height: shape.height },
@@ -49,10 +84,75 @@ export function exportToJSON(gridConfig, components) {
 
       output: {
         filename: `${component.name}.png`,
-        cssClass: `.ui-${component.name}`
+        cssClass: `.ui-${component.name}`,
+        palette: quantized?.componentPalettes[component.name] || null
       }
-    }))
+    })),
+
+    tree: buildComponentTree(components)
   };
 
   return JSON.stringify(output, null, 2);
 }
+
+/**
+ * Describe the sheet frame per side, with band colors as CSS colors.
+ *
+ * @param {Object} frame - Frame from detectFrame
+ * @returns {Object} - {top, right, bottom, left}, each {width, bands: [{width, color}]}
+ */
+function exportFrame(frame) {
+  const sides = {};
+
+  for (const [side, { width, bands }] of Object.entries(frame)) {
+    sides[side] = {
+      width,
+      bands: bands.map(band => ({ width: band.width, color: formatColor(band.color) }))
+    };
+  }
+
+  return sides;
+}
+
+/**
+ * Describe palettes with their colors as CSS colors.
+ *
+ * @param {Object} palettes - Palettes by name, each {method, colors}
+ * @returns {Object} - Palettes by name, each {method, colors: [string]}
+ */
+function exportPalettes(palettes) {
+  const described = {};
+
+  for (const [name, { method, colors }] of Object.entries(palettes)) {
+    described[name] = { method, colors: colors.map(formatColor) };
+  }
+
+  return described;
+}
+
+/**
+ * Build the parent/child hierarchy of components (nested sub-grids).
+ *
+ * @param {ProcessedComponent[]} components - Extracted components
+ * @returns {Array} - Root nodes {id, name, children: [...]}
+ */
+function buildComponentTree(components) {
+  const nodes = new Map(components.map(component => [
+    component.id,
+    { id: component.id, name: component.name, children: [] }
+  ]));
+  const roots = [];
+
+  for (const component of components) {
+    const node = nodes.get(component.id);
+    const parent = component.parentId ? nodes.get(component.parentId) : null;
+
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
@@ -0,0 +1,270 @@
+/**
+ * Layout Detector Module
+ * Detect components in irregular atlases where parts sit at arbitrary
+ * positions instead of on a grid. Produces the same GridConfig shape as
+ * detectGrid, so the rest of the pipeline consumes it unchanged.
+ */
+
+import { detectBackgroundColor } from './grid-detector.js';
+import { clearTransparentPixels } from './image-data.js';
+import { resolveOptions } from './options.js';
+
+/**
+ * Detect component regions from connected non-background pixels.
+ *
+ * @param {ImageData} imageData - Canvas image data
+ * @param {Object} options - Analysis options (tolerance, minRegionArea, mergeDistance, regionPadding)
+ * @returns {GridConfig} - Layout as a grid configuration with one cell per region
+ */
+export function detectLayout(imageData, options = {}) {
+  const { width, height, data } = clearTransparentPixels(imageData);
+  const { tolerance, minRegionArea, mergeDistance, regionPadding } = resolveOptions(options);
+
+  // Step 1: Mark pixels that differ from the background
+  const background = detectBackgroundColor(data, width, height, tolerance);
+  const mask = createForegroundMask(data, width, height, background, tolerance);
+
+  // Step 2: Label connected regions
+  const regions = labelRegions(mask, width, height);
+
+  // Step 3: Merge fragments that belong together (text + icon, outlines, ...),
+  // then drop specks; merging first keeps small fragments next to a part
+  const merged = mergeNearbyRegions(regions, mergeDistance)
+    .filter(region => region.area >= minRegionArea);
+
+  // Step 4: Pad so background removal sees background around each part
+  const padded = merged.map(region => padRegion(region, regionPadding, width, height));
+
+  // Step 5: Order into synthetic rows and columns
+  const cells = assignRowsAndColumns(padded);
+
+  const rows = cells.length > 0 ? Math.max(...cells.map(cell => cell.row)) + 1 : 0;
+  const columns = cells.length > 0 ? Math.max(...cells.map(cell => cell.col)) + 1 : 0;
+
+  if (globalThis.debug) {
+    globalThis.debug.log('Layout detection details', {
+      imageSize: `${width}×${height}`,
+      background: `rgba(${background.r}, ${background.g}, ${background.b}, ${background.a})`,
+      regionsRaw: regions.length,
+      regionsMerged: merged.length,
+      rows: rows,
+      columns: columns
+    });
+  }
+
+  return {
+    detectionMode: 'regions',
+    columns: columns,
+    rows: rows,
+    horizontalSlices: [],
+    verticalSlices: [],
+    horizontalLineGroups: [],
+    verticalLineGroups: [],
+    cells: cells,
+    gridLineSegments: [],
+    outerBorders: { top: 0, right: 0, bottom: 0, left: 0 }
+  };
+}
+
+/**
+ * Build a mask of pixels that do not match the background color.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} background - Background color {r, g, b, a}
+ * @param {number} tolerance - Color tolerance per channel
+ * @returns {Uint8Array} - 1 for foreground, 0 for background
+ */
+function createForegroundMask(data, width, height, background, tolerance) {
+  const mask = new Uint8Array(width * height);
+
+  for (let i = 0; i < mask.length; i++) {
+    const index = i * 4;
+    const matches = Math.abs(data[index] - background.r) <= tolerance &&
+                    Math.abs(data[index + 1] - background.g) <= tolerance &&
+                    Math.abs(data[index + 2] - background.b) <= tolerance &&
+                    Math.abs(data[index + 3] - background.a) <= tolerance;
+    mask[i] = matches ? 0 : 1;
+  }
+
+  return mask;
+}
+
+/**
+ * Label 8-connected foreground regions.
+ *
+ * @param {Uint8Array} mask - Foreground mask
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Array} - Regions {x, y, width, height, area}
+ */
+function labelRegions(mask, width, height) {
+  const visited = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  const regions = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || visited[start]) continue;
+
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+    let area = 0;
+    let top = 0;
+
+    stack[top++] = start;
+    visited[start] = 1;
+
+    while (top > 0) {
+      const index = stack[--top];
+      const x = index % width;
+      const y = (index - x) / width;
+
+      area++;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+
+          const neighbor = ny * width + nx;
+          if (mask[neighbor] && !visited[neighbor]) {
+            visited[neighbor] = 1;
+            stack[top++] = neighbor;
+          }
+        }
+      }
+    }
+
+    regions.push({ x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1, area });
+  }
+
+  return regions;
+}
+
+/**
+ * Merge regions whose bounding boxes come within a distance of each other.
+ * Repeats until no more merges happen, since a merge can bring a box
+ * within reach of another.
+ *
+ * @param {Array} regions - Regions {x, y, width, height, area}
+ * @param {number} distance - Maximum gap in pixels between merged boxes
+ * @returns {Array} - Merged regions
+ */
+function mergeNearbyRegions(regions, distance) {
+  let boxes = regions.map(region => ({ ...region }));
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    const result = [];
+
+    for (const box of boxes) {
+      const target = result.find(other => boxesWithin(box, other, distance));
+
+      if (target) {
+        const right = Math.max(target.x + target.width, box.x + box.width);
+        const bottom = Math.max(target.y + target.height, box.y + box.height);
+        target.x = Math.min(target.x, box.x);
+        target.y = Math.min(target.y, box.y);
+        target.width = right - target.x;
+        target.height = bottom - target.y;
+        target.area += box.area;
+        changed = true;
+      } else {
+        result.push(box);
+      }
+    }
+
+    boxes = result;
+  }
+
+  return boxes;
+}
+
+/**
+ * Check whether two boxes overlap or are separated by at most distance pixels.
+ *
+ * @param {Object} a - Box {x, y, width, height}
+ * @param {Object} b - Box {x, y, width, height}
+ * @param {number} distance - Allowed gap
+ * @returns {boolean} - True if the boxes are close enough to merge
+ */
+function boxesWithin(a, b, distance) {
+  return a.x <= b.x + b.width + distance &&
+         b.x <= a.x + a.width + distance &&
+         a.y <= b.y + b.height + distance &&
+         b.y <= a.y + a.height + distance;
+}
+
+/**
+ * Grow a region by padding pixels, clamped to the image.
+ *
+ * @param {Object} region - Region {x, y, width, height}
+ * @param {number} padding - Padding in pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} - Padded region
+ */
+function padRegion(region, padding, width, height) {
+  const x = Math.max(0, region.x - padding);
+  const y = Math.max(0, region.y - padding);
+  const right = Math.min(width, region.x + region.width + padding);
+  const bottom = Math.min(height, region.y + region.height + padding);
+
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Turn regions into cells with reading-order row/col indices.
+ * A region joins the current row when its vertical center falls inside the
+ * row's vertical extent; rows are then sorted left to right.
+ *
+ * @param {Array} regions - Regions {x, y, width, height}
+ * @returns {Array} - Cells {type, row, col, x, y, width, height}
+ */
+function assignRowsAndColumns(regions) {
+  const sorted = [...regions].sort((a, b) => (a.y + a.height / 2) - (b.y + b.height / 2));
+  const rows = [];
+
+  for (const region of sorted) {
+    const centerY = region.y + region.height / 2;
+    const row = rows[rows.length - 1];
+
+    if (row && centerY >= row.top && centerY <= row.bottom) {
+      row.regions.push(region);
+      row.top = Math.min(row.top, region.y);
+      row.bottom = Math.max(row.bottom, region.y + region.height);
+    } else {
+      rows.push({ top: region.y, bottom: region.y + region.height, regions: [region] });
+    }
+  }
+
+  const cells = [];
+  rows.forEach((row, rowIndex) => {
+    row.regions
+      .sort((a, b) => a.x - b.x)
+      .forEach((region, colIndex) => {
+        cells.push({
+          type: 'cell',
+          row: rowIndex,
+          col: colIndex,
+          x: region.x,
+          y: region.y,
+          width: region.width,
+          height: region.height
+        });
+      });
+  });
+
+  return cells;
+}
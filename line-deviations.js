@@ -0,0 +1,193 @@
+/**
+ * Line Deviations Module
+ * Measure every row and column of an image in one row-major pass, so grid
+ * detection can test lines for uniformity (or, for transparent sheets,
+ * emptiness) by lookup instead of re-scanning the pixel buffer (and jumping
+ * across memory for each column).
+ * Pixels are read as 32-bit words; equal words are skipped without looking
+ * at their channels.
+ */
+
+/**
+ * Measure how far each row and column strays from its reference color.
+ * Rows are measured across the span's columns and columns across the span's
+ * rows; every row and every column gets a value. A line is uniform within a
+ * tolerance exactly when its deviation is at most that tolerance.
+ * With a limit (and no contrast), a line stops being measured once it
+ * deviates by more than the limit, and its value is then only known to be
+ * above the limit. Lines that are clearly not uniform cost little that way.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - Optional {span, reference, contrast, limit}:
+ *   span {left, right, top, bottom} limits the measured part of each line (default: whole image);
+ *   reference {r, g, b, a} compares with this color instead of each line's first pixel;
+ *   contrast counts neighbor steps larger than this (per channel) as color changes;
+ *   limit is the largest deviation that must be measured exactly
+ * @returns {Object} - {rowDeviation, columnDeviation, rowChanges, columnChanges}; the change counts are null without a contrast
+ */
+export function measureLineDeviations(data, width, height, options = {}) {
+  const { left = 0, right = width, top = 0, bottom = height } = options.span ?? {};
+  const { reference = null, contrast = null } = options;
+  const pixels = pixelWords(data, width * height);
+  const countChanges = contrast !== null;
+  const limit = countChanges ? 255 : options.limit ?? 255;
+
+  const rowDeviation = new Uint8Array(height);
+  const columnDeviation = new Uint8Array(width);
+  const rowChanges = countChanges ? new Uint32Array(height) : null;
+  const columnChanges = countChanges ? new Uint32Array(width) : null;
+
+  // Step 1: Reference word per line
+  const referenceWord = reference ? packColor(reference) : 0;
+  const columnReference = new Int32Array(width);
+  for (let x = 0; x < width; x++) {
+    columnReference[x] = reference ? referenceWord : pixels[top * width + x];
+  }
+
+  // Columns still measured once some went above the limit (null: all of them)
+  let columns = null;
+
+  // Step 2: One pass in memory order. A pixel equal to its left neighbor
+  // changes neither its row's deviation nor its change count, and likewise
+  // for the pixel above and its column, so runs of one color are skipped.
+  for (let y = 0; y < height; y++) {
+    const rowOffset = y * width;
+    const rowReference = reference ? referenceWord : pixels[rowOffset + left];
+    let deviation = 0;
+    let changes = 0;
+
+    for (let index = rowOffset + left, end = rowOffset + right; index < end; index++) {
+      const pixel = pixels[index];
+      const previous = index > rowOffset + left ? pixels[index - 1] : rowReference;
+      if (pixel === previous) continue;
+
+      const difference = channelDifference(pixel, rowReference);
+      if (difference > deviation) deviation = difference;
+      if (deviation > limit) break;
+
+      if (countChanges && index > rowOffset + left && channelDifference(pixel, previous) > contrast) {
+        changes++;
+      }
+    }
+
+    rowDeviation[y] = deviation;
+    if (countChanges) rowChanges[y] = changes;
+
+    if (y < top || y >= bottom) continue;
+
+    let exceeded = false;
+
+    if (columns === null) {
+      for (let x = 0, index = rowOffset; x < width; x++, index++) {
+        const pixel = pixels[index];
+        const above = y > top ? pixels[index - width] : columnReference[x];
+        if (pixel === above) continue;
+
+        const difference = channelDifference(pixel, columnReference[x]);
+        if (difference > columnDeviation[x]) {
+          columnDeviation[x] = difference;
+          if (difference > limit) exceeded = true;
+        }
+
+        if (countChanges && y > top && channelDifference(pixel, above) > contrast) {
+          columnChanges[x]++;
+        }
+      }
+    } else {
+      // Only happens with a limit, so there are no changes to count
+      for (let i = 0; i < columns.length; i++) {
+        const x = columns[i];
+        const pixel = pixels[rowOffset + x];
+        if (pixel === columnReference[x]) continue;
+
+        const difference = channelDifference(pixel, columnReference[x]);
+        if (difference > columnDeviation[x]) {
+          columnDeviation[x] = difference;
+          if (difference > limit) exceeded = true;
+        }
+      }
+    }
+
+    if (exceeded) {
+      columns = (columns ?? Int32Array.from({ length: width }, (_, x) => x))
+        .filter(x => columnDeviation[x] <= limit);
+    }
+  }
+
+  return { rowDeviation, columnDeviation, rowChanges, columnChanges };
+}
+
+/**
+ * Count the visible pixels in every row and column.
+ * A row or column with no visible pixel is a fully transparent gutter.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} threshold - Pixels with at most this alpha count as empty
+ * @returns {Object} - {rowOccupancy, columnOccupancy} as pixel counts
+ */
+export function measureAlphaOccupancy(data, width, height, threshold = 0) {
+  const rowOccupancy = new Uint32Array(height);
+  const columnOccupancy = new Uint32Array(width);
+
+  for (let y = 0, index = 3; y < height; y++) {
+    let occupied = 0;
+
+    for (let x = 0; x < width; x++, index += 4) {
+      if (data[index] > threshold) {
+        occupied++;
+        columnOccupancy[x]++;
+      }
+    }
+
+    rowOccupancy[y] = occupied;
+  }
+
+  return { rowOccupancy, columnOccupancy };
+}
+
+/**
+ * View pixel data as one 32-bit word per pixel.
+ * Data that does not start on a 4-byte boundary (e.g. a pooled Node.js
+ * Buffer) is copied first.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} count - Number of pixels
+ * @returns {Uint32Array} - Pixel words
+ */
+function pixelWords(data, count) {
+  const bytes = data.byteOffset % 4 === 0 ? data : new Uint8Array(data.subarray(0, count * 4));
+  return new Int32Array(bytes.buffer, bytes.byteOffset, count);
+}
+
+/**
+ * Pack a color into a pixel word in the platform's byte order.
+ *
+ * @param {Object} color - Color {r, g, b, a}
+ * @returns {number} - Pixel word
+ */
+function packColor(color) {
+  const bytes = Uint8Array.of(color.r, color.g, color.b, color.a);
+  return new Int32Array(bytes.buffer)[0];
+}
+
+/**
+ * Get the largest channel difference between two pixel words.
+ * The channel order does not matter, so byte order does not either.
+ *
+ * @param {number} a - First pixel word
+ * @param {number} b - Second pixel word
+ * @returns {number} - Largest difference (0-255)
+ */
+function channelDifference(a, b) {
+  let difference = Math.abs((a & 255) - (b & 255));
+  let channel = Math.abs(((a >> 8) & 255) - ((b >> 8) & 255));
+  if (channel > difference) difference = channel;
+  channel = Math.abs(((a >> 16) & 255) - ((b >> 16) & 255));
+  if (channel > difference) difference = channel;
+  channel = Math.abs(((a >> 24) & 255) - ((b >> 24) & 255));
+  return channel > difference ? channel : difference;
+}
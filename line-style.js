@@ -0,0 +1,362 @@
+/**
+ * Line Style Module
+ * Recognize patterned divider lines (dashed, dotted, two-tone) and classify
+ * grid lines by the CSS border style that draws them.
+ */
+
+// Longest repeat (px) still treated as a line pattern rather than cell content
+export const MAX_PERIOD = 16;
+
+// A pattern must repeat at least this often along the line
+const MIN_REPEATS = 3;
+
+// Share of pixels that must match the pixel one period further on;
+// the rest is left for crossing dividers
+const PERIODIC_AGREEMENT = 0.85;
+
+// Color changes per period a real pattern has at least (two for dash + gap)
+const MIN_CHANGES_PER_PERIOD = 1.5;
+
+// Smallest channel step between neighbors that counts as a color change;
+// dash edges are sharp, while blur and scan ripples change gradually
+const CHANGE_CONTRAST = 32;
+
+// Color tolerance when telling the colors of a line apart
+const STYLE_TOLERANCE = 16;
+
+// Widest gap (px) between the two lines of a double line
+const MAX_DOUBLE_GAP = 3;
+
+/**
+ * Find the period of a repeating color pattern along a line.
+ * The line is a strided run of pixels (a row or a column). A period counts
+ * when nearly every pixel matches the one a period further on and the color
+ * changes about as often as a dash-and-gap pattern would, so lines that are
+ * merely uniform with a few crossings do not count.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} start - Index of the first pixel
+ * @param {number} step - Index distance between pixels
+ * @param {number} count - Number of pixels
+ * @param {number} tolerance - Color tolerance per channel
+ * @param {number} knownChanges - Optional color changes along the line, counted at changeContrast(tolerance)
+ * @returns {number} - Shortest period in pixels, or 0 if the line does not repeat
+ */
+export function findLinePeriod(data, start, step, count, tolerance, knownChanges) {
+  const maxPeriod = Math.min(MAX_PERIOD, Math.floor(count / MIN_REPEATS));
+  if (maxPeriod < 2) return 0;
+
+  // Step 1: Count sharp color changes between neighbors
+  let changes = knownChanges;
+  if (changes === undefined) {
+    const contrast = changeContrast(tolerance);
+    changes = 0;
+    for (let i = 1, index = start + step; i < count; i++, index += step) {
+      if (!pixelsMatch(data, index - step, index, contrast)) {
+        changes++;
+      }
+    }
+  }
+
+  // Too few changes for even the longest period
+  if (changes < (count / maxPeriod) * MIN_CHANGES_PER_PERIOD) return 0;
+
+  // Step 2: Try the shortest periods first
+  for (let period = 2; period <= maxPeriod; period++) {
+    if (changes < (count / period) * MIN_CHANGES_PER_PERIOD) continue;
+
+    const comparisons = count - period;
+    const allowed = Math.floor(comparisons * (1 - PERIODIC_AGREEMENT));
+    const offset = period * step;
+    let mismatches = 0;
+
+    for (let i = 0, index = start; i < comparisons; i++, index += step) {
+      if (!pixelsMatch(data, index, index + offset, tolerance) && ++mismatches > allowed) {
+        break;
+      }
+    }
+
+    if (mismatches <= allowed) {
+      return period;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Get the smallest neighbor step that counts as a color change for
+ * findLinePeriod.
+ *
+ * @param {number} tolerance - Color tolerance per channel
+ * @returns {number} - Contrast per channel
+ */
+export function changeContrast(tolerance) {
+  return Math.max(tolerance, CHANGE_CONTRAST);
+}
+
+/**
+ * Check whether a uniform line is only uniform because it runs through the
+ * gaps of patterned lines crossing it. The nearest line of a different look
+ * on either side then has the same color everywhere except where it meets
+ * those patterned lines (the dots or dashes), whereas the neighbors of a
+ * drawn divider differ from it.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} start - Index of the line's first pixel
+ * @param {number[][]} sides - First-pixel indices of the lines on each side, nearest first
+ * @param {number} step - Index distance between pixels along the lines
+ * @param {number} count - Number of pixels
+ * @param {number} tolerance - Color tolerance per channel
+ * @param {Function} isPatterned - (offset) => whether the line crossing at this offset is patterned
+ * @returns {boolean} - True if the line lies in the gaps of patterned lines
+ */
+export function isPatternGap(data, start, sides, step, count, tolerance, isPatterned) {
+  const allowed = count * (1 - PERIODIC_AGREEMENT);
+
+  for (const lines of sides) {
+    for (const line of lines) {
+      const mismatches = [];
+      for (let i = 0, index = line; i < count && mismatches.length <= allowed; i++, index += step) {
+        if (!pixelsMatch(data, start, index, tolerance)) {
+          mismatches.push(i);
+        }
+      }
+
+      // Lines of the same color belong to the same band; look further out
+      if (mismatches.length === 0) continue;
+
+      if (mismatches.length <= allowed && mismatches.every(isPatterned)) {
+        return true;
+      }
+      break;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Join pairs of divider groups that form a double line: two lines of one
+ * color a few pixels apart, with a line of another color in between. The
+ * middle line is usually broken where other dividers cross it, so it is not
+ * found as a divider on its own.
+ *
+ * @param {Array} lineGroups - Line groups {start, end, center, width, confidence}, sorted
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {string} axis - 'horizontal' or 'vertical' (direction the lines run)
+ * @param {number} from - First pixel along the line to look at
+ * @param {number} to - Pixel after the last one to look at
+ * @returns {Array} - Line groups with double lines joined
+ */
+export function joinDoubleLines(lineGroups, data, width, axis, from, to) {
+  const horizontal = axis === 'horizontal';
+  const step = horizontal ? 4 : width * 4;
+  const count = to - from;
+  const lineStart = (position) => (horizontal ? position * width + from : from * width + position) * 4;
+  const lineColor = (position) => dominantColors(data, lineStart(position), step, count)[0];
+  const joined = [];
+
+  for (const group of lineGroups) {
+    const previous = joined[joined.length - 1];
+    const gap = previous ? group.start - previous.end - 1 : 0;
+
+    if (gap >= 1 && gap <= MAX_DOUBLE_GAP && colorDistance(lineColor(previous.end), lineColor(group.start)) <= STYLE_TOLERANCE) {
+      const outer = lineColor(previous.end);
+      let isDouble = true;
+
+      for (let position = previous.end + 1; position < group.start && isDouble; position++) {
+        const inner = lineColor(position);
+        isDouble = colorDistance(inner, outer) > STYLE_TOLERANCE &&
+          colorShare(data, lineStart(position), step, count, inner) >= PERIODIC_AGREEMENT;
+      }
+
+      if (isDouble) {
+        const start = previous.start;
+        const end = group.end;
+        joined[joined.length - 1] = {
+          ...previous,
+          end,
+          center: Math.round((start + end) / 2),
+          width: end - start + 1,
+          confidence: Math.min(previous.confidence, group.confidence)
+        };
+        continue;
+      }
+    }
+
+    joined.push(group);
+  }
+
+  return joined;
+}
+
+/**
+ * Classify a divider line group by how it is drawn.
+ * The line running through the middle of the group decides between a
+ * pattern (dotted when dashes are no longer than the line is thick, dashed
+ * otherwise) and a plain line. Plain lines whose thickness shows two outer
+ * bands of one color around a different one are double lines.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} group - Line group {start, end, width}
+ * @param {string} axis - 'horizontal' or 'vertical' (direction the line runs)
+ * @param {number} from - First pixel along the line to look at
+ * @param {number} to - Pixel after the last one to look at
+ * @returns {Object} - {style: 'solid'|'dashed'|'dotted'|'double', period, dash, colors: [{r, g, b, a}]}
+ */
+export function classifyLineStyle(data, width, height, group, axis, from, to) {
+  const horizontal = axis === 'horizontal';
+  const step = horizontal ? 4 : width * 4;
+  const count = to - from;
+  const lineStart = (position) => (horizontal ? position * width + from : from * width + position) * 4;
+
+  // Step 1: Patterned lines
+  const middle = lineStart(group.start + Math.floor(group.width / 2));
+  const period = findLinePeriod(data, middle, step, count, STYLE_TOLERANCE);
+
+  if (period > 0) {
+    const [first, second] = dominantColors(data, middle, step, count);
+    const size = horizontal ? height : width;
+    const outside = group.start > 0
+      ? dominantColors(data, lineStart(group.start - 1), step, count)[0]
+      : group.end < size - 1 ? dominantColors(data, lineStart(group.end + 1), step, count)[0] : null;
+
+    // The gap is whichever color continues outside the line
+    const [dash, gap] = second && outside && colorDistance(first, outside) < colorDistance(second, outside)
+      ? [second, first]
+      : [first, second];
+    const dashLength = averageRunLength(data, middle, step, count, dash);
+
+    return {
+      style: dashLength <= Math.max(2, group.width) ? 'dotted' : 'dashed',
+      period,
+      dash: dashLength,
+      colors: gap ? [dash, gap] : [dash]
+    };
+  }
+
+  // Step 2: Plain lines; look at the bands across the thickness
+  const bands = [];
+  for (let position = group.start; position <= group.end; position++) {
+    const [color] = dominantColors(data, lineStart(position), step, count);
+    const band = bands[bands.length - 1];
+    if (!band || colorDistance(band, color) > STYLE_TOLERANCE) {
+      bands.push(color);
+    }
+  }
+
+  const outer = bands[0];
+  const isDouble = bands.length >= 3 &&
+    colorDistance(outer, bands[bands.length - 1]) <= STYLE_TOLERANCE &&
+    bands.slice(1, -1).every(band => colorDistance(band, outer) > STYLE_TOLERANCE);
+
+  return isDouble
+    ? { style: 'double', period: 0, dash: 0, colors: [outer, bands[1]] }
+    : { style: 'solid', period: 0, dash: 0, colors: [bands[Math.floor(bands.length / 2)]] };
+}
+
+/**
+ * Check whether two pixels match within tolerance.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} a - Index of the first pixel
+ * @param {number} b - Index of the second pixel
+ * @param {number} tolerance - Maximum difference per channel
+ * @returns {boolean} - True if the pixels match
+ */
+function pixelsMatch(data, a, b, tolerance) {
+  return Math.abs(data[a] - data[b]) <= tolerance &&
+         Math.abs(data[a + 1] - data[b + 1]) <= tolerance &&
+         Math.abs(data[a + 2] - data[b + 2]) <= tolerance &&
+         Math.abs(data[a + 3] - data[b + 3]) <= tolerance;
+}
+
+/**
+ * Get the most common colors along a line, most common first.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} start - Index of the first pixel
+ * @param {number} step - Index distance between pixels
+ * @param {number} count - Number of pixels
+ * @returns {Object[]} - Colors {r, g, b, a}
+ */
+function dominantColors(data, start, step, count) {
+  const buckets = [];
+
+  for (let i = 0, index = start; i < count; i++, index += step) {
+    const color = { r: data[index], g: data[index + 1], b: data[index + 2], a: data[index + 3] };
+    const bucket = buckets.find(other => colorDistance(other.color, color) <= STYLE_TOLERANCE);
+
+    if (bucket) {
+      bucket.count++;
+    } else if (buckets.length < 8) {
+      buckets.push({ color, count: 1 });
+    }
+  }
+
+  return buckets.sort((a, b) => b.count - a.count).map(bucket => bucket.color);
+}
+
+/**
+ * Get the share of pixels along a line that match a color.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} start - Index of the first pixel
+ * @param {number} step - Index distance between pixels
+ * @param {number} count - Number of pixels
+ * @param {Object} color - Color {r, g, b, a}
+ * @returns {number} - Share between 0 and 1
+ */
+function colorShare(data, start, step, count, color) {
+  let matches = 0;
+
+  for (let i = 0, index = start; i < count; i++, index += step) {
+    if (colorDistance(color, { r: data[index], g: data[index + 1], b: data[index + 2], a: data[index + 3] }) <= STYLE_TOLERANCE) {
+      matches++;
+    }
+  }
+
+  return count > 0 ? matches / count : 0;
+}
+
+/**
+ * Measure the average length of the runs of one color along a line.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} start - Index of the first pixel
+ * @param {number} step - Index distance between pixels
+ * @param {number} count - Number of pixels
+ * @param {Object} color - Color {r, g, b, a}
+ * @returns {number} - Average run length in pixels (rounded)
+ */
+function averageRunLength(data, start, step, count, color) {
+  let pixels = 0;
+  let runs = 0;
+  let inRun = false;
+
+  for (let i = 0, index = start; i < count; i++, index += step) {
+    const matches = colorDistance(color, { r: data[index], g: data[index + 1], b: data[index + 2], a: data[index + 3] }) <= STYLE_TOLERANCE;
+    if (matches) {
+      pixels++;
+      if (!inRun) runs++;
+    }
+    inRun = matches;
+  }
+
+  return runs > 0 ? Math.round(pixels / runs) : 0;
+}
+
+/**
+ * Get the largest per-channel difference between two colors.
+ *
+ * @param {Object} a - Color {r, g, b, a}
+ * @param {Object} b - Color {r, g, b, a}
+ * @returns {number} - Largest channel difference
+ */
+function colorDistance(a, b) {
+  return Math.max(Math.abs(a.r - b.r), Math.abs(a.g - b.g), Math.abs(a.b - b.b), Math.abs(a.a - b.a));
+}
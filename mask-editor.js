@@ -0,0 +1,258 @@
+/**
+ * Mask Editor Module
+ * Manual keep/erase mask layer painted in the component inspector.
+ * The layer sits on top of the automatic background mask: kept pixels get
+ * their original color back, erased pixels become transparent (see
+ * applyManualMasks). DOM-free, so brushes, magic-wand selection and
+ * undo/redo work on plain arrays.
+ */
+
+import { decodeMask, encodeMask } from './project.js';
+
+// Undo steps kept per component
+const MAX_HISTORY = 50;
+
+// Distance between brush dabs along a stroke (px)
+const STROKE_STEP = 0.5;
+
+/**
+ * Create a mask layer for a cell, starting from a stored override.
+ * Stored masks of another size are dropped.
+ *
+ * @param {number} width - Cell width
+ * @param {number} height - Cell height
+ * @param {Object} override - Component override with optional keepMask/eraseMask (see project.js)
+ * @returns {Object} - Mask layer {width, height, keep, erase}; keep and erase hold 1 per marked pixel
+ */
+export function createMaskLayer(width, height, override = {}) {
+  const restore = (mask) => (mask && mask.width === width && mask.height === height
+    ? decodeMask(mask)
+    : new Uint8Array(width * height));
+
+  return {
+    width,
+    height,
+    keep: restore(override.keepMask),
+    erase: restore(override.eraseMask)
+  };
+}
+
+/**
+ * Paint a brush stroke into a mask layer.
+ * The brush is a disc centered on the pixel under each point. Painting one
+ * mode clears the other, so the latest stroke wins.
+ *
+ * @param {Object} layer - Mask layer from createMaskLayer
+ * @param {string} mode - 'keep' or 'erase'
+ * @param {Object} from - Stroke start {x, y} in cell pixels
+ * @param {Object} to - Stroke end {x, y} in cell pixels
+ * @param {number} size - Brush diameter (px)
+ */
+export function paintStroke(layer, mode, from, to, size) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const steps = Math.max(1, Math.ceil(length / STROKE_STEP));
+
+  for (let step = 0; step <= steps; step++) {
+    const t = step / steps;
+    paintDab(layer, mode, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, size);
+  }
+}
+
+/**
+ * Select the region around a pixel whose colors are close to it (magic
+ * wand). The region is 4-connected; distance covers alpha as well, so a
+ * click on a transparent pixel selects the transparent area.
+ *
+ * @param {ImageData} imageData - Pixels to select in (the original cell)
+ * @param {number} x - Seed X coordinate
+ * @param {number} y - Seed Y coordinate
+ * @param {number} tolerance - Largest RGBA distance to the seed color
+ * @returns {Uint8Array} - 1 per selected pixel (empty when the seed is outside the image)
+ */
+export function selectSimilarRegion(imageData, x, y, tolerance) {
+  const { width, height, data } = imageData;
+  const selection = new Uint8Array(width * height);
+  const seedX = Math.floor(x);
+  const seedY = Math.floor(y);
+
+  if (seedX < 0 || seedY < 0 || seedX >= width || seedY >= height) {
+    return selection;
+  }
+
+  const seed = (seedY * width + seedX) * 4;
+  const limit = tolerance * tolerance;
+  const similar = (index) => {
+    let distance = 0;
+    for (let channel = 0; channel < 4; channel++) {
+      const difference = data[index * 4 + channel] - data[seed + channel];
+      distance += difference * difference;
+    }
+    return distance <= limit;
+  };
+
+  const stack = [seedY * width + seedX];
+  selection[stack[0]] = 1;
+
+  while (stack.length > 0) {
+    const index = stack.pop();
+    const px = index % width;
+    const py = Math.floor(index / width);
+
+    const neighbors = [];
+    if (px > 0) neighbors.push(index - 1);
+    if (px < width - 1) neighbors.push(index + 1);
+    if (py > 0) neighbors.push(index - width);
+    if (py < height - 1) neighbors.push(index + width);
+
+    for (const neighbor of neighbors) {
+      if (!selection[neighbor] && similar(neighbor)) {
+        selection[neighbor] = 1;
+        stack.push(neighbor);
+      }
+    }
+  }
+
+  return selection;
+}
+
+/**
+ * Mark a selection (e.g. from selectSimilarRegion) in a mask layer.
+ *
+ * @param {Object} layer - Mask layer from createMaskLayer
+ * @param {string} mode - 'keep' or 'erase'
+ * @param {Uint8Array} selection - 1 per selected pixel
+ */
+export function applySelection(layer, mode, selection) {
+  const [target, other] = mode === 'keep' ? [layer.keep, layer.erase] : [layer.erase, layer.keep];
+
+  for (let i = 0; i < selection.length; i++) {
+    if (selection[i]) {
+      target[i] = 1;
+      other[i] = 0;
+    }
+  }
+}
+
+/**
+ * Unmark every pixel of a mask layer.
+ *
+ * @param {Object} layer - Mask layer from createMaskLayer
+ */
+export function clearMaskLayer(layer) {
+  layer.keep.fill(0);
+  layer.erase.fill(0);
+}
+
+/**
+ * Get the override fields that store a mask layer.
+ *
+ * @param {Object} layer - Mask layer from createMaskLayer
+ * @returns {Object} - {keepMask, eraseMask}, encoded, each null when nothing is marked
+ */
+export function maskLayerOverride(layer) {
+  const encode = (mask) => (mask.includes(1) ? encodeMask(mask, layer.width, layer.height) : null);
+
+  return {
+    keepMask: encode(layer.keep),
+    eraseMask: encode(layer.erase)
+  };
+}
+
+/**
+ * Create an undo/redo history for a mask layer.
+ * Call record() before each change (a whole stroke or wand click).
+ *
+ * @param {Object} layer - Mask layer from createMaskLayer
+ * @returns {Object} - History interface
+ */
+export function createMaskHistory(layer) {
+  const undoStack = [];
+  const redoStack = [];
+
+  const snapshot = () => ({ keep: layer.keep.slice(), erase: layer.erase.slice() });
+  const restore = (state) => {
+    layer.keep.set(state.keep);
+    layer.erase.set(state.erase);
+  };
+
+  return {
+    /**
+     * Remember the current masks before a change.
+     */
+    record() {
+      undoStack.push(snapshot());
+      if (undoStack.length > MAX_HISTORY) undoStack.shift();
+      redoStack.length = 0;
+    },
+
+    /**
+     * Go back to the masks before the last change.
+     *
+     * @returns {boolean} - True if there was a change to undo
+     */
+    undo() {
+      if (undoStack.length === 0) return false;
+      redoStack.push(snapshot());
+      restore(undoStack.pop());
+      return true;
+    },
+
+    /**
+     * Redo the last undone change.
+     *
+     * @returns {boolean} - True if there was a change to redo
+     */
+    redo() {
+      if (redoStack.length === 0) return false;
+      undoStack.push(snapshot());
+      restore(redoStack.pop());
+      return true;
+    },
+
+    /**
+     * Check whether undo() would change anything.
+     *
+     * @returns {boolean} - True if there are changes to undo
+     */
+    canUndo() {
+      return undoStack.length > 0;
+    },
+
+    /**
+     * Check whether redo() would change anything.
+     *
+     * @returns {boolean} - True if there are changes to redo
+     */
+    canRedo() {
+      return redoStack.length > 0;
+    }
+  };
+}
+
+/**
+ * Paint one brush disc, centered on the pixel under a point.
+ *
+ * @param {Object} layer - Mask layer
+ * @param {string} mode - 'keep' or 'erase'
+ * @param {number} x - Point X coordinate
+ * @param {number} y - Point Y coordinate
+ * @param {number} size - Brush diameter (px)
+ */
+function paintDab(layer, mode, x, y, size) {
+  const { width, height } = layer;
+  const [target, other] = mode === 'keep' ? [layer.keep, layer.erase] : [layer.erase, layer.keep];
+  const centerX = Math.floor(x);
+  const centerY = Math.floor(y);
+  const radius = Math.max(0, (size - 1) / 2);
+  const reach = Math.ceil(radius);
+
+  for (let py = Math.max(0, centerY - reach); py <= Math.min(height - 1, centerY + reach); py++) {
+    for (let px = Math.max(0, centerX - reach); px <= Math.min(width - 1, centerX + reach); px++) {
+      if ((px - centerX) ** 2 + (py - centerY) ** 2 <= radius * radius + 0.25) {
+        const index = py * width + px;
+        target[index] = 1;
+        other[index] = 0;
+      }
+    }
+  }
+}
@@ -0,0 +1,422 @@
+/**
+ * Options Module
+ * Schema, defaults and validation for analysis and export settings.
+ * Every pipeline stage takes a resolved options object instead of reading
+ * globals, so analyses with different settings can run side by side.
+ */
+
+/**
+ * Option schema. Each entry describes one setting:
+ * type ('number' | 'string' | 'enum' | 'color'), default, range or allowed values,
+ * and a description used for CLI help.
+ */
+export const OPTION_SCHEMA = {
+  // Deskew (straighten rotated scans before detection)
+  deskew: {
+    type: 'enum',
+    default: 'off',
+    values: ['off', 'auto'],
+    description: 'Estimate the rotation of scanned or photographed sheets and straighten them first (drawn dividers are then found statistically)'
+  },
+  maxSkewAngle: {
+    type: 'number',
+    default: 3,
+    min: 0.1,
+    max: 15,
+    description: 'Largest rotation searched when deskewing (degrees)'
+  },
+
+  // Grid detection
+  detectionMode: {
+    type: 'enum',
+    default: 'grid',
+    values: ['grid', 'regions'],
+    description: 'Slice on a grid, or find free-standing parts as connected regions'
+  },
+  tolerance: {
+    type: 'number',
+    default: 5,
+    min: 0,
+    max: 255,
+    integer: true,
+    short: 't',
+    description: 'Grid sensitivity / color tolerance'
+  },
+  dividerMode: {
+    type: 'enum',
+    default: 'line',
+    values: ['line', 'gutter', 'alpha'],
+    description: 'Cells are separated by drawn divider lines, by background gutters, or by fully transparent gutters'
+  },
+  alphaThreshold: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 254,
+    integer: true,
+    description: 'In alpha divider mode, pixels with at most this alpha count as transparent'
+  },
+  dividerDetection: {
+    type: 'enum',
+    default: 'exact',
+    values: ['exact', 'statistical'],
+    description: 'Require every pixel of a divider to match, or score dividers from row/column statistics'
+  },
+  minConfidence: {
+    type: 'number',
+    default: 0.4,
+    min: 0,
+    max: 1,
+    description: 'Statistical dividers scoring below this confidence are ignored'
+  },
+  minXGap: {
+    type: 'number',
+    default: 50,
+    min: 1,
+    max: Infinity,
+    integer: true,
+    description: 'Minimum spacing between vertical divider lines (px, line mode)'
+  },
+  minYGap: {
+    type: 'number',
+    default: 50,
+    min: 1,
+    max: Infinity,
+    integer: true,
+    description: 'Minimum spacing between horizontal divider lines (px, line mode)'
+  },
+  minCellSize: {
+    type: 'number',
+    default: 4,
+    min: 1,
+    max: Infinity,
+    integer: true,
+    description: 'In gutter and alpha divider modes, content narrower than this between two gutters is not a cell (px)'
+  },
+
+  // Grid template (fit a known number of cells)
+  expectedRows: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1000,
+    integer: true,
+    description: 'Fit exactly this many rows (0 = detect freely)'
+  },
+  expectedColumns: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1000,
+    integer: true,
+    description: 'Fit exactly this many columns (0 = detect freely)'
+  },
+  expectedCellWidth: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: Infinity,
+    description: 'Approximate distance between vertical dividers when fitting (px, 0 = unknown)'
+  },
+  expectedCellHeight: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: Infinity,
+    description: 'Approximate distance between horizontal dividers when fitting (px, 0 = unknown)'
+  },
+
+  // Nested grids inside cells
+  subgridDepth: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 4,
+    integer: true,
+    description: 'Levels of nested grids to detect inside cells (0 = off)'
+  },
+  subgridMinGap: {
+    type: 'number',
+    default: 8,
+    min: 1,
+    max: Infinity,
+    integer: true,
+    description: 'Minimum spacing between grid lines inside cells (px)'
+  },
+
+  // Region detection (detectionMode 'regions')
+  minRegionArea: {
+    type: 'number',
+    default: 16,
+    min: 1,
+    max: Infinity,
+    integer: true,
+    description: 'Smallest region kept, in pixels'
+  },
+  mergeDistance: {
+    type: 'number',
+    default: 4,
+    min: 0,
+    max: Infinity,
+    integer: true,
+    description: 'Regions closer than this are merged into one part (px)'
+  },
+  regionPadding: {
+    type: 'number',
+    default: 2,
+    min: 0,
+    max: 64,
+    integer: true,
+    description: 'Background margin kept around each region (px)'
+  },
+
+  // Background removal
+  backgroundRemoval: {
+    type: 'number',
+    default: 30,
+    min: 0,
+    max: 100,
+    short: 'b',
+    description: 'Background/shadow removal aggressiveness'
+  },
+  backgroundModel: {
+    type: 'enum',
+    default: 'auto',
+    values: ['auto', 'solid', 'gradient', 'checker'],
+    description: 'Background behind widgets: one color, a linear or radial gradient, or a two-color checkerboard'
+  },
+  backgroundSource: {
+    type: 'enum',
+    default: 'corners',
+    values: ['corners', 'key'],
+    description: 'Find the background from the cell corners, or remove the key color everywhere it appears'
+  },
+  keyColor: {
+    type: 'color',
+    default: '#FF00FF',
+    description: 'Key color painted behind widgets (#RRGGBB), used when backgroundSource is key'
+  },
+  keyTolerance: {
+    type: 'number',
+    default: 40,
+    min: 0,
+    max: 255,
+    integer: true,
+    description: 'Largest color distance from the key color that is removed'
+  },
+  spillSuppression: {
+    type: 'number',
+    default: 1,
+    min: 0,
+    max: 1,
+    description: 'How much of the key tint is removed from edge pixels (0 = none)'
+  },
+  minHoleArea: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: Infinity,
+    integer: true,
+    description: 'Enclosed background regions of at least this many pixels are removed and reported as holes (0 = keep them)'
+  },
+  mattingWidth: {
+    type: 'number',
+    default: 2,
+    min: 0,
+    max: 8,
+    integer: true,
+    description: 'Width of the antialiased edge band given soft alpha and its true color (px, 0 = hard edges)'
+  },
+  shadowWidth: {
+    type: 'number',
+    default: 3,
+    min: 0,
+    max: 50,
+    integer: true,
+    description: 'Rows scanned for shadows along slice edges (px)'
+  },
+
+  // Shape decomposition
+  lineCoverage: {
+    type: 'number',
+    default: 0.8,
+    min: 0,
+    max: 1,
+    description: 'Fraction of the content a run must span to count as a line'
+  },
+  rectangleFill: {
+    type: 'number',
+    default: 0.95,
+    min: 0,
+    max: 1,
+    description: 'Fraction of opaque pixels for content to count as a rectangle'
+  },
+
+  // Export
+  imageBasePath: {
+    type: 'string',
+    default: 'images/',
+    description: 'Base path for image URLs in the generated CSS'
+  },
+  pngColorType: {
+    type: 'enum',
+    default: 'auto',
+    values: ['auto', 'rgba', 'rgb', 'grayscale', 'grayscale-alpha', 'indexed'],
+    description: 'PNG color type for exported images'
+  },
+  paletteMode: {
+    type: 'enum',
+    default: 'off',
+    values: ['off', 'component', 'sheet'],
+    description: 'Quantize exported images to a palette per component or one shared by the whole sheet, and write indexed PNGs'
+  },
+  paletteSize: {
+    type: 'number',
+    default: 256,
+    min: 2,
+    max: 256,
+    integer: true,
+    description: 'Largest palette; images with more colors are quantized'
+  },
+  quantizer: {
+    type: 'enum',
+    default: 'median-cut',
+    values: ['median-cut', 'kmeans'],
+    description: 'How colors are reduced when there are more than paletteSize: median cut, or median cut refined by k-means'
+  }
+};
+
+const PRESET_VERSION = 1;
+
+/**
+ * Get a fresh copy of the default options.
+ *
+ * @returns {Object} - Default options
+ */
+export function defaultOptions() {
+  const options = {};
+  for (const [name, spec] of Object.entries(OPTION_SCHEMA)) {
+    options[name] = spec.default;
+  }
+  return options;
+}
+
+/**
+ * Validate a single option value against the schema.
+ *
+ * @param {string} name - Option name
+ * @param {*} value - Value to check
+ * @returns {*} - The value (numeric strings are converted to numbers)
+ */
+export function validateOption(name, value) {
+  const spec = OPTION_SCHEMA[name];
+  if (!spec) {
+    throw new Error(`Unknown option "${name}"`);
+  }
+
+  switch (spec.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`Option "${name}" must be a number`);
+      }
+      if (spec.integer && !Number.isInteger(number)) {
+        throw new Error(`Option "${name}" must be an integer`);
+      }
+      if (number < spec.min || number > spec.max) {
+        throw new Error(`Option "${name}" must be between ${spec.min} and ${spec.max}`);
+      }
+      return number;
+    }
+    case 'string':
+      if (typeof value !== 'string') {
+        throw new Error(`Option "${name}" must be a string`);
+      }
+      return value;
+    case 'color':
+      if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+        throw new Error(`Option "${name}" must be a color like #FF00FF`);
+      }
+      return value.toUpperCase();
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        throw new Error(`Option "${name}" must be one of: ${spec.values.join(', ')}`);
+      }
+      return value;
+    default:
+      throw new Error(`Option "${name}" has unknown type "${spec.type}"`);
+  }
+}
+
+/**
+ * Merge overrides onto a base and validate the result.
+ * Undefined values fall back to the base, so partial objects are fine.
+ *
+ * @param {Object} overrides - Options to set
+ * @param {Object} base - Options to start from (defaults when omitted)
+ * @returns {Object} - Complete, validated options
+ */
+export function resolveOptions(overrides = {}, base = defaultOptions()) {
+  const options = { ...base };
+
+  for (const [name, value] of Object.entries(overrides)) {
+    if (value === undefined) continue;
+    options[name] = validateOption(name, value);
+  }
+
+  return options;
+}
+
+/**
+ * Serialize options as a preset.
+ * Only values that differ from the defaults are written, so presets keep
+ * working when new options are added.
+ *
+ * @param {Object} options - Options to save
+ * @param {string} name - Preset name
+ * @returns {string} - Preset JSON
+ */
+export function serializePreset(options, name = 'custom') {
+  return JSON.stringify({ name, version: PRESET_VERSION, options: changedOptions(options) }, null, 2);
+}
+
+/**
+ * Get the options whose values differ from the defaults.
+ *
+ * @param {Object} options - Options (partial objects are resolved first)
+ * @returns {Object} - Changed values keyed by option name
+ */
+export function changedOptions(options) {
+  const resolved = resolveOptions(options);
+  const changed = {};
+
+  for (const [key, spec] of Object.entries(OPTION_SCHEMA)) {
+    if (resolved[key] !== spec.default) {
+      changed[key] = resolved[key];
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Parse a preset produced by serializePreset.
+ *
+ * @param {string|Object} preset - Preset JSON or parsed object
+ * @returns {Object} - {name, options} with complete, validated options
+ */
+export function parsePreset(preset) {
+  const parsed = typeof preset === 'string' ? JSON.parse(preset) : preset;
+
+  if (!parsed || typeof parsed.options !== 'object' || parsed.options === null) {
+    throw new Error('Preset must contain an "options" object');
+  }
+  if (parsed.version > PRESET_VERSION) {
+    throw new Error(`Preset version ${parsed.version} is newer than supported (${PRESET_VERSION})`);
+  }
+
+  return {
+    name: parsed.name || 'custom',
+    options: resolveOptions(parsed.options)
+  };
+}
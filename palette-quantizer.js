@@ -0,0 +1,257 @@
+/**
+ * Palette Quantizer Module
+ * Reduce exported images to a palette, so pixel-art components can be
+ * written as indexed PNGs. Images with at most paletteSize colors keep their
+ * exact colors; others are reduced by median cut, optionally refined by
+ * k-means. Each component gets its own palette, or the whole sheet shares
+ * one.
+ */
+
+import { resolveOptions } from './options.js';
+
+// Most refinement passes k-means runs after median-cut seeding
+const KMEANS_ITERATIONS = 8;
+
+// RGBA channel names by index
+const RGBA = ['r', 'g', 'b', 'a'];
+
+/**
+ * Build the palettes for exporting components.
+ *
+ * @param {ProcessedComponent[]} components - Components to export
+ * @param {Object} options - Export options (paletteMode, paletteSize, quantizer)
+ * @returns {Object|null} - {palettes, componentPalettes}, or null when paletteMode is 'off'; palettes maps a palette name ('sheet' or a component name) to {method, colors}, componentPalettes maps component names to palette names
+ */
+export function quantizeComponents(components, options = {}) {
+  const { paletteMode, paletteSize, quantizer } = resolveOptions(options);
+  if (paletteMode === 'off') {
+    return null;
+  }
+
+  const withPixels = components.filter(component => component.imageData &&
+    component.imageData.width * component.imageData.height > 0);
+  const palettes = {};
+  const componentPalettes = {};
+
+  if (paletteMode === 'sheet') {
+    palettes.sheet = buildPalette(withPixels.map(component => component.imageData), paletteSize, quantizer);
+    for (const component of withPixels) {
+      componentPalettes[component.name] = 'sheet';
+    }
+  } else {
+    for (const component of withPixels) {
+      palettes[component.name] = buildPalette([component.imageData], paletteSize, quantizer);
+      componentPalettes[component.name] = component.name;
+    }
+  }
+
+  if (globalThis.debug) {
+    globalThis.debug.log('Palettes built', {
+      mode: paletteMode,
+      palettes: Object.entries(palettes).map(([name, palette]) => `${name}: ${palette.colors.length} colors (${palette.method})`)
+    });
+  }
+
+  return { palettes, componentPalettes };
+}
+
+/**
+ * Build one palette for a set of images.
+ * Fully transparent pixels share one entry whatever their RGB, and that
+ * entry is never merged with visible colors.
+ *
+ * @param {ImageData[]} images - Images the palette must cover
+ * @param {number} maxColors - Largest palette size (2-256)
+ * @param {string} method - 'median-cut' or 'kmeans', used when the images have more colors
+ * @returns {Object} - {method, colors}; method is 'exact' when no color was merged
+ */
+export function buildPalette(images, maxColors, method = 'median-cut') {
+  const histogram = countColors(images);
+  if (histogram.length <= maxColors) {
+    return { method: 'exact', colors: histogram.map(entry => entry.color) };
+  }
+
+  const transparent = histogram.filter(entry => entry.color.a === 0).map(entry => entry.color);
+  const visible = histogram.filter(entry => entry.color.a > 0);
+
+  let colors = medianCut(visible, maxColors - transparent.length);
+  if (method === 'kmeans') {
+    colors = refineKMeans(visible, colors);
+  }
+
+  return { method, colors: [...transparent, ...colors] };
+}
+
+/**
+ * Count the distinct colors of a set of images.
+ *
+ * @param {ImageData[]} images - Images
+ * @returns {Array} - Entries {color, count}, in order of first appearance
+ */
+function countColors(images) {
+  const counts = new Map();
+
+  for (const { data } of images) {
+    for (let index = 0; index < data.length; index += 4) {
+      const alpha = data[index + 3];
+      const key = alpha === 0
+        ? -1
+        : ((data[index] << 24) | (data[index + 1] << 16) | (data[index + 2] << 8) | alpha) >>> 0;
+
+      const entry = counts.get(key);
+      if (entry) {
+        entry.count++;
+      } else {
+        counts.set(key, {
+          color: alpha === 0
+            ? { r: 0, g: 0, b: 0, a: 0 }
+            : { r: data[index], g: data[index + 1], b: data[index + 2], a: alpha },
+          count: 1
+        });
+      }
+    }
+  }
+
+  return [...counts.values()];
+}
+
+/**
+ * Reduce colors by median cut: the box of colors with the widest channel
+ * range is split at the pixel-weighted median of that channel until there
+ * are enough boxes. Each box becomes its pixel-weighted mean color.
+ *
+ * @param {Array} entries - Color entries {color, count}
+ * @param {number} size - Number of colors wanted
+ * @returns {Array} - Colors {r, g, b, a}
+ */
+function medianCut(entries, size) {
+  const boxes = [measureBox(entries)];
+
+  while (boxes.length < size) {
+    // Step 1: Box with the widest channel range
+    const widest = boxes.reduce((best, box) => (box.range > best.range ? box : best));
+    if (widest.range === 0) break;
+
+    // Step 2: Split it at the weighted median of that channel
+    const { entries: colors, channel } = widest;
+    colors.sort((a, b) => a.color[channel] - b.color[channel]);
+    const total = colors.reduce((sum, entry) => sum + entry.count, 0);
+    let split = 1;
+    for (let seen = colors[0].count; split < colors.length - 1 && seen < total / 2; split++) {
+      seen += colors[split].count;
+    }
+
+    boxes.splice(boxes.indexOf(widest), 1, measureBox(colors.slice(0, split)), measureBox(colors.slice(split)));
+  }
+
+  return boxes.map(box => roundColor(meanColor(box.entries)));
+}
+
+/**
+ * Find the channel along which a box of colors is widest.
+ *
+ * @param {Array} entries - Color entries {color, count}
+ * @returns {Object} - Box {entries, channel, range}
+ */
+function measureBox(entries) {
+  let channel = 'r';
+  let range = 0;
+
+  for (const name of RGBA) {
+    let min = 255;
+    let max = 0;
+    for (const { color } of entries) {
+      min = Math.min(min, color[name]);
+      max = Math.max(max, color[name]);
+    }
+    if (max - min > range) {
+      channel = name;
+      range = max - min;
+    }
+  }
+
+  return { entries, channel, range };
+}
+
+/**
+ * Refine a palette with k-means: every color moves to the pixel-weighted
+ * mean of the colors nearest to it, until nothing changes.
+ *
+ * @param {Array} entries - Color entries {color, count}
+ * @param {Array} seeds - Starting palette (from medianCut)
+ * @returns {Array} - Colors {r, g, b, a}
+ */
+function refineKMeans(entries, seeds) {
+  let centers = seeds.map(color => ({ ...color }));
+  const assignment = new Int32Array(entries.length).fill(-1);
+
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    let changed = false;
+    const clusters = centers.map(() => []);
+
+    entries.forEach((entry, i) => {
+      const nearest = nearestColor(entry.color, centers);
+      if (assignment[i] !== nearest) {
+        assignment[i] = nearest;
+        changed = true;
+      }
+      clusters[nearest].push(entry);
+    });
+
+    if (!changed) break;
+
+    // A center that lost all its colors stays where it is
+    centers = centers.map((center, i) => (clusters[i].length > 0 ? meanColor(clusters[i]) : center));
+  }
+
+  return centers.map(roundColor);
+}
+
+/**
+ * Find the palette entry closest to a color (squared RGBA distance).
+ *
+ * @param {Object} color - Color {r, g, b, a}
+ * @param {Array} palette - Colors {r, g, b, a}
+ * @returns {number} - Index of the nearest entry
+ */
+function nearestColor(color, palette) {
+  let nearest = 0;
+  let bestDistance = Infinity;
+
+  palette.forEach((entry, i) => {
+    const distance = RGBA.reduce((sum, channel) => sum + (color[channel] - entry[channel]) ** 2, 0);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      nearest = i;
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Get the pixel-weighted mean of color entries.
+ *
+ * @param {Array} entries - Color entries {color, count}
+ * @returns {Object} - Unrounded color {r, g, b, a}
+ */
+function meanColor(entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+  const mean = {};
+
+  for (const channel of RGBA) {
+    mean[channel] = entries.reduce((sum, entry) => sum + entry.color[channel] * entry.count, 0) / total;
+  }
+
+  return mean;
+}
+
+/**
+ * Round a color to whole channel values.
+ *
+ * @param {Object} color - Color {r, g, b, a}
+ * @returns {Object} - Color {r, g, b, a}
+ */
+function roundColor(color) {
+  return { r: Math.round(color.r), g: Math.round(color.g), b: Math.round(color.b), a: Math.round(color.a) };
+}
@@ -0,0 +1,615 @@
+/**
+ * Pipeline Module
+ * DOM-free analyze-and-export pipeline.
+ * Takes raw RGBA pixels, so it runs in Node.js build scripts and test suites
+ * as well as in the browser.
+ */
+
+import { createGridConfigFromLineGroups, detectGrid, detectOuterBorders } from './grid-detector.js';
+import { detectLayout } from './layout-detector.js';
+import { splitImage } from './image-splitter.js';
+import { applyManualMasks, removeBackground, removeShadowsAlongSlices, trimTransparentPadding } from './background-remover.js';
+import { decomposeIntoShapes } from './shape-decomposer.js';
+import { extractShadow } from './shadow-extractor.js';
+import { exportToPNG } from './png-exporter.js';
+import { exportToJSON } from './json-exporter.js';
+import { exportToCSS } from './css-exporter.js';
+import { quantizeComponents } from './palette-quantizer.js';
+import { decodePNG, isPNG } from './png-codec.js';
+import { clearTransparentPixels, cloneImageData, cropImageData, toImageData } from './image-data.js';
+import { resolveOptions } from './options.js';
+import { colorsClose, dominantColor, extractFrameImage, frameWidths } from './frame-detector.js';
+import { deskewImage } from './deskew.js';
+import { decodeMask } from './project.js';
+
+// Share of the overall progress bar taken by each stage
+const STAGE_WEIGHTS = {
+  grid: 0.15,
+  split: 0.05,
+  lines: 0.2,
+  cells: 0.6
+};
+
+/**
+ * Analyze an image: detect the grid, split it and process every segment.
+ *
+ * Progress and debug events are reported through the optional context:
+ * onProgress receives {stage, completed, total, fraction} after every stage
+ * step and every processed segment; onEvent receives the same events that are
+ * sent to the debug server, as {type, ...payload} objects.
+ *
+ * A gridConfig in the context (e.g. one corrected in the editor) is used as
+ * is and detection is skipped; only the styles of its lines are classified
+ * against the image.
+ *
+ * With the deskew option set to 'auto', a rotated sheet is straightened before
+ * detection; the angle is kept in gridConfig.deskew, and all coordinates refer
+ * to the straightened image (drawn dividers in it are found statistically,
+ * see detectGrid). A provided gridConfig's angle is reused.
+ *
+ * Per-component overrides in the context (see project.js), keyed by component
+ * id, are applied to the matching cells, so corrections made in the inspector
+ * survive re-analysis.
+ *
+ * @param {ImageData|Object|Uint8Array} source - ImageData, {width, height, data} with RGBA bytes, or PNG file bytes
+ * @param {Object} options - Analysis options (see options.js); missing values use defaults
+ * @param {Object} context - Optional hooks {onProgress, onEvent, signal}, a gridConfig to split with and overrides
+ * @returns {Object} - Analysis results {gridConfig, components, gridLineComponents, options}
+ */
+export function analyzeImageData(source, options = {}, context = {}) {
+  // Transparent pixels all look the same, so give them the same value for every stage
+  let imageData = clearTransparentPixels(isPNG(source) ? decodePNG(source) : toImageData(source));
+  const resolvedOptions = resolveOptions(options);
+  const { onProgress, onEvent, signal, gridConfig: providedGridConfig, overrides = {} } = context;
+  const debug = globalThis.debug;
+  const listening = Boolean(debug || onEvent);
+
+  const emit = (type, payload) => {
+    if (debug) debug.send(type, payload);
+    if (onEvent) onEvent({ type, ...payload });
+  };
+
+  const progress = (stage, completed, total) => {
+    signal?.throwIfAborted();
+    if (!onProgress) return;
+
+    let fraction = 0;
+    for (const [name, weight] of Object.entries(STAGE_WEIGHTS)) {
+      if (name === stage) {
+        fraction += weight * (total > 0 ? completed / total : 1);
+        break;
+      }
+      fraction += weight;
+    }
+
+    onProgress({ stage, completed, total, fraction });
+  };
+
+  // Notify debug server
+  emit('analysis-start', {});
+
+  const startTime = performance.now();
+
+  // Step 1: Detect grid (or free-form regions), unless one was provided
+  progress('grid', 0, 1);
+  const gridStartTime = performance.now();
+
+  // Step 1a: Straighten rotated scans
+  let deskew = null;
+  if (providedGridConfig ? providedGridConfig.deskew : resolvedOptions.deskew === 'auto') {
+    ({ imageData, deskew } = deskewImage(imageData, {
+      angle: providedGridConfig?.deskew.angle,
+      maxAngle: resolvedOptions.maxSkewAngle,
+      tolerance: resolvedOptions.tolerance
+    }));
+  }
+
+  let gridConfig;
+  if (providedGridConfig) {
+    gridConfig = providedGridConfig.detectionMode === 'regions' ? providedGridConfig : {
+      ...providedGridConfig,
+      ...createGridConfigFromLineGroups(
+        providedGridConfig.horizontalLineGroups, providedGridConfig.verticalLineGroups,
+        imageData.width, imageData.height, providedGridConfig.outerBorders, imageData.data
+      )
+    };
+  } else if (resolvedOptions.detectionMode === 'regions') {
+    gridConfig = detectLayout(imageData, resolvedOptions);
+  } else {
+    gridConfig = detectGrid(imageData, resolvedOptions, { resampled: deskew !== null });
+  }
+  if (deskew) {
+    gridConfig.deskew = deskew;
+  }
+  const gridDuration = performance.now() - gridStartTime;
+
+  emit('grid-detected', { data: gridConfig });
+  emit('performance', {
+    operation: 'Grid Detection',
+    duration: Math.round(gridDuration)
+  });
+  progress('grid', 1, 1);
+
+  // Step 2: Split image into grid lines and cells
+  const splitStartTime = performance.now();
+  const splitData = splitImage(imageData, gridConfig);
+  const splitDuration = performance.now() - splitStartTime;
+
+  emit('performance', {
+    operation: 'Image Splitting',
+    duration: Math.round(splitDuration)
+  });
+  progress('split', 1, 1);
+
+  // Step 3: Process grid line segments
+  const lineProcessStartTime = performance.now();
+  const gridLineComponents = [];
+  for (const segment of splitData.gridLines) {
+    const shapes = decomposeIntoShapes(segment.imageData, resolvedOptions);
+
+    gridLineComponents.push({
+      id: segment.id,
+      name: segment.id,
+      type: segment.type,
+      sourceX: segment.x,
+      sourceY: segment.y,
+      width: segment.width,
+      height: segment.height,
+      imageData: segment.imageData,
+      shapes: shapes.shapes,
+      lineStyle: segment.lineStyle,
+      nineSlice: null // Grid lines typically don't use nine-slice
+    });
+    progress('lines', gridLineComponents.length, splitData.gridLines.length);
+  }
+  const lineProcessDuration = performance.now() - lineProcessStartTime;
+
+  emit('performance', {
+    operation: 'Grid Line Processing',
+    duration: Math.round(lineProcessDuration)
+  });
+
+  // Step 4: Process cells
+  const cellProcessStartTime = performance.now();
+  const components = [];
+  for (let i = 0; i < splitData.cells.length; i++) {
+    const cell = splitData.cells[i];
+    const component = processCell(cell, resolvedOptions, overrides[cell.id]);
+    components.push(component);
+
+    // Step 4b: Look for nested grids inside the cell
+    if (resolvedOptions.subgridDepth > 0) {
+      components.push(...processSubgrid(cell, component, resolvedOptions, 1, overrides));
+    }
+
+    progress('cells', i + 1, splitData.cells.length);
+  }
+  const cellProcessDuration = performance.now() - cellProcessStartTime;
+
+  emit('performance', {
+    operation: 'Cell Processing',
+    duration: Math.round(cellProcessDuration)
+  });
+
+  // Step 5: The sheet frame becomes its own nine-slice component
+  const frameComponent = gridConfig.frame ? processFrame(imageData, gridConfig.frame, resolvedOptions) : null;
+  if (frameComponent) {
+    components.push(frameComponent);
+  }
+
+  const totalDuration = performance.now() - startTime;
+
+  // Send complete analysis summary
+  if (listening) {
+    // Count total shapes
+    const totalShapes = [...gridLineComponents, ...components]
+      .reduce((sum, comp) => sum + comp.shapes.length, 0);
+
+    emit('analysis-complete', {
+      data: {
+        gridConfig: {
+          rows: gridConfig.rows,
+          columns: gridConfig.columns,
+          horizontalSlices: gridConfig.horizontalSlices.length,
+          verticalSlices: gridConfig.verticalSlices.length
+        },
+        gridLineComponents: gridLineComponents.map(c => ({
+          id: c.id,
+          type: c.type,
+          width: c.width,
+          height: c.height,
+          shapes: c.shapes.map(s => ({ type: s.type }))
+        })),
+        components: components.map(c => ({
+          id: c.id,
+          name: c.name,
+          width: c.width,
+          height: c.height,
+          shapes: c.shapes.map(s => ({ type: s.type })),
+          nineSlice: c.nineSlice
+        })),
+        totalShapes: totalShapes
+      }
+    });
+  }
+  emit('performance', {
+    operation: 'Total Analysis',
+    duration: Math.round(totalDuration)
+  });
+
+  return {
+    gridConfig,
+    components,
+    gridLineComponents,
+    options: resolvedOptions
+  };
+}
+
+/**
+ * Process a single cell: remove background and shadows, trim padding,
+ * decompose into shapes and calculate nine-slice borders.
+ *
+ * @param {Object} cell - Cell segment from splitImage
+ * @param {Object} options - Analysis options
+ * @param {Object} override - Optional per-component override (see project.js)
+ * @returns {ProcessedComponent} - Processed cell component
+ */
+export function processCell(cell, options = {}, override = {}) {
+  const debug = globalThis.debug;
+  const name = cell.name || `widget-${cell.row}-${cell.col}`;
+
+  // Store original raw cell data BEFORE any processing
+  // This is critical for modal re-processing with delta adjustments
+  const originalCellData = cloneImageData(cell.imageData);
+
+  // Debug: log cell processing start
+  if (debug) {
+    debug.log(`Processing ${cell.id}`, {
+      dimensions: `${cell.width}x${cell.height}`,
+      position: `(${cell.x}, ${cell.y})`
+    });
+  }
+
+  // Remove background and shadows, with the component's corrections
+  const cleanedData = removeCellBackground(cell.imageData, options, override);
+
+  // Trim transparent padding around the component, keeping what was painted as kept
+  const keepMask = decodeCellMask(override.keepMask, cell.width, cell.height);
+  const trimResult = trimTransparentPadding(cleanedData, keepMask);
+
+  // Debug: log trim result
+  if (debug) {
+    debug.log(`${cell.id} trim result`, {
+      isEmpty: trimResult.isEmpty,
+      originalSize: `${cell.width}x${cell.height}`,
+      trimmedSize: `${trimResult.bounds.width}x${trimResult.bounds.height}`,
+      trimmedBounds: trimResult.bounds
+    });
+  }
+
+  // Skip empty components (completely transparent or too small)
+  if (trimResult.isEmpty) {
+    if (debug) {
+      debug.log(`⚠️ Empty component detected: ${name}`);
+    }
+
+    // Still add it but mark as empty so UI can filter it
+    return {
+      id: cell.id,
+      name: name,
+      type: cell.type,
+      row: cell.row,
+      col: cell.col,
+      parentId: cell.parentId || null,
+      depth: cell.depth || 0,
+      children: [],
+      sourceX: cell.x,
+      sourceY: cell.y,
+      width: 0,
+      height: 0,
+      imageData: trimResult.imageData,
+      originalImageData: originalCellData, // Store for modal re-processing
+      shapes: [],
+      nineSlice: null,
+      shadow: null,
+      isEmpty: true
+    };
+  }
+
+  // Describe the removed drop shadow, relative to the trimmed component
+  const shadow = extractShadow(originalCellData, cleanedData, trimResult.bounds, options, {
+    backgroundColor: override.backgroundColor
+  });
+
+  // Use trimmed imageData for shape analysis
+  const shapes = decomposeIntoShapes(trimResult.imageData, options);
+
+  // Calculate nine-slice borders on trimmed image
+  const nineSlice = calculateNineSliceBorders(trimResult.imageData, shapes);
+
+  return {
+    id: cell.id,
+    name: name,
+    type: cell.type,
+    row: cell.row,
+    col: cell.col,
+    parentId: cell.parentId || null,
+    depth: cell.depth || 0,
+    children: [],
+    sourceX: cell.x + trimResult.bounds.x, // Adjust for trimming
+    sourceY: cell.y + trimResult.bounds.y, // Adjust for trimming
+    width: trimResult.bounds.width,        // Use trimmed width
+    height: trimResult.bounds.height,      // Use trimmed height
+    imageData: trimResult.imageData,       // Use trimmed imageData
+    originalImageData: originalCellData,   // Store for modal re-processing
+    shapes: shapes.shapes,
+    nineSlice: nineSlice,
+    shadow: shadow,
+    isEmpty: false
+  };
+}
+
+/**
+ * Remove a cell's background and the shadows along its slice edges, then
+ * apply a per-component override: its own aggressiveness, removal turned
+ * off, a known background color, and manual keep/erase masks. The inspector
+ * calls this too, so its preview matches what re-analysis produces.
+ * Masks drawn for a cell of another size (e.g. after the grid changed) are
+ * skipped.
+ *
+ * @param {ImageData} imageData - Untouched cell pixels
+ * @param {Object} options - Analysis options
+ * @param {Object} override - Per-component override (see project.js)
+ * @returns {ImageData} - Cleaned copy of the cell
+ */
+export function removeCellBackground(imageData, options = {}, override = {}) {
+  const { width, height } = imageData;
+  let cleanedData;
+
+  if (override.removeBackground === false) {
+    cleanedData = cloneImageData(imageData);
+  } else {
+    const cellOptions = override.backgroundRemoval !== undefined
+      ? { ...options, backgroundRemoval: override.backgroundRemoval }
+      : options;
+    cleanedData = removeBackground(imageData, cellOptions, { backgroundColor: override.backgroundColor });
+    removeShadowsAlongSlices(cleanedData, [0, height - 1], cellOptions);
+  }
+
+  // Manual masks go on top of the automatic result
+  const keepMask = decodeCellMask(override.keepMask, width, height);
+  const eraseMask = decodeCellMask(override.eraseMask, width, height);
+
+  if (keepMask || eraseMask) {
+    applyManualMasks(cleanedData, imageData, keepMask, eraseMask);
+  }
+
+  return cleanedData;
+}
+
+/**
+ * Turn the sheet frame into a nine-slice component.
+ * The frame widths are the slices and the inside is transparent.
+ *
+ * @param {ImageData} imageData - Source image
+ * @param {Object} frame - Frame from detectFrame
+ * @param {Object} options - Analysis options (tolerance)
+ * @returns {ProcessedComponent|null} - Frame component, or null without a visible frame on every side
+ */
+export function processFrame(imageData, frame, options = {}) {
+  const { tolerance } = resolveOptions(options);
+  const widths = frameWidths(frame);
+  const sides = Object.values(frame);
+
+  // Only a closed, visible frame makes a useful border image; bands in the
+  // sheet background color (a plain margin) are not a frame
+  const background = dominantColor(imageData.data);
+  const closed = sides.every(side => side.width > 0);
+  const visible = sides.some(side => side.bands.some(band => band.color.a > 0));
+  const distinct = sides.every(side => side.bands.every(band => !colorsClose(band.color, background, tolerance)));
+  if (!closed || !visible || !distinct) {
+    return null;
+  }
+
+  if (globalThis.debug) {
+    globalThis.debug.log('Processing frame', { widths });
+  }
+
+  return {
+    id: 'frame',
+    name: 'frame',
+    type: 'frame',
+    row: null,
+    col: null,
+    parentId: null,
+    depth: 0,
+    children: [],
+    sourceX: 0,
+    sourceY: 0,
+    width: imageData.width,
+    height: imageData.height,
+    imageData: extractFrameImage(imageData, frame),
+    shapes: [],
+    nineSlice: widths,
+    frame: frame,
+    isEmpty: false
+  };
+}
+
+/**
+ * Detect a grid inside a cell and process its sub-cells as nested components.
+ * Recurses until options.subgridDepth levels are reached. Nested ids are
+ * paths (cell-2-3/cell-0-1) and names use "__" (widget-2-3__0-1), so file
+ * names and CSS classes follow the nesting.
+ *
+ * @param {Object} cell - Cell segment (from splitImage or a parent subgrid)
+ * @param {ProcessedComponent} parent - Component produced for the cell; gets its children ids
+ * @param {Object} options - Analysis options
+ * @param {number} depth - Nesting level of the sub-cells (1 = first level)
+ * @param {Object} overrides - Per-component overrides keyed by component id
+ * @returns {ProcessedComponent[]} - All descendant components, depth first
+ */
+export function processSubgrid(cell, parent, options, depth = 1, overrides = {}) {
+  const subgridOptions = {
+    ...options,
+    minXGap: options.subgridMinGap,
+    minYGap: options.subgridMinGap
+  };
+
+  // Remnants of the parent's dividers run along the cell edges and would
+  // interrupt every nested divider, so only look inside them
+  const { width, height, data } = cell.imageData;
+  const borders = detectOuterBorders(data, width, height, options.tolerance);
+  const innerWidth = width - borders.left - borders.right;
+  const innerHeight = height - borders.top - borders.bottom;
+
+  if (innerWidth < 2 || innerHeight < 2) {
+    return [];
+  }
+
+  const inner = cropImageData(cell.imageData, borders.left, borders.top, innerWidth, innerHeight);
+  const subgrid = detectGrid(inner, subgridOptions, { edgeBoundaries: true });
+
+  // A single cell means there is no nested grid
+  if (subgrid.cells.length < 2) {
+    return [];
+  }
+
+  if (globalThis.debug) {
+    globalThis.debug.log(`Subgrid in ${cell.id}`, {
+      depth: depth,
+      grid: `${subgrid.columns}×${subgrid.rows}`
+    });
+  }
+
+  const { cells } = splitImage(inner, subgrid);
+  const descendants = [];
+
+  for (const subcell of cells) {
+    const nestedCell = {
+      ...subcell,
+      id: `${cell.id}/${subcell.id}`,
+      name: `${parent.name}__${subcell.row}-${subcell.col}`,
+      parentId: parent.id,
+      depth: depth,
+      x: cell.x + borders.left + subcell.x,
+      y: cell.y + borders.top + subcell.y
+    };
+
+    const child = processCell(nestedCell, options, overrides[nestedCell.id]);
+    parent.children.push(child.id);
+    descendants.push(child);
+
+    if (depth < options.subgridDepth) {
+      descendants.push(...processSubgrid(nestedCell, child, options, depth + 1, overrides));
+    }
+  }
+
+  return descendants;
+}
+
+/**
+ * Run the exporters over an analysis result.
+ * PNGs are encoded in pure JS, so this needs no canvas either.
+ *
+ * @param {Object} analysis - Result of analyzeImageData {gridConfig, components, gridLineComponents}
+ * @param {Object} options - Export options (defaults to the options the analysis ran with)
+ * @returns {Promise<Object>} - Export results {pngBlobs, json, css, gridConfig, components}
+ */
+export async function exportAnalysis(analysis, options = analysis.options) {
+  const { gridConfig, components, gridLineComponents } = analysis;
+  const resolvedOptions = resolveOptions(options);
+
+  // Combine grid lines and cells for export
+  const allComponents = [...gridLineComponents, ...components];
+
+  // One set of palettes for all exporters, so a sheet palette covers grid lines too
+  const quantized = quantizeComponents(allComponents, resolvedOptions);
+
+  const pngBlobs = await exportToPNG(allComponents, resolvedOptions, { quantized });
+  const json = exportToJSON(gridConfig, allComponents, resolvedOptions, { quantized });
+  const css = exportToCSS(components, resolvedOptions, { quantized }); // Only cells get CSS
+
+  return {
+    pngBlobs,
+    json,
+    css,
+    gridConfig,
+    components
+  };
+}
+
+/**
+ * Calculate nine-slice border widths from shape analysis.
+ *
+ * @param {ImageData} imageData - Image data
+ * @param {Object} shapeAnalysis - Shape analysis results
+ * @returns {Object|null} - Nine-slice borders {top, right, bottom, left}
+ */
+export function calculateNineSliceBorders(imageData, shapeAnalysis) {
+  if (shapeAnalysis.isEmpty) {
+    return null;
+  }
+
+  // Find the safe zone (stretchable area)
+  const bounds = shapeAnalysis.bounds;
+
+  // Default: use 1/4 of dimensions for borders
+  const defaultBorder = Math.min(
+    Math.floor(bounds.width / 4),
+    Math.floor(bounds.height / 4),
+    16
+  );
+
+  // Refine based on detected shapes
+  let top = defaultBorder;
+  let right = defaultBorder;
+  let bottom = defaultBorder;
+  let left = defaultBorder;
+
+  // If we detected rounded corners, use the corner radius
+  for (const shape of shapeAnalysis.shapes) {
+    if (shape.type === 'rounded-rectangle' && shape.cornerRadius > 0) {
+      const radius = shape.cornerRadius + 2; // Add padding
+      top = Math.max(top, radius);
+      right = Math.max(right, radius);
+      bottom = Math.max(bottom, radius);
+      left = Math.max(left, radius);
+    }
+  }
+
+  // A frame around a hole: the borders are the ring, so the center slice is the hole
+  const hole = shapeAnalysis.shapes.find(shape => shape.type === 'hole');
+  if (hole) {
+    top = hole.y;
+    left = hole.x;
+    bottom = imageData.height - (hole.y + hole.height);
+    right = imageData.width - (hole.x + hole.width);
+  }
+
+  return { top, right, bottom, left };
+}
+
+/**
+ * Decode an override mask for a cell.
+ *
+ * @param {Object|undefined} mask - Encoded mask from an override
+ * @param {number} width - Cell width
+ * @param {number} height - Cell height
+ * @returns {Uint8Array|null} - Decoded mask, or null when missing or drawn for another size
+ */
+function decodeCellMask(mask, width, height) {
+  if (!mask) return null;
+
+  if (mask.width !== width || mask.height !== height) {
+    if (globalThis.debug) {
+      globalThis.debug.log('Skipping mask drawn for another cell size', {
+        mask: `${mask.width}×${mask.height}`,
+        cell: `${width}×${height}`
+      });
+    }
+    return null;
+  }
+
+  return decodeMask(mask);
+}
@@ -0,0 +1,708 @@
+/**
+ * PNG Codec Module
+ * Dependency-free PNG encoder and decoder.
+ * Supports grayscale, RGB, indexed and alpha color types, every standard bit
+ * depth, tRNS transparency and Adam7 interlacing (decode). Works in browsers,
+ * workers and Node.js without canvas.toBlob.
+ */
+
+import { zlibDeflate, zlibInflate } from './deflate.js';
+import { createImageData } from './image-data.js';
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// PNG color types
+const COLOR_GRAYSCALE = 0;
+const COLOR_RGB = 2;
+const COLOR_INDEXED = 3;
+const COLOR_GRAYSCALE_ALPHA = 4;
+const COLOR_RGBA = 6;
+
+const CHANNELS = {
+  [COLOR_GRAYSCALE]: 1,
+  [COLOR_RGB]: 3,
+  [COLOR_INDEXED]: 1,
+  [COLOR_GRAYSCALE_ALPHA]: 2,
+  [COLOR_RGBA]: 4
+};
+
+const COLOR_TYPE_NAMES = {
+  grayscale: COLOR_GRAYSCALE,
+  rgb: COLOR_RGB,
+  indexed: COLOR_INDEXED,
+  'grayscale-alpha': COLOR_GRAYSCALE_ALPHA,
+  rgba: COLOR_RGBA
+};
+
+// Adam7 passes: [startX, startY, stepX, stepY]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+/**
+ * Check whether bytes start with the PNG signature.
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes - File contents
+ * @returns {boolean} - True if the data looks like a PNG file
+ */
+export function isPNG(bytes) {
+  const view = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+  if (!ArrayBuffer.isView(view) || view.length < PNG_SIGNATURE.length) return false;
+  return PNG_SIGNATURE.every((value, i) => view[i] === value);
+}
+
+// ============================================================================
+// Decoding
+// ============================================================================
+
+/**
+ * Decode a PNG file into RGBA pixels.
+ * 16-bit samples are reduced to 8 bits.
+ *
+ * @param {Uint8Array|ArrayBuffer} input - PNG file contents
+ * @returns {ImageData} - Decoded image (ImageData-like outside the browser)
+ */
+export function decodePNG(input) {
+  const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+
+  if (!isPNG(bytes)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const { header, palette, transparency, compressed } = readChunks(bytes);
+  const { width, height, bitDepth, colorType, interlace } = header;
+
+  const channels = CHANNELS[colorType];
+  if (!channels) {
+    throw new Error(`Unsupported PNG color type ${colorType}`);
+  }
+  if (colorType === COLOR_INDEXED && !palette) {
+    throw new Error('Indexed PNG is missing its PLTE chunk');
+  }
+
+  const raw = zlibInflate(compressed);
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  const expandPass = (passWidth, passHeight, offset, place) => {
+    const stride = Math.ceil(passWidth * bitsPerPixel / 8);
+    const pixels = unfilter(raw, offset, stride, passHeight, bytesPerPixel);
+    const samples = new Uint16Array(channels);
+
+    for (let y = 0; y < passHeight; y++) {
+      for (let x = 0; x < passWidth; x++) {
+        readPixelSamples(pixels, y * stride, x, channels, bitDepth, samples);
+        writeRGBA(data, place(x, y), samples, colorType, bitDepth, palette, transparency);
+      }
+    }
+
+    return offset + (stride + 1) * passHeight;
+  };
+
+  if (interlace === 0) {
+    expandPass(width, height, 0, (x, y) => (y * width + x) * 4);
+  } else {
+    let offset = 0;
+    for (const [startX, startY, stepX, stepY] of ADAM7_PASSES) {
+      const passWidth = Math.ceil((width - startX) / stepX);
+      const passHeight = Math.ceil((height - startY) / stepY);
+      if (passWidth <= 0 || passHeight <= 0) continue;
+
+      offset = expandPass(passWidth, passHeight, offset,
+        (x, y) => ((startY + y * stepY) * width + startX + x * stepX) * 4);
+    }
+  }
+
+  return createImageData(data, width, height);
+}
+
+/**
+ * Walk the chunk list, verifying CRCs and collecting what the decoder needs.
+ *
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {Object} - {header, palette, transparency, compressed}
+ */
+function readChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const idat = [];
+  let header = null;
+  let palette = null;
+  let transparency = null;
+
+  for (let offset = PNG_SIGNATURE.length; offset + 12 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const dataStart = offset + 8;
+    const dataEnd = dataStart + length;
+
+    if (dataEnd + 4 > bytes.length) {
+      throw new Error(`PNG chunk ${type} is truncated`);
+    }
+    if (crc32(bytes.subarray(offset + 4, dataEnd)) !== view.getUint32(dataEnd)) {
+      throw new Error(`PNG chunk ${type} has a bad CRC`);
+    }
+
+    const chunk = bytes.subarray(dataStart, dataEnd);
+
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(dataStart),
+        height: view.getUint32(dataStart + 4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset = dataEnd + 4;
+  }
+
+  if (!header) {
+    throw new Error('PNG is missing its IHDR chunk');
+  }
+  if (idat.length === 0) {
+    throw new Error('PNG has no image data');
+  }
+
+  const totalLength = idat.reduce((sum, chunk) => sum + chunk.length, 0);
+  const compressed = new Uint8Array(totalLength);
+  let position = 0;
+  for (const chunk of idat) {
+    compressed.set(chunk, position);
+    position += chunk.length;
+  }
+
+  return { header, palette, transparency, compressed };
+}
+
+/**
+ * Reverse the per-scanline filters of one (sub)image.
+ *
+ * @param {Uint8Array} raw - Inflated data
+ * @param {number} offset - Offset of the first filter byte
+ * @param {number} stride - Bytes per scanline (without filter byte)
+ * @param {number} height - Number of scanlines
+ * @param {number} bpp - Bytes per complete pixel (at least 1)
+ * @returns {Uint8Array} - Unfiltered scanlines
+ */
+function unfilter(raw, offset, stride, height, bpp) {
+  const out = new Uint8Array(stride * height);
+
+  if (offset + (stride + 1) * height > raw.length) {
+    throw new Error('PNG image data is truncated');
+  }
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[offset + y * (stride + 1)];
+    const src = offset + y * (stride + 1) + 1;
+    const row = y * stride;
+    const prior = row - stride;
+
+    switch (filter) {
+      case 0:
+        out.set(raw.subarray(src, src + stride), row);
+        break;
+      case 1:
+        for (let x = 0; x < stride; x++) {
+          out[row + x] = raw[src + x] + (x >= bpp ? out[row + x - bpp] : 0);
+        }
+        break;
+      case 2:
+        for (let x = 0; x < stride; x++) {
+          out[row + x] = raw[src + x] + (y > 0 ? out[prior + x] : 0);
+        }
+        break;
+      case 3:
+        for (let x = 0; x < stride; x++) {
+          const left = x >= bpp ? out[row + x - bpp] : 0;
+          const up = y > 0 ? out[prior + x] : 0;
+          out[row + x] = raw[src + x] + ((left + up) >> 1);
+        }
+        break;
+      case 4:
+        for (let x = 0; x < stride; x++) {
+          const left = x >= bpp ? out[row + x - bpp] : 0;
+          const up = y > 0 ? out[prior + x] : 0;
+          const upLeft = y > 0 && x >= bpp ? out[prior + x - bpp] : 0;
+          out[row + x] = raw[src + x] + paeth(left, up, upLeft);
+        }
+        break;
+      default:
+        throw new Error(`Invalid PNG filter type ${filter}`);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Read the samples of pixel x from an unfiltered scanline.
+ */
+function readPixelSamples(pixels, rowStart, x, channels, bitDepth, samples) {
+  if (bitDepth === 8) {
+    const start = rowStart + x * channels;
+    for (let c = 0; c < channels; c++) samples[c] = pixels[start + c];
+  } else if (bitDepth === 16) {
+    const start = rowStart + x * channels * 2;
+    for (let c = 0; c < channels; c++) samples[c] = (pixels[start + c * 2] << 8) | pixels[start + c * 2 + 1];
+  } else {
+    // Sub-byte depths only occur with a single channel
+    const bitOffset = x * bitDepth;
+    const byte = pixels[rowStart + (bitOffset >> 3)];
+    const shift = 8 - bitDepth - (bitOffset & 7);
+    samples[0] = (byte >> shift) & ((1 << bitDepth) - 1);
+  }
+}
+
+/**
+ * Convert one pixel's samples to RGBA.
+ */
+function writeRGBA(data, index, samples, colorType, bitDepth, palette, transparency) {
+  const toByte = (value) => {
+    if (bitDepth === 8) return value;
+    if (bitDepth === 16) return value >> 8;
+    return Math.round(value * 255 / ((1 << bitDepth) - 1));
+  };
+
+  switch (colorType) {
+    case COLOR_GRAYSCALE: {
+      const gray = toByte(samples[0]);
+      data[index] = data[index + 1] = data[index + 2] = gray;
+      data[index + 3] = transparency && samples[0] === ((transparency[0] << 8) | transparency[1]) ? 0 : 255;
+      break;
+    }
+    case COLOR_RGB:
+      data[index] = toByte(samples[0]);
+      data[index + 1] = toByte(samples[1]);
+      data[index + 2] = toByte(samples[2]);
+      data[index + 3] = transparency &&
+        samples[0] === ((transparency[0] << 8) | transparency[1]) &&
+        samples[1] === ((transparency[2] << 8) | transparency[3]) &&
+        samples[2] === ((transparency[4] << 8) | transparency[5]) ? 0 : 255;
+      break;
+    case COLOR_INDEXED: {
+      const entry = samples[0];
+      data[index] = palette[entry * 3];
+      data[index + 1] = palette[entry * 3 + 1];
+      data[index + 2] = palette[entry * 3 + 2];
+      data[index + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+      break;
+    }
+    case COLOR_GRAYSCALE_ALPHA: {
+      const gray = toByte(samples[0]);
+      data[index] = data[index + 1] = data[index + 2] = gray;
+      data[index + 3] = toByte(samples[1]);
+      break;
+    }
+    case COLOR_RGBA:
+      data[index] = toByte(samples[0]);
+      data[index + 1] = toByte(samples[1]);
+      data[index + 2] = toByte(samples[2]);
+      data[index + 3] = toByte(samples[3]);
+      break;
+  }
+}
+
+// ============================================================================
+// Encoding
+// ============================================================================
+
+/**
+ * Encode RGBA pixels as a PNG file.
+ *
+ * With colorType 'auto' the smallest lossless representation is chosen:
+ * grayscale when every pixel is gray, indexed (with tRNS) for up to 256
+ * distinct colors, otherwise RGB or RGBA. Pass palette and indices to write
+ * pre-quantized indexed images.
+ *
+ * @param {ImageData} imageData - Image data {width, height, data}
+ * @param {Object} options - Encoder options
+ * @param {string} options.colorType - 'auto', 'rgba', 'rgb', 'grayscale', 'grayscale-alpha' or 'indexed'
+ * @param {Array} options.palette - Palette colors [{r, g, b, a}] for indexed output
+ * @param {Uint8Array} options.indices - Palette index per pixel for indexed output
+ * @param {string|number} options.filter - 'adaptive' or a fixed filter type 0-4
+ * @param {number} options.level - Compression level 0-9
+ * @returns {Uint8Array} - PNG file contents
+ */
+export function encodePNG(imageData, options = {}) {
+  const { width, height, data } = imageData;
+  const { colorType = 'auto', filter = 'adaptive', level = 6 } = options;
+
+  if (width < 1 || height < 1) {
+    throw new Error('Cannot encode an empty image');
+  }
+
+  const plan = options.palette
+    ? planIndexed(options.palette, options.indices || mapToPalette(data, options.palette))
+    : planEncoding(data, colorType);
+
+  const channels = CHANNELS[plan.colorType];
+  const bitsPerPixel = channels * plan.bitDepth;
+  const stride = Math.ceil(width * bitsPerPixel / 8);
+  const scanlines = packScanlines(data, width, height, stride, plan);
+  const filtered = filterScanlines(scanlines, stride, height, Math.max(1, bitsPerPixel >> 3), plan.colorType === COLOR_INDEXED || plan.bitDepth < 8 ? 0 : filter);
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = plan.bitDepth;
+  header[9] = plan.colorType;
+
+  const chunks = [makeChunk('IHDR', header)];
+
+  if (plan.palette) {
+    const plte = new Uint8Array(plan.palette.length * 3);
+    plan.palette.forEach((color, i) => {
+      plte[i * 3] = color.r;
+      plte[i * 3 + 1] = color.g;
+      plte[i * 3 + 2] = color.b;
+    });
+    chunks.push(makeChunk('PLTE', plte));
+
+    // tRNS only needs entries up to the last non-opaque color
+    let alphaCount = plan.palette.length;
+    while (alphaCount > 0 && plan.palette[alphaCount - 1].a === 255) alphaCount--;
+    if (alphaCount > 0) {
+      chunks.push(makeChunk('tRNS', Uint8Array.from(plan.palette.slice(0, alphaCount), color => color.a)));
+    }
+  }
+
+  chunks.push(makeChunk('IDAT', zlibDeflate(filtered, { level })));
+  chunks.push(makeChunk('IEND', new Uint8Array(0)));
+
+  const totalLength = PNG_SIGNATURE.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const output = new Uint8Array(totalLength);
+  output.set(PNG_SIGNATURE, 0);
+  let offset = PNG_SIGNATURE.length;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  return output;
+}
+
+/**
+ * Decide color type and bit depth for RGBA input.
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {string} requested - Requested color type name or 'auto'
+ * @returns {Object} - Encoding plan {colorType, bitDepth, palette, indices}
+ */
+function planEncoding(data, requested) {
+  if (requested !== 'auto') {
+    const colorType = COLOR_TYPE_NAMES[requested];
+    if (colorType === undefined) {
+      throw new Error(`Unknown PNG color type "${requested}"`);
+    }
+    if (colorType === COLOR_INDEXED) {
+      const exact = collectPalette(data, 256);
+      if (!exact) {
+        throw new Error('Image has more than 256 colors; quantize it before indexed encoding');
+      }
+      return planIndexed(exact.palette, exact.indices);
+    }
+    return { colorType, bitDepth: 8 };
+  }
+
+  let isGray = true;
+  let isOpaque = true;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] !== data[i + 1] || data[i] !== data[i + 2]) isGray = false;
+    if (data[i + 3] !== 255) isOpaque = false;
+    if (!isGray && !isOpaque) break;
+  }
+
+  if (isGray && isOpaque) {
+    return { colorType: COLOR_GRAYSCALE, bitDepth: 8 };
+  }
+
+  const exact = collectPalette(data, 256);
+  if (exact) {
+    return planIndexed(exact.palette, exact.indices);
+  }
+
+  if (isGray) return { colorType: COLOR_GRAYSCALE_ALPHA, bitDepth: 8 };
+  return { colorType: isOpaque ? COLOR_RGB : COLOR_RGBA, bitDepth: 8 };
+}
+
+/**
+ * Build an indexed encoding plan, picking the smallest bit depth that fits.
+ * Transparent entries are moved to the front so tRNS stays short.
+ *
+ * @param {Array} palette - Palette colors [{r, g, b, a}]
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @returns {Object} - Encoding plan
+ */
+function planIndexed(palette, indices) {
+  if (palette.length === 0 || palette.length > 256) {
+    throw new Error('Indexed PNG palettes need between 1 and 256 colors');
+  }
+
+  const order = palette.map((color, index) => index);
+  order.sort((a, b) => (palette[a].a === 255) - (palette[b].a === 255) || a - b);
+
+  const remap = new Uint8Array(palette.length);
+  order.forEach((oldIndex, newIndex) => {
+    remap[oldIndex] = newIndex;
+  });
+
+  const remapped = new Uint8Array(indices.length);
+  for (let i = 0; i < indices.length; i++) {
+    remapped[i] = remap[indices[i]];
+  }
+
+  const bitDepth = palette.length <= 2 ? 1 : palette.length <= 4 ? 2 : palette.length <= 16 ? 4 : 8;
+
+  return {
+    colorType: COLOR_INDEXED,
+    bitDepth,
+    palette: order.map(index => palette[index]),
+    indices: remapped
+  };
+}
+
+/**
+ * Collect the exact set of colors if there are at most maxColors.
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} maxColors - Maximum palette size
+ * @returns {Object|null} - {palette, indices} or null if there are too many colors
+ */
+export function collectPalette(data, maxColors) {
+  const lookup = new Map();
+  const palette = [];
+  const indices = new Uint8Array(data.length / 4);
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  for (let i = 0; i < indices.length; i++) {
+    // Fully transparent pixels all share one entry regardless of RGB
+    const key = data[i * 4 + 3] === 0 ? 0 : view.getUint32(i * 4) || 1;
+    let index = lookup.get(key);
+
+    if (index === undefined) {
+      if (palette.length === maxColors) return null;
+      index = palette.length;
+      lookup.set(key, index);
+      palette.push(data[i * 4 + 3] === 0
+        ? { r: 0, g: 0, b: 0, a: 0 }
+        : { r: data[i * 4], g: data[i * 4 + 1], b: data[i * 4 + 2], a: data[i * 4 + 3] });
+    }
+
+    indices[i] = index;
+  }
+
+  return { palette, indices };
+}
+
+/**
+ * Map every pixel to its nearest palette entry.
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {Array} palette - Palette colors [{r, g, b, a}]
+ * @returns {Uint8Array} - Palette index per pixel
+ */
+function mapToPalette(data, palette) {
+  const indices = new Uint8Array(data.length / 4);
+  const cache = new Map();
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  for (let i = 0; i < indices.length; i++) {
+    const key = view.getUint32(i * 4);
+    let index = cache.get(key);
+
+    if (index === undefined) {
+      let bestDistance = Infinity;
+      index = 0;
+      for (let p = 0; p < palette.length; p++) {
+        const dr = data[i * 4] - palette[p].r;
+        const dg = data[i * 4 + 1] - palette[p].g;
+        const db = data[i * 4 + 2] - palette[p].b;
+        const da = data[i * 4 + 3] - palette[p].a;
+        const distance = dr * dr + dg * dg + db * db + da * da;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          index = p;
+        }
+      }
+      cache.set(key, index);
+    }
+
+    indices[i] = index;
+  }
+
+  return indices;
+}
+
+/**
+ * Pack pixels into unfiltered scanlines for the chosen plan.
+ */
+function packScanlines(data, width, height, stride, plan) {
+  const out = new Uint8Array(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+
+    for (let x = 0; x < width; x++) {
+      const pixel = y * width + x;
+      const src = pixel * 4;
+
+      switch (plan.colorType) {
+        case COLOR_GRAYSCALE:
+          out[row + x] = data[src];
+          break;
+        case COLOR_GRAYSCALE_ALPHA:
+          out[row + x * 2] = data[src];
+          out[row + x * 2 + 1] = data[src + 3];
+          break;
+        case COLOR_RGB:
+          out[row + x * 3] = data[src];
+          out[row + x * 3 + 1] = data[src + 1];
+          out[row + x * 3 + 2] = data[src + 2];
+          break;
+        case COLOR_RGBA:
+          out[row + x * 4] = data[src];
+          out[row + x * 4 + 1] = data[src + 1];
+          out[row + x * 4 + 2] = data[src + 2];
+          out[row + x * 4 + 3] = data[src + 3];
+          break;
+        case COLOR_INDEXED: {
+          const bitOffset = x * plan.bitDepth;
+          out[row + (bitOffset >> 3)] |= plan.indices[pixel] << (8 - plan.bitDepth - (bitOffset & 7));
+          break;
+        }
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Apply scanline filters. In adaptive mode each row uses the filter with
+ * the smallest sum of absolute (signed) residuals, the heuristic from the
+ * PNG specification.
+ *
+ * @param {Uint8Array} scanlines - Unfiltered scanlines
+ * @param {number} stride - Bytes per scanline
+ * @param {number} height - Number of scanlines
+ * @param {number} bpp - Bytes per pixel
+ * @param {string|number} mode - 'adaptive' or filter type 0-4
+ * @returns {Uint8Array} - Filter byte + filtered bytes per row
+ */
+function filterScanlines(scanlines, stride, height, bpp, mode) {
+  const out = new Uint8Array((stride + 1) * height);
+  const candidate = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    const dst = y * (stride + 1);
+    const filters = mode === 'adaptive' ? [0, 1, 2, 3, 4] : [mode];
+    let bestScore = Infinity;
+
+    for (const filter of filters) {
+      let score = 0;
+
+      for (let x = 0; x < stride; x++) {
+        const value = scanlines[row + x];
+        const left = x >= bpp ? scanlines[row + x - bpp] : 0;
+        const up = y > 0 ? scanlines[row - stride + x] : 0;
+        const upLeft = y > 0 && x >= bpp ? scanlines[row - stride + x - bpp] : 0;
+        let predictor = 0;
+
+        if (filter === 1) predictor = left;
+        else if (filter === 2) predictor = up;
+        else if (filter === 3) predictor = (left + up) >> 1;
+        else if (filter === 4) predictor = paeth(left, up, upLeft);
+
+        const residual = (value - predictor) & 0xff;
+        candidate[x] = residual;
+        score += residual < 128 ? residual : 256 - residual;
+        if (score >= bestScore) break;
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        out[dst] = filter;
+        out.set(candidate, dst + 1);
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Paeth predictor from the PNG specification.
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Build a chunk with length prefix and CRC.
+ *
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} payload - Chunk data
+ * @returns {Uint8Array} - Encoded chunk
+ */
+function makeChunk(type, payload) {
+  const chunk = new Uint8Array(payload.length + 12);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, payload.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(payload, 8);
+  view.setUint32(8 + payload.length, crc32(chunk.subarray(4, 8 + payload.length)));
+
+  return chunk;
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks.
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} - Unsigned CRC
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -1,33 +1,36 @@
 /**
  * PNG Exporter Module
  * Export processed components as transparent PNGs.
+ * Encodes with the pure-JS codec, so it works in workers and Node.js too.
+ * Components with a palette (see palette-quantizer.js) are written as
+ * indexed PNGs, every pixel mapped to its nearest palette color.
  */
 
+import { encodePNG } from './png-codec.js';
+import { resolveOptions } from './options.js';
+
 /**
  * Export processed components as transparent PNGs.
  *
  * @param {ProcessedComponent[]} components - Extracted components
+ * @param {Object} options - Export options (pngColorType)
+ * @param {Object} context - Optional {quantized} palettes from quantizeComponents
  * @returns {Promise<Blob[]>} - Array of PNG blobs
  */
-export async function exportToPNG(components) {
+export async function exportToPNG(components, options = {}, context = {}) {
+  const { pngColorType } = resolveOptions(options);
+  const { quantized = null } = context;
   const pngBlobs = [];
 
   for (const component of components) {
-    const canvas = document.createElement('canvas');
-    canvas.width = component.width;
-    canvas.height = component.height;
-
-    const ctx = canvas.getContext('2d');
-    ctx.imageSmoothingEnabled = false; // Preserve pixel art
-    ctx.putImageData(component.imageData, 0, 0);
-
-    const blob = await new Promise(resolve => {
-      canvas.toBlob(resolve, 'image/png');
-    });
+    const paletteName = quantized ? quantized.componentPalettes[component.name] : undefined;
+    const bytes = paletteName
+      ? encodePNG(component.imageData, { palette: quantized.palettes[paletteName].colors })
+      : encodePNG(component.imageData, { colorType: pngColorType });
 
     pngBlobs.push({
       name: component.name,
-      blob: blob,
+      blob: new Blob([bytes], { type: 'image/png' }),
       width: component.width,
       height: component.height
     });
@@ -0,0 +1,236 @@
+/**
+ * Project Module
+ * Save the per-component corrections made in the inspector, so they survive
+ * page reloads and are applied again on every re-analysis.
+ * A project file holds the analysis options and one override per component,
+ * keyed by component id (cell-2-3, cell-2-3/cell-0-1):
+ *
+ *   backgroundRemoval  Removal aggressiveness for this component (0-100)
+ *   backgroundColor    Treat this color as the background {r, g, b, a}
+ *   removeBackground   false keeps the cell's pixels untouched
+ *   keepMask           Pixels restored from the original cell (encodeMask)
+ *   eraseMask          Pixels made transparent (encodeMask)
+ *
+ * Masks are in the coordinates of the untrimmed cell.
+ */
+
+import { changedOptions, resolveOptions, validateOption } from './options.js';
+
+const PROJECT_VERSION = 1;
+
+// localStorage keys are this prefix plus the project key (the image file name)
+const STORAGE_PREFIX = 'auto-slice:project:';
+
+/**
+ * Validate one component override.
+ *
+ * @param {Object} override - Override to check
+ * @returns {Object} - Copy with only the known, valid fields
+ */
+export function validateOverride(override) {
+  if (!override || typeof override !== 'object') {
+    throw new Error('Override must be an object');
+  }
+
+  const valid = {};
+
+  if (override.backgroundRemoval !== undefined) {
+    valid.backgroundRemoval = validateOption('backgroundRemoval', override.backgroundRemoval);
+  }
+
+  if (override.backgroundColor !== undefined && override.backgroundColor !== null) {
+    const { r, g, b, a = 255 } = override.backgroundColor;
+    for (const [channel, value] of Object.entries({ r, g, b, a })) {
+      if (!Number.isInteger(value) || value < 0 || value > 255) {
+        throw new Error(`Override backgroundColor.${channel} must be an integer between 0 and 255`);
+      }
+    }
+    valid.backgroundColor = { r, g, b, a };
+  }
+
+  if (override.removeBackground !== undefined) {
+    if (typeof override.removeBackground !== 'boolean') {
+      throw new Error('Override removeBackground must be true or false');
+    }
+    // Removal is on by default, so only "off" is worth storing
+    if (!override.removeBackground) {
+      valid.removeBackground = false;
+    }
+  }
+
+  for (const name of ['keepMask', 'eraseMask']) {
+    if (override[name] !== undefined && override[name] !== null) {
+      validateMask(override[name], name);
+      valid[name] = override[name];
+    }
+  }
+
+  return valid;
+}
+
+/**
+ * Set or clear the override of one component.
+ *
+ * @param {Object} overrides - Overrides keyed by component id
+ * @param {string} id - Component id
+ * @param {Object|null} override - New override; null or one without fields removes the entry
+ * @returns {Object} - New overrides object (the input is not changed)
+ */
+export function setOverride(overrides, id, override) {
+  const next = { ...overrides };
+  const valid = override ? validateOverride(override) : {};
+
+  if (Object.keys(valid).length > 0) {
+    next[id] = valid;
+  } else {
+    delete next[id];
+  }
+
+  return next;
+}
+
+/**
+ * Serialize a project.
+ * Options are written like presets: only values that differ from the defaults.
+ *
+ * @param {Object} project - {options, overrides}
+ * @param {string} name - Project name
+ * @returns {string} - Project JSON
+ */
+export function serializeProject(project, name = 'untitled') {
+  return JSON.stringify({
+    name,
+    version: PROJECT_VERSION,
+    options: changedOptions(project.options || {}),
+    overrides: project.overrides || {}
+  }, null, 2);
+}
+
+/**
+ * Parse a project produced by serializeProject.
+ *
+ * @param {string|Object} project - Project JSON or parsed object
+ * @returns {Object} - {name, options, overrides} with complete, validated options
+ */
+export function parseProject(project) {
+  const parsed = typeof project === 'string' ? JSON.parse(project) : project;
+
+  if (!parsed || typeof parsed.overrides !== 'object' || parsed.overrides === null) {
+    throw new Error('Project must contain an "overrides" object');
+  }
+  if (parsed.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${parsed.version} is newer than supported (${PROJECT_VERSION})`);
+  }
+
+  const overrides = {};
+  for (const [id, override] of Object.entries(parsed.overrides)) {
+    try {
+      overrides[id] = validateOverride(override);
+    } catch (error) {
+      throw new Error(`Component "${id}": ${error.message}`);
+    }
+  }
+
+  return {
+    name: parsed.name || 'untitled',
+    options: resolveOptions(parsed.options || {}),
+    overrides
+  };
+}
+
+/**
+ * Store a project in the browser's localStorage.
+ * A project without overrides removes the stored entry.
+ *
+ * @param {string} key - Project key (the image file name)
+ * @param {Object} project - {options, overrides}
+ * @param {Storage} storage - Storage to use (defaults to localStorage)
+ */
+export function saveProject(key, project, storage = globalThis.localStorage) {
+  if (Object.keys(project.overrides || {}).length === 0) {
+    storage.removeItem(STORAGE_PREFIX + key);
+    return;
+  }
+
+  storage.setItem(STORAGE_PREFIX + key, serializeProject(project, key));
+}
+
+/**
+ * Read a project stored by saveProject.
+ *
+ * @param {string} key - Project key (the image file name)
+ * @param {Storage} storage - Storage to use (defaults to localStorage)
+ * @returns {Object|null} - Parsed project, or null when none is stored
+ */
+export function loadProject(key, storage = globalThis.localStorage) {
+  const stored = storage.getItem(STORAGE_PREFIX + key);
+  return stored === null ? null : parseProject(stored);
+}
+
+/**
+ * Run-length encode a pixel mask for storage.
+ * Runs alternate between unset and set pixels, starting with unset ones.
+ *
+ * @param {Uint8Array} mask - 1 per selected pixel, row by row
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @returns {Object} - Encoded mask {width, height, runs}
+ */
+export function encodeMask(mask, width, height) {
+  const runs = [];
+  let value = 0;
+  let length = 0;
+
+  for (let i = 0; i < width * height; i++) {
+    const set = mask[i] ? 1 : 0;
+    if (set !== value) {
+      runs.push(length);
+      value = set;
+      length = 0;
+    }
+    length++;
+  }
+  runs.push(length);
+
+  return { width, height, runs };
+}
+
+/**
+ * Decode a mask produced by encodeMask.
+ *
+ * @param {Object} encoded - Encoded mask {width, height, runs}
+ * @returns {Uint8Array} - 1 per selected pixel, row by row
+ */
+export function decodeMask(encoded) {
+  const mask = new Uint8Array(encoded.width * encoded.height);
+  let position = 0;
+
+  encoded.runs.forEach((length, i) => {
+    if (i % 2 === 1) {
+      mask.fill(1, position, position + length);
+    }
+    position += length;
+  });
+
+  return mask;
+}
+
+/**
+ * Check that an encoded mask is well formed.
+ *
+ * @param {Object} mask - Encoded mask {width, height, runs}
+ * @param {string} name - Field name for error messages
+ */
+function validateMask(mask, name) {
+  const { width, height, runs } = mask;
+
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error(`Override ${name} must have a positive integer width and height`);
+  }
+  if (!Array.isArray(runs) || runs.some(length => !Number.isInteger(length) || length < 0)) {
+    throw new Error(`Override ${name} runs must be non-negative integers`);
+  }
+  if (runs.reduce((sum, length) => sum + length, 0) !== width * height) {
+    throw new Error(`Override ${name} runs must cover exactly ${width}×${height} pixels`);
+  }
+}
@@ -0,0 +1,380 @@
+/**
+ * Shadow Extractor Module
+ * Describe the drop shadow that background removal deleted around a
+ * component as CSS box-shadow parameters, so the shadow can be recreated in
+ * CSS (where it scales with the element) instead of being baked into, or
+ * lost from, the sliced image.
+ */
+
+import { fitBackgroundModel, backgroundColorAt, knownBackgroundColor } from './background-model.js';
+import { resolveOptions } from './options.js';
+
+// Weakest shadow opacity that counts as shadow rather than noise
+const MIN_SHADOW_OPACITY = 0.03;
+
+// Farthest distance from the component that is searched for shadow (px)
+const MAX_SHADOW_REACH = 32;
+
+// Search steps for the shadow edge position and softness (px)
+const EDGE_STEP = 0.5;
+const SIGMA_STEP = 0.5;
+
+/**
+ * Estimate a component's drop shadow from the pixels removed around it.
+ *
+ * The shadow is modeled like a CSS box-shadow: the component's box, moved
+ * by an offset, grown by a spread and blurred with a Gaussian (blur radius =
+ * 2 standard deviations). Each side gets an opacity profile running outward
+ * from the component's edge, across the middle half of that side. A blurred
+ * edge fitted to each profile gives where the shadow's edge lies and how soft
+ * it is. Opposite sides then give the offset and spread.
+ *
+ * Removed pixels darker than the expected background are shadow over an
+ * opaque background; over a transparent background their own alpha is.
+ * When the shadow's gradient carries on into the kept pixels at the
+ * component's edge, removal only took its faint outer part and the box
+ * includes the rest. A fit would then describe the wrong shadow, so none is
+ * reported.
+ *
+ * @param {ImageData} originalImageData - Cell before background removal
+ * @param {ImageData} cleanedImageData - Cell after background and shadow removal
+ * @param {Object} bounds - Component bounds within the cell {x, y, width, height}
+ * @param {Object} options - Analysis options (backgroundModel, backgroundSource, keyColor)
+ * @param {Object} context - Optional {backgroundColor}, as given to removeBackground
+ * @returns {Object|null} - Shadow {offsetX, offsetY, blur, spread, color}, or null when no shadow (or only part of one) was removed
+ */
+export function extractShadow(originalImageData, cleanedImageData, bounds, options = {}, context = {}) {
+  const { width, height } = originalImageData;
+  if (bounds.width === 0 || bounds.height === 0) return null;
+
+  // Step 1: Shadow opacity of every removed pixel
+  const resolvedOptions = resolveOptions(options);
+  const model = fitBackgroundModel(
+    originalImageData, resolvedOptions.backgroundModel, knownBackgroundColor(resolvedOptions, context)
+  );
+  const opacity = measureShadowOpacity(originalImageData, cleanedImageData, model);
+
+  // Step 2: Outward profile on each side
+  const right = bounds.x + bounds.width;
+  const bottom = bounds.y + bounds.height;
+  const rows = middleHalf(bounds.y, bounds.height);
+  const columns = middleHalf(bounds.x, bounds.width);
+
+  const profiles = {
+    left: sideProfile(opacity, width, rows, t => bounds.x - 1 - t, bounds.x, false),
+    right: sideProfile(opacity, width, rows, t => right + t, width - right, false),
+    top: sideProfile(opacity, width, columns, t => bounds.y - 1 - t, bounds.y, true),
+    bottom: sideProfile(opacity, width, columns, t => bottom + t, height - bottom, true)
+  };
+
+  const visible = Object.values(profiles).filter(profile => Math.max(0, ...profile) >= MIN_SHADOW_OPACITY);
+  if (visible.length === 0) return null;
+
+  // Step 3: Give up on shadows that were only partly removed
+  const edgeLines = {
+    left: rows.map(y => y * width + bounds.x),
+    right: rows.map(y => y * width + right - 1),
+    top: columns.map(x => bounds.y * width + x),
+    bottom: columns.map(x => (bottom - 1) * width + x)
+  };
+  const partial = Object.entries(profiles).some(([side, profile]) => visible.includes(profile) &&
+    continuesShadow(profile, keptOpacity(originalImageData, cleanedImageData, model, edgeLines[side])));
+  if (partial) {
+    if (globalThis.debug) {
+      globalThis.debug.log('Shadow only partly removed, not extracted');
+    }
+    return null;
+  }
+
+  // Step 4: Shared softness and strength from the sides that show shadow
+  const fits = visible.map(profile => fitBlurredEdge(profile));
+  const sigma = median(fits.map(fit => fit.sigma));
+  const strength = Math.min(1, median(fits.map(fit => fit.alpha)));
+  if (strength < MIN_SHADOW_OPACITY) return null;
+
+  // Step 5: Edge position per side, with softness and strength fixed
+  const edges = {};
+  for (const [side, profile] of Object.entries(profiles)) {
+    edges[side] = visible.includes(profile) ? fitBlurredEdge(profile, sigma, strength).edge : null;
+  }
+
+  // Step 6: Offset and spread from opposite edges
+  const spreads = [['left', 'right'], ['top', 'bottom']]
+    .filter(([near, far]) => edges[near] !== null && edges[far] !== null)
+    .map(([near, far]) => (edges[near] + edges[far]) / 2);
+  const spread = spreads.length > 0 ? spreads.reduce((sum, value) => sum + value, 0) / spreads.length : 0;
+
+  const axisOffset = (near, far) => {
+    if (edges[near] !== null && edges[far] !== null) return (edges[far] - edges[near]) / 2;
+    if (edges[far] !== null) return edges[far] - spread;
+    if (edges[near] !== null) return spread - edges[near];
+    return 0;
+  };
+
+  const shadow = {
+    offsetX: Math.round(axisOffset('left', 'right')),
+    offsetY: Math.round(axisOffset('top', 'bottom')),
+    blur: Math.round(sigma * 2),
+    spread: Math.round(spread),
+    color: shadowColor(originalImageData, opacity, model, strength)
+  };
+
+  if (globalThis.debug) {
+    globalThis.debug.log('Shadow extracted', {
+      ...shadow,
+      color: `rgba(${shadow.color.r}, ${shadow.color.g}, ${shadow.color.b}, ${shadow.color.a})`,
+      visibleSides: Object.keys(edges).filter(side => edges[side] !== null)
+    });
+  }
+
+  return shadow;
+}
+
+/**
+ * Get the shadow opacity of every removed pixel (0 for kept pixels).
+ * Over an opaque background, a shadow darkens the background: the opacity is
+ * the share of its luminance that is missing. Over a transparent background,
+ * the shadow pixel's own alpha is its opacity.
+ *
+ * @param {ImageData} original - Cell before removal
+ * @param {ImageData} cleaned - Cell after removal
+ * @param {Object} model - Background model
+ * @returns {Float32Array} - Opacity per pixel (0-1)
+ */
+function measureShadowOpacity(original, cleaned, model) {
+  const { width, height, data } = original;
+  const opacity = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const index = i * 4;
+      if (cleaned.data[index + 3] !== 0 || data[index + 3] === 0) continue;
+
+      opacity[i] = pixelOpacity(data, index, backgroundColorAt(model, x, y));
+    }
+  }
+
+  return opacity;
+}
+
+/**
+ * Get the shadow opacity a pixel would have: the darkening of an opaque
+ * background, or the pixel's alpha over a transparent one.
+ *
+ * @param {Uint8ClampedArray} data - Pixel data (RGBA)
+ * @param {number} index - Index of the pixel's first channel
+ * @param {Object} background - Expected background color at the pixel {r, g, b, a}
+ * @returns {number} - Opacity (0-1)
+ */
+function pixelOpacity(data, index, background) {
+  if (background.a < 255) {
+    return data[index + 3] / 255;
+  }
+
+  const expected = luminance(background.r, background.g, background.b);
+  if (expected === 0) return 0;
+
+  const darkening = 1 - luminance(data[index], data[index + 1], data[index + 2]) / expected;
+  return Math.min(1, Math.max(0, darkening));
+}
+
+/**
+ * Average the shadow opacity of the kept pixels on a line.
+ *
+ * @param {ImageData} original - Cell before removal
+ * @param {ImageData} cleaned - Cell after removal
+ * @param {Object} model - Background model
+ * @param {number[]} pixels - Pixel positions (y * width + x)
+ * @returns {number|null} - Mean opacity, or null when no pixel on the line was kept
+ */
+function keptOpacity(original, cleaned, model, pixels) {
+  let sum = 0;
+  let count = 0;
+
+  for (const i of pixels) {
+    if (cleaned.data[i * 4 + 3] === 0) continue;
+    sum += pixelOpacity(original.data, i * 4, backgroundColorAt(model, i % original.width, Math.floor(i / original.width)));
+    count++;
+  }
+
+  return count > 0 ? sum / count : null;
+}
+
+/**
+ * Check whether the kept pixels at a side continue its shadow profile: a bit
+ * darker than the removed pixel next to them, by about the profile's own
+ * step. A component's edge is usually far darker or lighter than that.
+ *
+ * @param {number[]} profile - Opacity per distance from the side
+ * @param {number|null} inside - Mean opacity of the kept pixels at the side
+ * @returns {boolean} - True if the shadow runs on into the component
+ */
+function continuesShadow(profile, inside) {
+  if (inside === null || profile.length < 2) return false;
+
+  const step = Math.max(Math.abs(profile[0] - profile[1]), MIN_SHADOW_OPACITY);
+  return inside > profile[0] && inside <= profile[0] + 2 * step;
+}
+
+/**
+ * Average the opacity along lines running outward from one side.
+ *
+ * @param {Float32Array} opacity - Opacity per pixel
+ * @param {number} width - Image width
+ * @param {number[]} across - Positions along the side that are averaged
+ * @param {Function} positionAt - Maps a distance from the side to a row or column
+ * @param {number} room - Pixels between the side and the image edge
+ * @param {boolean} vertical - Whether the profile runs along a column (top/bottom sides)
+ * @returns {number[]} - Mean opacity per distance from the side
+ */
+function sideProfile(opacity, width, across, positionAt, room, vertical) {
+  const length = Math.min(room, MAX_SHADOW_REACH);
+  const profile = [];
+
+  for (let t = 0; t < length; t++) {
+    const position = positionAt(t);
+    let sum = 0;
+    for (const line of across) {
+      sum += vertical ? opacity[position * width + line] : opacity[line * width + position];
+    }
+    profile.push(sum / across.length);
+  }
+
+  return profile;
+}
+
+/**
+ * Fit a blurred edge to an opacity profile: at distance t (pixel centers at
+ * t + 0.5) the opacity is alpha * 0.5 * erfc((t + 0.5 - edge) / (sigma * √2)).
+ * Softness and strength are searched unless given; the strength that fits
+ * best is solved directly for each edge and softness.
+ *
+ * @param {number[]} profile - Opacity per distance from the side
+ * @param {number} fixedSigma - Softness to use (searched when omitted)
+ * @param {number} fixedAlpha - Strength to use (solved when omitted)
+ * @returns {Object} - {edge, sigma, alpha}
+ */
+function fitBlurredEdge(profile, fixedSigma = null, fixedAlpha = null) {
+  const maxSigma = Math.max(SIGMA_STEP, profile.length / 2);
+  const sigmas = [];
+  if (fixedSigma !== null) {
+    sigmas.push(fixedSigma);
+  } else {
+    for (let sigma = SIGMA_STEP; sigma <= maxSigma; sigma += SIGMA_STEP) sigmas.push(sigma);
+  }
+
+  let best = { edge: 0, sigma: sigmas[0], alpha: 0, error: Infinity };
+
+  for (const sigma of sigmas) {
+    // Edges hidden under the component still show as a faint tail
+    for (let edge = -3 * sigma; edge <= profile.length; edge += EDGE_STEP) {
+      const shape = profile.map((_, t) => 0.5 * erfc((t + 0.5 - edge) / (sigma * Math.SQRT2)));
+
+      let alpha = fixedAlpha;
+      if (alpha === null) {
+        const overlap = shape.reduce((sum, value, t) => sum + value * profile[t], 0);
+        const energy = shape.reduce((sum, value) => sum + value * value, 0);
+        alpha = energy > 0 ? overlap / energy : 0;
+      }
+
+      const error = shape.reduce((sum, value, t) => sum + (profile[t] - alpha * value) ** 2, 0);
+      if (error < best.error) {
+        best = { edge, sigma, alpha, error };
+      }
+    }
+  }
+
+  return { edge: best.edge, sigma: best.sigma, alpha: best.alpha };
+}
+
+/**
+ * Estimate the shadow color from its darkest pixels: the color that, laid
+ * over the background at the pixel's opacity, gives the pixel's color.
+ *
+ * @param {ImageData} original - Cell before removal
+ * @param {Float32Array} opacity - Opacity per pixel
+ * @param {Object} model - Background model
+ * @param {number} strength - Shadow strength (0-1)
+ * @returns {Object} - Color {r, g, b, a}
+ */
+function shadowColor(original, opacity, model, strength) {
+  const { width, data } = original;
+  const threshold = Math.max(...opacity) / 2;
+  const total = { r: 0, g: 0, b: 0 };
+  let weight = 0;
+
+  for (let i = 0; i < opacity.length; i++) {
+    const amount = opacity[i];
+    if (amount < threshold || amount === 0) continue;
+
+    const index = i * 4;
+    const background = backgroundColorAt(model, i % width, Math.floor(i / width));
+    const opaque = background.a === 255;
+
+    for (const [channel, offset] of [['r', 0], ['g', 1], ['b', 2]]) {
+      const value = opaque
+        ? background[channel] + (data[index + offset] - background[channel]) / amount
+        : data[index + offset];
+      total[channel] += Math.min(255, Math.max(0, value)) * amount;
+    }
+    weight += amount;
+  }
+
+  return {
+    r: weight > 0 ? Math.round(total.r / weight) : 0,
+    g: weight > 0 ? Math.round(total.g / weight) : 0,
+    b: weight > 0 ? Math.round(total.b / weight) : 0,
+    a: Math.round(strength * 255)
+  };
+}
+
+/**
+ * List the positions in the middle half of a span (at least one).
+ *
+ * @param {number} start - First position
+ * @param {number} length - Span length
+ * @returns {number[]} - Positions
+ */
+function middleHalf(start, length) {
+  const from = start + Math.floor(length / 4);
+  const to = Math.max(from + 1, start + Math.ceil(length * 3 / 4));
+  return Array.from({ length: to - from }, (_, i) => from + i);
+}
+
+/**
+ * Get the median of a list of numbers.
+ *
+ * @param {number[]} values - Values
+ * @returns {number} - Median (the lower middle value for even counts)
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+/**
+ * Relative luminance of a color (Rec. 601 weights).
+ *
+ * @param {number} r - Red
+ * @param {number} g - Green
+ * @param {number} b - Blue
+ * @returns {number} - Luminance (0-255)
+ */
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+/**
+ * Complementary error function (Abramowitz & Stegun 7.1.26, error < 1.5e-7).
+ *
+ * @param {number} x - Argument
+ * @returns {number} - erfc(x)
+ */
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const value = poly * Math.exp(-z * z);
+  return x >= 0 ? value : 2 - value;
+}
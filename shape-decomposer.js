@@ -1,17 +1,22 @@
 /**
  * Shape Decomposition Engine
  * Analyze extracted slices and detect geometric primitives:
- * horizontal lines, vertical lines, rectangles, and rounded rectangles.
+ * horizontal lines, vertical lines, rectangles, rounded rectangles, and
+ * holes (enclosed transparent regions).
  */
 
+import { resolveOptions } from './options.js';
+
 /**
  * Decompose an image slice into geometric primitives.
  *
  * @param {ImageData} imageData - Slice image data
+ * @param {Object} options - Analysis options (lineCoverage, rectangleFill, minHoleArea)
  * @returns {ShapeAnalysis} - Detected shapes and their properties
  */
-export function decomposeIntoShapes(imageData) {
+export function decomposeIntoShapes(imageData, options = {}) {
   const { width, height, data } = imageData;
+  const { lineCoverage, rectangleFill, minHoleArea } = resolveOptions(options);
 
   // Find bounding box of non-transparent content
   const bounds = findContentBounds(imageData);
@@ -26,16 +31,21 @@ export function decomposeIntoShapes(imageData) {
     shapes.push(...roundedRects);
   } else {
     // Check for plain rectangles
-    const rectangles = detectRectangles(imageData, bounds);
+    const rectangles = detectRectangles(imageData, bounds, rectangleFill);
     shapes.push(...rectangles);
   }
 
   // Check for lines
-  const horizontalLines = detectHorizontalLines(imageData, bounds);
-  const verticalLines = detectVerticalLines(imageData, bounds);
+  const horizontalLines = detectHorizontalLines(imageData, bounds, lineCoverage);
+  const verticalLines = detectVerticalLines(imageData, bounds, lineCoverage);
 
   shapes.push(...horizontalLines, ...verticalLines);
 
+  // Transparent regions enclosed by content (frame centers, window panes)
+  if (minHoleArea > 0) {
+    shapes.push(...detectHoles(imageData, minHoleArea));
+  }
+
   return {
     shapes,
     bounds,
@@ -74,14 +84,105 @@ function findContentBounds(imageData) {
   return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
 }
 
+/**
+ * Detect holes: groups of transparent pixels that are not connected to the
+ * image edge through other transparent pixels.
+ *
+ * @param {ImageData} imageData - Image data
+ * @param {number} minArea - Smallest hole reported (px)
+ * @returns {Array} - Array of hole objects, largest first
+ */
+function detectHoles(imageData, minArea) {
+  const { width, height, data } = imageData;
+  const transparent = (index) => data[index * 4 + 3] === 0;
+  const neighbors = (index) => {
+    const x = index % width;
+    const y = Math.floor(index / width);
+    return [
+      x > 0 ? index - 1 : -1,
+      x < width - 1 ? index + 1 : -1,
+      y > 0 ? index - width : -1,
+      y < height - 1 ? index + width : -1
+    ].filter(neighbor => neighbor >= 0);
+  };
+
+  // Step 1: Transparency reachable from the edges is outside, not a hole
+  const visited = new Uint8Array(width * height);
+  const stack = [];
+  for (let i = 0; i < width * height; i++) {
+    const x = i % width;
+    const y = Math.floor(i / width);
+    const onEdge = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+    if (onEdge && transparent(i)) {
+      visited[i] = 1;
+      stack.push(i);
+    }
+  }
+  while (stack.length > 0) {
+    for (const neighbor of neighbors(stack.pop())) {
+      if (!visited[neighbor] && transparent(neighbor)) {
+        visited[neighbor] = 1;
+        stack.push(neighbor);
+      }
+    }
+  }
+
+  // Step 2: Every remaining transparent region is a hole
+  const holes = [];
+  for (let start = 0; start < width * height; start++) {
+    if (visited[start] || !transparent(start)) continue;
+
+    visited[start] = 1;
+    stack.push(start);
+    let area = 0;
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % width;
+      const y = Math.floor(index / width);
+      area++;
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+
+      for (const neighbor of neighbors(index)) {
+        if (!visited[neighbor] && transparent(neighbor)) {
+          visited[neighbor] = 1;
+          stack.push(neighbor);
+        }
+      }
+    }
+
+    if (area >= minArea) {
+      holes.push({
+        type: 'hole',
+        x: minX,
+        y: minY,
+        width: maxX - minX + 1,
+        height: maxY - minY + 1,
+        area: area,
+        color: null
+      });
+    }
+  }
+
+  return holes.sort((a, b) => b.area - a.area);
+}
+
 /**
  * Detect horizontal lines in the image.
  *
  * @param {ImageData} imageData - Image data
  * @param {Object} bounds - Content bounds
+ * @param {number} coverage - Fraction of the content width a run must span
  * @returns {Array} - Array of horizontal line objects
  */
-function detectHorizontalLines(imageData, bounds) {
+function detectHorizontalLines(imageData, bounds, coverage) {
   const { width, data } = imageData;
   const lines = [];
 
@@ -105,7 +206,7 @@ function detectHorizontalLines(imageData, bounds) {
         const lineLength = x - lineStart;
 
         // A horizontal line spans most of the width and is thin
-        if (lineLength > bounds.width * 0.8) {
+        if (lineLength > bounds.width * coverage) {
           lines.push({
             type: 'horizontal-line',
             x: lineStart,
@@ -130,9 +231,10 @@ function detectHorizontalLines(imageData, bounds) {
  *
  * @param {ImageData} imageData - Image data
  * @param {Object} bounds - Content bounds
+ * @param {number} coverage - Fraction of the content height a run must span
  * @returns {Array} - Array of vertical line objects
  */
-function detectVerticalLines(imageData, bounds) {
+function detectVerticalLines(imageData, bounds, coverage) {
   const { width, data } = imageData;
   const lines = [];
 
@@ -155,7 +257,7 @@ function detectVerticalLines(imageData, bounds) {
       } else if ((alpha === 0 || y === bounds.y + bounds.height) && lineStart !== null) {
         const lineLength = y - lineStart;
 
-        if (lineLength > bounds.height * 0.8) {
+        if (lineLength > bounds.height * coverage) {
           lines.push({
             type: 'vertical-line',
             x: x,
@@ -193,14 +295,15 @@ function consolidateLines(lines, type) {
  *
  * @param {ImageData} imageData - Image data
  * @param {Object} bounds - Content bounds
+ * @param {number} minFill - Fraction of opaque pixels required
  * @returns {Array} - Array of rectangle objects
  */
-function detectRectangles(imageData, bounds) {
+function detectRectangles(imageData, bounds, minFill) {
   const { width, data } = imageData;
   const rectangles = [];
 
   // Check if the entire bounds form a rectangle
-  const isRectangle = checkIfRectangle(imageData, bounds);
+  const isRectangle = checkIfRectangle(imageData, bounds, minFill);
 
   if (isRectangle) {
     // Sample dominant color
@@ -225,9 +328,10 @@ function detectRectangles(imageData, bounds) {
  *
  * @param {ImageData} imageData - Image data
  * @param {Object} bounds - Bounds {x, y, width, height}
+ * @param {number} minFill - Fraction of opaque pixels required
  * @returns {boolean} - True if region is a rectangle
  */
-function checkIfRectangle(imageData, bounds) {
+function checkIfRectangle(imageData, bounds, minFill) {
   const { width, data } = imageData;
   let filledPixels = 0;
   let totalPixels = bounds.width * bounds.height;
@@ -239,8 +343,8 @@ function checkIfRectangle(imageData, bounds) {
     }
   }
 
-  // If more than 95% filled, consider it a rectangle
-  return filledPixels / totalPixels > 0.95;
+  // If filled enough (95% by default), consider it a rectangle
+  return filledPixels / totalPixels > minFill;
 }
 
 /**
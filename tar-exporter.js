@@ -17,25 +17,46 @@ import { TarWriter } from './tar-writer.js';
 export async function exportToTar(gridConfig, components, jsonContent, cssContent, pngBlobs) {
   const tar = new TarWriter();
 
+  const files = await collectExportFiles(gridConfig, components, jsonContent, cssContent, pngBlobs);
+  for (const file of files) {
+    tar.addFile(file.path, file.data);
+  }
+
+  // Generate tar archive
+  const tarballData = tar.generate();
+  return new Blob([tarballData], { type: 'application/x-tar' });
+}
+
+/**
+ * Collect every file of the export bundle in archive order.
+ * Shared by the TAR archive and the CLI directory output.
+ * @param {Object} gridConfig - Grid configuration
+ * @param {Array} components - Array of component objects
+ * @param {string} jsonContent - JSON export content
+ * @param {string} cssContent - CSS export content
+ * @param {Array} pngBlobs - Array of {name, blob} objects
+ * @returns {Promise<Array>} - Array of {path, data} entries (data is ArrayBuffer or string)
+ */
+export async function collectExportFiles(gridConfig, components, jsonContent, cssContent, pngBlobs) {
+  const files = [];
+
   // Add images directory and all PNG files
   for (const png of pngBlobs) {
     const arrayBuffer = await png.blob.arrayBuffer();
-    tar.addFile(`images/${png.name}.png`, arrayBuffer);
+    files.push({ path: `images/${png.name}.png`, data: arrayBuffer });
   }
 
   // Add JSON metadata
-  tar.addFile('components.json', jsonContent);
+  files.push({ path: 'components.json', data: jsonContent });
 
   // Add CSS
-  tar.addFile('components.css', cssContent);
+  files.push({ path: 'components.css', data: cssContent });
 
   // Generate and add index.html
   const indexHtml = generateIndexHtml(components, gridConfig);
-  tar.addFile('index.html', indexHtml);
+  files.push({ path: 'index.html', data: indexHtml });
 
-  // Generate tar archive
-  const tarballData = tar.generate();
-  return new Blob([tarballData], { type: 'application/x-tar' });
+  return files;
 }
 
 /**
@@ -306,7 +327,7 @@ function generateComponentCard(comp) {
   // Generate CSS class name with ui- prefix
   let className = isDecal && config.decal.className
     ? config.decal.className
-    : `ui-widget-${comp.row}-${comp.col}`;
+    : `ui-${comp.name}`;
 
   // Ensure ui- prefix for consistency
   if (!className.startsWith('ui-')) {
@@ -374,7 +395,7 @@ function generateComponentCard(comp) {
       </div>
 
       <div class="component-meta">
-        <div class="component-meta-item"><strong>Position:</strong> Row ${comp.row}, Col ${comp.col}</div>
+        <div class="component-meta-item"><strong>Position:</strong> ${comp.type === 'frame' ? 'Sheet frame' : `Row ${comp.row}, Col ${comp.col}${comp.parentId ? ` in ${comp.parentId}` : ''}`}</div>
         <div class="component-meta-item"><strong>Class:</strong> .${className}</div>
         <div class="component-meta-item"><strong>Image:</strong> images/${comp.name}.png</div>
         ${comp.shapes?.length ? `<div class="component-meta-item"><strong>Shapes:</strong> ${comp.shapes.length}</div>` : ''}
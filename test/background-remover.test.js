@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeBackground } from '../background-remover.js';
+import { createImage, fillRect } from './fixtures.js';
+
+const MAGENTA = [255, 0, 255, 255];
+
+const pixelAt = (image, x, y) => Array.from(image.data.slice((y * image.width + x) * 4, (y * image.width + x + 1) * 4));
+
+/**
+ * Draw a gray widget with a magenta window on a magenta key background.
+ *
+ * @param {number[]} edge - Color of the widget's right column
+ * @returns {Object} - Image data
+ */
+function keyedSheet(edge) {
+  const image = createImage(40, 40, MAGENTA);
+  fillRect(image, 10, 10, 20, 20, [128, 128, 128, 255]);
+  fillRect(image, 15, 15, 10, 10, MAGENTA);
+  fillRect(image, 29, 10, 1, 20, edge);
+  return image;
+}
+
+test('antialiased edges get soft alpha and their true color by default', () => {
+  const image = createImage(40, 40);
+  fillRect(image, 10, 10, 20, 20, [40, 60, 120, 255]);
+  // Right edge: one pixel half covered, then one 15% covered, which is
+  // within the background tolerance
+  fillRect(image, 30, 10, 1, 20, [148, 158, 188, 255]);
+  fillRect(image, 31, 10, 1, 20, [223, 226, 235, 255]);
+
+  const result = removeBackground(image);
+  const half = pixelAt(result, 30, 20);
+  const faint = pixelAt(result, 31, 20);
+
+  assert.deepEqual(half.slice(0, 3), [40, 60, 120]);
+  assert.ok(Math.abs(half[3] - 128) <= 2);
+  assert.deepEqual(faint.slice(0, 3), [40, 60, 120]);
+  assert.ok(Math.abs(faint[3] - 38) <= 2);
+  assert.equal(pixelAt(result, 32, 20)[3], 0);
+});
+
+test('edge matting can be turned off', () => {
+  const image = createImage(40, 40);
+  fillRect(image, 10, 10, 20, 20, [40, 60, 120, 255]);
+  fillRect(image, 30, 10, 1, 20, [148, 158, 188, 255]);
+
+  const result = removeBackground(image, { mattingWidth: 0 });
+
+  assert.deepEqual(pixelAt(result, 30, 20), [148, 158, 188, 255]);
+});
+
+test('enclosed background is removed only from holes of at least minHoleArea', () => {
+  const image = createImage(40, 40);
+  fillRect(image, 10, 10, 20, 20, [40, 60, 120, 255]);
+  fillRect(image, 15, 15, 10, 10, [255, 255, 255, 255]);
+  fillRect(image, 11, 11, 2, 2, [255, 255, 255, 255]);
+
+  const kept = removeBackground(image);
+  const removed = removeBackground(image, { minHoleArea: 50 });
+
+  assert.equal(pixelAt(kept, 20, 20)[3], 255);
+  assert.equal(pixelAt(removed, 20, 20)[3], 0);
+  assert.equal(pixelAt(removed, 11, 11)[3], 255);
+});
+
+test('a key color is removed everywhere, also where flood fill cannot reach', () => {
+  const image = keyedSheet([128, 128, 128, 255]);
+
+  const keyed = removeBackground(image, { backgroundSource: 'key' });
+  const sampled = removeBackground(image);
+
+  assert.equal(pixelAt(keyed, 5, 5)[3], 0);
+  assert.equal(pixelAt(keyed, 20, 20)[3], 0);
+  assert.equal(pixelAt(sampled, 20, 20)[3], 255);
+});
+
+test('key spill is taken off edge pixels', () => {
+  const image = keyedSheet([170, 128, 170, 255]);
+
+  const suppressed = removeBackground(image, { backgroundSource: 'key', mattingWidth: 0 });
+  const kept = removeBackground(image, { backgroundSource: 'key', mattingWidth: 0, spillSuppression: 0 });
+
+  assert.deepEqual(pixelAt(suppressed, 29, 20), [128, 128, 128, 255]);
+  assert.deepEqual(pixelAt(kept, 29, 20), [170, 128, 170, 255]);
+  assert.deepEqual(pixelAt(suppressed, 28, 20), [128, 128, 128, 255]);
+});
+
+test('edges blended with the key are matted to the widget color', () => {
+  const result = removeBackground(keyedSheet([192, 64, 192, 255]), { backgroundSource: 'key' });
+  const [r, g, b, a] = pixelAt(result, 29, 20);
+
+  assert.ok([r, g, b].every(value => Math.abs(value - 128) <= 2));
+  assert.ok(Math.abs(a - 128) <= 2);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rotateImageData } from '../deskew.js';
+import { analyzeImageData } from '../pipeline.js';
+import { lineGrid } from './fixtures.js';
+
+const WHITE = { r: 255, g: 255, b: 255, a: 255 };
+
+for (const angle of [1, -1.5, 2]) {
+  test(`a line grid rotated by ${angle}° is straightened and sliced`, () => {
+    const rotated = rotateImageData(lineGrid(), angle, WHITE);
+
+    const { gridConfig, components } = analyzeImageData(rotated, { deskew: 'auto' });
+
+    assert.ok(Math.abs(gridConfig.deskew.angle + angle) < 0.3);
+    assert.equal(gridConfig.columns, 4);
+    assert.equal(gridConfig.rows, 3);
+    assert.equal(components.filter(component => component.type === 'cell').length, 12);
+  });
+}
+
+test('a straight line grid is left alone', () => {
+  const { gridConfig } = analyzeImageData(lineGrid(), { deskew: 'auto' });
+
+  assert.equal(gridConfig.deskew, undefined);
+  assert.deepEqual(gridConfig.verticalSlices, [1, 63, 125, 187, 249]);
+  assert.deepEqual(gridConfig.horizontalSlices, [1, 63, 125, 187]);
+});
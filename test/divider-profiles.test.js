@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitDividers } from '../divider-profiles.js';
+import { detectGrid } from '../grid-detector.js';
+import { analyzeImageData } from '../pipeline.js';
+import { lineStrip } from './fixtures.js';
+
+test('template fitting finds the drawn dividers', () => {
+  const grid = detectGrid(lineStrip(), { expectedColumns: 3, expectedRows: 1 });
+
+  assert.deepEqual(grid.verticalSlices, [1, 63, 125, 187]);
+  assert.equal(grid.cells.length, 3);
+  assert.equal(grid.templateFit.columns.poor, false);
+});
+
+test('fitted dividers stay inside the image and never share a line', () => {
+  const { data, width, height } = lineStrip();
+
+  for (const count of [10, 20, 24]) {
+    const { groups, fit } = fitDividers(data, width, height, 'row', 5, count);
+    const centers = groups.map(group => group.center);
+
+    assert.equal(groups.length, count + 1);
+    assert.ok(centers.every((center, i) => center >= 0 && center <= height && (i === 0 || center > centers[i - 1])));
+    assert.ok(Number.isFinite(fit.residual));
+  }
+});
+
+test('counts the image cannot hold are a poor fit without dividers', () => {
+  const { data, width, height } = lineStrip();
+
+  for (const count of [25, 39, 50]) {
+    const { groups, fit } = fitDividers(data, width, height, 'row', 5, count);
+
+    assert.deepEqual(groups, []);
+    assert.equal(fit.poor, true);
+    assert.equal(fit.residual, 1);
+  }
+});
+
+test('analysis finishes when the expected rows do not fit', () => {
+  const { gridConfig, components } = analyzeImageData(lineStrip(), { expectedRows: 50 });
+
+  assert.equal(gridConfig.cells.length, 0);
+  assert.ok(components.every(component => component.type === 'frame'));
+});
@@ -0,0 +1,159 @@
+/**
+ * Test Fixtures
+ * Small synthetic sheets drawn in memory, so tests need no image files.
+ */
+
+/**
+ * Create a blank image.
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number[]} color - Fill color [r, g, b, a]
+ * @returns {Object} - Image data {width, height, data}
+ */
+export function createImage(width, height, color = [255, 255, 255, 255]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set(color, i * 4);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Fill a rectangle of an image.
+ *
+ * @param {Object} image - Image data
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Rectangle width
+ * @param {number} height - Rectangle height
+ * @param {number[]} color - Fill color [r, g, b, a]
+ * @returns {Object} - The image
+ */
+export function fillRect(image, x, y, width, height, color) {
+  for (let py = y; py < y + height; py++) {
+    for (let px = x; px < x + width; px++) {
+      image.data.set(color, (py * image.width + px) * 4);
+    }
+  }
+  return image;
+}
+
+/**
+ * Draw a sheet of framed widgets separated by background gutters.
+ *
+ * @param {Object} layout - {columns, rows, cell, gap, margin}
+ * @returns {Object} - Image data
+ */
+export function gutterSheet({ columns = 4, rows = 3, cell = 40, gap = 10, margin = 10 } = {}) {
+  const image = createImage(
+    margin * 2 + columns * cell + (columns - 1) * gap,
+    margin * 2 + rows * cell + (rows - 1) * gap
+  );
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = margin + column * (cell + gap);
+      const y = margin + row * (cell + gap);
+      fillRect(image, x, y, cell, cell, [40, 60, 120, 255]);
+      fillRect(image, x + 5, y + 5, cell - 10, cell - 10, [200, 200, 240, 255]);
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Draw a single row of widgets, framed and divided by solid lines.
+ *
+ * @param {Object} layout - {columns, cell, line, height}
+ * @returns {Object} - Image data
+ */
+export function lineStrip({ columns = 3, cell = 60, line = 2, height = 40 } = {}) {
+  const width = columns * (cell + line) + line;
+  const image = createImage(width, height);
+  const black = [0, 0, 0, 255];
+
+  fillRect(image, 0, 0, width, line, black);
+  fillRect(image, 0, height - line, width, line, black);
+  for (let column = 0; column <= columns; column++) {
+    fillRect(image, column * (cell + line), 0, line, height, black);
+  }
+
+  for (let column = 0; column < columns; column++) {
+    const x = line + column * (cell + line);
+    fillRect(image, x + 8, 10, cell - 16, height - 20, [40, 60, 120, 255]);
+    fillRect(image, x + 14, 14, cell - 28, height - 28, [200, 200, 240, 255]);
+  }
+
+  return image;
+}
+
+/**
+ * Draw a sheet of widgets in a grid of solid lines that runs to the image edges.
+ *
+ * @param {Object} layout - {columns, rows, cell, line}
+ * @returns {Object} - Image data
+ */
+export function lineGrid({ columns = 4, rows = 3, cell = 60, line = 2 } = {}) {
+  const width = columns * (cell + line) + line;
+  const height = rows * (cell + line) + line;
+  const image = createImage(width, height);
+  const black = [0, 0, 0, 255];
+
+  for (let column = 0; column <= columns; column++) {
+    fillRect(image, column * (cell + line), 0, line, height, black);
+  }
+  for (let row = 0; row <= rows; row++) {
+    fillRect(image, 0, row * (cell + line), width, line, black);
+  }
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      fillRect(image, line + column * (cell + line) + 15, line + row * (cell + line) + 15, cell - 30, cell - 30, [200, 60, 60, 255]);
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Draw one widget with a blurred black drop shadow on a white background.
+ *
+ * @param {Object} shadow - {offsetX, offsetY, sigma, alpha}; sigma is the blur's standard deviation
+ * @returns {Object} - Image data
+ */
+export function shadowSheet({ offsetX = 4, offsetY = 5, sigma = 2, alpha = 0.4 } = {}) {
+  const image = createImage(100, 100);
+  const box = { x: 30, y: 30, width: 40, height: 30 };
+
+  // Share of a blurred span [from, to) that covers the pixel centered at p
+  const coverage = (p, from, to) => 0.5 * (erf((to - p) / (sigma * Math.SQRT2)) - erf((from - p) / (sigma * Math.SQRT2)));
+
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const opacity = alpha *
+        coverage(x + 0.5, box.x + offsetX, box.x + offsetX + box.width) *
+        coverage(y + 0.5, box.y + offsetY, box.y + offsetY + box.height);
+      const value = Math.round(255 * (1 - opacity));
+      image.data.set([value, value, value, 255], (y * image.width + x) * 4);
+    }
+  }
+
+  fillRect(image, box.x, box.y, box.width, box.height, [40, 60, 120, 255]);
+  fillRect(image, box.x + 5, box.y + 5, box.width - 10, box.height - 10, [200, 200, 240, 255]);
+  return image;
+}
+
+/**
+ * Error function (Abramowitz & Stegun 7.1.26).
+ *
+ * @param {number} x - Argument
+ * @returns {number} - erf(x)
+ */
+function erf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const value = 1 - poly * Math.exp(-x * x);
+  return x >= 0 ? value : -value;
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGridConfigFromLineGroups, detectGrid } from '../grid-detector.js';
+import { gutterSheet, lineStrip } from './fixtures.js';
+
+test('gutter mode finds small cells with default settings', () => {
+  const grid = detectGrid(gutterSheet({ columns: 6, rows: 4, cell: 24, gap: 6, margin: 6 }), { dividerMode: 'gutter' });
+
+  assert.equal(grid.columns, 6);
+  assert.equal(grid.rows, 4);
+});
+
+test('gutters cut cells but are not exported as line segments', () => {
+  const grid = detectGrid(gutterSheet(), { dividerMode: 'gutter' });
+
+  assert.equal(grid.cells.length, 12);
+  assert.deepEqual(grid.gridLineSegments, []);
+});
+
+test('background next to a divider does not widen it', () => {
+  const grid = detectGrid(lineStrip());
+  const lines = grid.gridLineSegments.filter(segment => segment.type === 'vertical-line');
+
+  assert.deepEqual(grid.verticalSlices, [1, 63, 125, 187]);
+  assert.deepEqual(lines.map(segment => segment.width), [2, 2, 2, 2]);
+});
+
+test('frame peeling stops at the background', () => {
+  const { frame } = detectGrid(gutterSheet({ margin: 10 }), { dividerMode: 'gutter' });
+
+  assert.deepEqual([frame.top.width, frame.right.width, frame.bottom.width, frame.left.width], [0, 0, 0, 0]);
+});
+
+test('line groups at the same position make one slice', () => {
+  const group = (center, width = 0) => ({ start: center - Math.floor(width / 2), end: center - Math.floor(width / 2) + width - 1, center, width, confidence: 1 });
+  const grid = createGridConfigFromLineGroups(
+    [group(0), group(20), group(20), group(40)],
+    [group(1, 2), group(63, 2), group(63), group(125, 2), group(187, 2)],
+    188, 40, { top: 0, right: 0, bottom: 0, left: 0 }
+  );
+
+  assert.deepEqual(grid.horizontalSlices, [0, 20, 40]);
+  assert.deepEqual(grid.verticalSlices, [1, 63, 125, 187]);
+  assert.equal(grid.verticalLineGroups[1].width, 2);
+  assert.ok(grid.cells.every(cell => cell.width > 0 && cell.height > 0));
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLayout } from '../layout-detector.js';
+import { createImage, fillRect } from './fixtures.js';
+
+test('small fragments near a part are merged into it, not dropped', () => {
+  const image = createImage(80, 60);
+  fillRect(image, 10, 10, 20, 20, [40, 60, 120, 255]);
+  // 2×2 fragment (below minRegionArea) two pixels right of the part
+  fillRect(image, 32, 15, 2, 2, [40, 60, 120, 255]);
+
+  const layout = detectLayout(image, { regionPadding: 0 });
+
+  assert.equal(layout.cells.length, 1);
+  assert.deepEqual(
+    { x: layout.cells[0].x, y: layout.cells[0].y, width: layout.cells[0].width, height: layout.cells[0].height },
+    { x: 10, y: 10, width: 24, height: 20 }
+  );
+});
+
+test('isolated specks are still dropped', () => {
+  const image = createImage(80, 60);
+  fillRect(image, 10, 10, 20, 20, [40, 60, 120, 255]);
+  fillRect(image, 60, 45, 2, 2, [40, 60, 120, 255]);
+
+  const layout = detectLayout(image, { regionPadding: 0 });
+
+  assert.equal(layout.cells.length, 1);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPalette, quantizeComponents } from '../palette-quantizer.js';
+import { decodePNG, encodePNG } from '../png-codec.js';
+import { createImage, fillRect } from './fixtures.js';
+
+/**
+ * Draw a horizontal ramp of distinct grays after a transparent column.
+ *
+ * @param {number} shades - Number of gray columns
+ * @returns {Object} - Image data
+ */
+function grayRamp(shades) {
+  const image = createImage(shades + 1, 2, [0, 0, 0, 0]);
+  for (let x = 0; x < shades; x++) {
+    const value = Math.round(x * 255 / (shades - 1));
+    fillRect(image, x + 1, 0, 1, 2, [value, value, value, 255]);
+  }
+  return image;
+}
+
+test('images with few colors keep an exact palette', () => {
+  const image = createImage(4, 4, [0, 0, 0, 0]);
+  fillRect(image, 0, 0, 2, 2, [200, 40, 40, 255]);
+  fillRect(image, 2, 2, 2, 2, [40, 40, 200, 255]);
+  // Transparent pixels with leftover RGB share the transparent entry
+  fillRect(image, 3, 0, 1, 1, [90, 90, 90, 0]);
+
+  const palette = buildPalette([image], 16);
+
+  assert.equal(palette.method, 'exact');
+  assert.equal(palette.colors.length, 3);
+  assert.equal(palette.colors.filter(color => color.a === 0).length, 1);
+});
+
+test('images with more colors are reduced to paletteSize, keeping transparency', () => {
+  for (const method of ['median-cut', 'kmeans']) {
+    const palette = buildPalette([grayRamp(32)], 8, method);
+
+    assert.equal(palette.method, method);
+    assert.equal(palette.colors.length, 8);
+    assert.equal(palette.colors.filter(color => color.a === 0).length, 1);
+  }
+});
+
+test('the sheet shares one palette, or each component gets its own', () => {
+  const components = [
+    { name: 'a', imageData: grayRamp(4) },
+    { name: 'b', imageData: grayRamp(6) }
+  ];
+
+  const sheet = quantizeComponents(components, { paletteMode: 'sheet' });
+  const separate = quantizeComponents(components, { paletteMode: 'component' });
+
+  assert.deepEqual(Object.keys(sheet.palettes), ['sheet']);
+  assert.deepEqual(sheet.componentPalettes, { a: 'sheet', b: 'sheet' });
+  assert.deepEqual(separate.componentPalettes, { a: 'a', b: 'b' });
+  assert.equal(quantizeComponents(components), null);
+});
+
+test('quantized images are written as indexed PNGs of their palette colors', () => {
+  const image = grayRamp(32);
+  const palette = buildPalette([image], 8);
+
+  const bytes = encodePNG(image, { palette: palette.colors });
+  const decoded = decodePNG(bytes);
+
+  // IHDR color type 3 is indexed
+  assert.equal(bytes[25], 3);
+  const used = new Set(palette.colors.map(({ r, g, b, a }) => [r, g, b, a].join()));
+  for (let index = 0; index < decoded.data.length; index += 4) {
+    assert.ok(used.has(Array.from(decoded.data.slice(index, index + 4)).join()));
+  }
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectGrid } from '../grid-detector.js';
+import { analyzeImageData } from '../pipeline.js';
+import { createImage, fillRect, gutterSheet, lineStrip } from './fixtures.js';
+
+const BLACK = [0, 0, 0, 255];
+const SEPARATOR = [128, 128, 128, 255];
+
+/**
+ * Fill an area with buttons separated by 1px lines, with no line around them.
+ *
+ * @param {Object} image - Image data
+ * @param {number[]} xs - Left edges and widths of the columns [[x, width], ...]
+ * @param {number[]} ys - Top edges and heights of the rows [[y, height], ...]
+ */
+function drawSeparatedButtons(image, xs, ys) {
+  const [left] = xs[0];
+  const [top] = ys[0];
+  const right = xs[xs.length - 1][0] + xs[xs.length - 1][1];
+  const bottom = ys[ys.length - 1][0] + ys[ys.length - 1][1];
+  fillRect(image, left, top, right - left, bottom - top, SEPARATOR);
+
+  ys.forEach(([y, height], row) => {
+    xs.forEach(([x, width], column) => {
+      fillRect(image, x, y, width, height, [240, 240, 240, 255]);
+      fillRect(image, x + 5, y + 5, width - 10, height - 10, [40 + row * 80, 200 - column * 60, 90, 255]);
+    });
+  });
+}
+
+test('nested grids drawn with internal separators only are detected', () => {
+  // 2×2 sheet: a 3×3 palette, two plain widgets and a strip of three buttons
+  const image = createImage(129, 129);
+  for (const position of [0, 64, 128]) {
+    fillRect(image, position, 0, 1, 129, BLACK);
+    fillRect(image, 0, position, 129, 1, BLACK);
+  }
+  drawSeparatedButtons(image, [[1, 20], [22, 20], [43, 21]], [[1, 20], [22, 20], [43, 21]]);
+  fillRect(image, 80, 20, 30, 20, [40, 60, 120, 255]);
+  fillRect(image, 20, 80, 30, 20, [40, 60, 120, 255]);
+  drawSeparatedButtons(image, [[65, 20], [86, 20], [107, 21]], [[65, 63]]);
+
+  const { components } = analyzeImageData(image, { subgridDepth: 1 });
+  const nested = (parent) => components.filter(component => component.parentId === parent).map(component => component.id);
+
+  assert.equal(nested('cell-0-0').length, 9);
+  assert.deepEqual(nested('cell-0-1'), []);
+  assert.deepEqual(nested('cell-1-1'), ['cell-1-1/cell-0-0', 'cell-1-1/cell-0-1', 'cell-1-1/cell-0-2']);
+});
+
+test('a plain sheet with a margin produces no frame component', () => {
+  const { components } = analyzeImageData(gutterSheet(), { dividerMode: 'gutter' });
+
+  assert.equal(components.length, 12);
+  assert.ok(components.every(component => component.type !== 'frame'));
+});
+
+test('a drawn frame is exported as a frame component', () => {
+  const { components } = analyzeImageData(lineStrip());
+  const frame = components.find(component => component.type === 'frame');
+
+  assert.deepEqual(frame.nineSlice, { top: 2, right: 2, bottom: 2, left: 2 });
+});
+
+test('an edited grid with two slices at one position still analyzes', () => {
+  const detected = detectGrid(lineStrip());
+  const duplicate = { ...detected.verticalLineGroups[1], manual: true };
+  const edited = { ...detected, verticalLineGroups: [...detected.verticalLineGroups, duplicate] };
+
+  const { gridConfig } = analyzeImageData(lineStrip(), {}, { gridConfig: edited });
+
+  assert.deepEqual(gridConfig.verticalSlices, [1, 63, 125, 187]);
+  assert.equal(gridConfig.columns, 3);
+});
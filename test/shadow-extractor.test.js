@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeImageData } from '../pipeline.js';
+import { shadowSheet } from './fixtures.js';
+
+const REGIONS = { detectionMode: 'regions', regionPadding: 20 };
+
+test('a fully removed shadow is described', () => {
+  const { components } = analyzeImageData(shadowSheet(), { ...REGIONS, backgroundRemoval: 100 });
+  const { offsetX, offsetY, blur, color } = components[0].shadow;
+
+  assert.deepEqual({ offsetX, offsetY, blur }, { offsetX: 4, offsetY: 5, blur: 4 });
+  assert.ok(Math.abs(color.a - 102) <= 3);
+});
+
+test('a partly removed shadow is not reported', () => {
+  for (const backgroundRemoval of [30, 60]) {
+    const { components } = analyzeImageData(shadowSheet(), { ...REGIONS, backgroundRemoval });
+
+    assert.equal(components[0].shadow, null);
+  }
+});
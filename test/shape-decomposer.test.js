@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decomposeIntoShapes } from '../shape-decomposer.js';
+import { createImage, fillRect } from './fixtures.js';
+
+const CLEAR = [0, 0, 0, 0];
+
+test('transparent regions enclosed by content are reported as holes', () => {
+  // A ring with a 10×10 center and a 2×2 pinhole in its border
+  const image = createImage(40, 40, CLEAR);
+  fillRect(image, 10, 10, 20, 20, [40, 60, 120, 255]);
+  fillRect(image, 15, 15, 10, 10, CLEAR);
+  fillRect(image, 11, 11, 2, 2, CLEAR);
+
+  const holes = decomposeIntoShapes(image, { minHoleArea: 50 }).shapes.filter(shape => shape.type === 'hole');
+
+  assert.deepEqual(holes, [{ type: 'hole', x: 15, y: 15, width: 10, height: 10, area: 100, color: null }]);
+});
+
+test('holes are not reported unless asked for', () => {
+  const image = createImage(40, 40, CLEAR);
+  fillRect(image, 10, 10, 20, 20, [40, 60, 120, 255]);
+  fillRect(image, 15, 15, 10, 10, CLEAR);
+
+  const { shapes } = decomposeIntoShapes(image);
+
+  assert.ok(shapes.every(shape => shape.type !== 'hole'));
+});